@@ -4,52 +4,12 @@
  */
 class AnimationManager {
     constructor() {
-        this.animations = {
-            fade: {
-                name: '淡入淡出',
-                description: '平滑的淡入淡出效果',
-                className: 'animation-fade'
-            },
-            slide: {
-                name: '滑动',
-                description: '左右滑动切换效果',
-                className: 'animation-slide'
-            },
-            zoom: {
-                name: '缩放',
-                description: '缩放过渡效果',
-                className: 'animation-zoom'
-            },
-            rotate: {
-                name: '旋转',
-                description: '旋转过渡效果',
-                className: 'animation-rotate'
-            },
-            flip: {
-                name: '3D翻转',
-                description: '3D翻转切换效果',
-                className: 'animation-flip'
-            },
-            cube: {
-                name: '立方体旋转',
-                description: '立方体旋转过渡效果',
-                className: 'animation-cube'
-            },
-            bounce: {
-                name: '弹跳',
-                description: '弹跳过渡效果',
-                className: 'animation-bounce'
-            },
-            wave: {
-                name: '波浪',
-                description: '波浪式过渡效果',
-                className: 'animation-wave'
-            }
-        };
+        this.animations = Transitions.CATALOGUE; // 与画廊和灯箱共用的动画列表
         
         this.currentSettings = {
             landscape: 'slide',
-            portrait: 'slide'
+            portrait: 'slide',
+            lightbox: 'fade'
         };
         
         this.init();
@@ -90,15 +50,15 @@ class AnimationManager {
      * 渲染动画选项
      */
     renderAnimationOptions() {
-        // 渲染横屏动画选项
-        this.renderAnimationGroup('landscape', this.currentSettings.landscape);
-        // 渲染竖屏动画选项
-        this.renderAnimationGroup('portrait', this.currentSettings.portrait);
+        // 横屏、竖屏和灯箱各一组
+        Object.keys(this.currentSettings).forEach(type => {
+            this.renderAnimationGroup(type, this.currentSettings[type]);
+        });
     }
     
     /**
      * 渲染单个动画组
-     * @param {string} type - 动画类型 ('landscape' 或 'portrait')
+     * @param {string} type - 动画类型 ('landscape'、'portrait' 或 'lightbox')
      * @param {string} selectedId - 当前选中的动画ID
      */
     renderAnimationGroup(type, selectedId) {
@@ -143,24 +103,26 @@ class AnimationManager {
      * 初始化事件监听
      */
     initEventListeners() {
-        // 横屏动画选项点击事件
-        const landscapeContainer = Utils.$('#landscape-animations');
-        if (landscapeContainer) {
-            Utils.on(landscapeContainer, 'click', (e) => {
+        // 各组动画选项点击事件
+        Object.keys(this.currentSettings).forEach(type => {
+            const container = Utils.$(`#${type}-animations`);
+            if (!container) return;
+            
+            Utils.on(container, 'click', (e) => {
                 const option = e.target.closest('.animation-option');
                 if (option) {
-                    this.selectAnimation('landscape', option);
+                    this.selectAnimation(type, option);
                 }
             });
-        }
+        });
         
-        // 竖屏动画选项点击事件
-        const portraitContainer = Utils.$('#portrait-animations');
-        if (portraitContainer) {
-            Utils.on(portraitContainer, 'click', (e) => {
-                const option = e.target.closest('.animation-option');
-                if (option) {
-                    this.selectAnimation('portrait', option);
+        // 搜索框：跳转到首页展示搜索结果
+        const searchInput = Utils.$('.search-input');
+        if (searchInput) {
+            Search.bindInput(searchInput, {
+                onSubmit: (searchTerm) => {
+                    if (!searchTerm) return;
+                    location.href = `index.html#/?q=${encodeURIComponent(searchTerm)}`;
                 }
             });
         }
@@ -177,7 +139,7 @@ class AnimationManager {
     
     /**
      * 选择动画效果
-     * @param {string} type - 动画类型 ('landscape' 或 'portrait')
+     * @param {string} type - 动画类型 ('landscape'、'portrait' 或 'lightbox')
      * @param {HTMLElement} option - 选中的选项元素
      */
     selectAnimation(type, option) {
@@ -256,7 +218,7 @@ class AnimationManager {
     
     /**
      * 获取指定类型的动画类名
-     * @param {string} type - 动画类型 ('landscape' 或 'portrait')
+     * @param {string} type - 动画类型 ('landscape'、'portrait' 或 'lightbox')
      * @returns {string} - 动画类名
      */
     getAnimationClass(type) {
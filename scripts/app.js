@@ -4,8 +4,14 @@
  */
 class App {
     constructor() {
+        this.shortcuts = null;
         this.gallery = null;
         this.lightbox = null;
+        this.manager = null;
+        this.classifySettings = null;
+        this.backup = null;
+        this.dropZone = null;
+        this.router = null;
         
         this.init();
     }
@@ -26,21 +32,36 @@ class App {
      * 初始化应用组件
      */
     initComponents() {
+        // 初始化快捷键（其他组件在构造时注册各自的快捷键）
+        this.shortcuts = new ShortcutManager();
+        
         // 初始化Lightbox
-        this.lightbox = new Lightbox();
+        this.lightbox = new Lightbox(this.shortcuts);
         
         // 初始化画廊
-        this.gallery = new Gallery();
+        this.gallery = new Gallery(this.shortcuts);
+        
+        // 初始化壁纸管理
+        this.manager = new Manager(this.gallery, this.shortcuts);
+        
+        // 初始化宽高比分类设置
+        this.classifySettings = new ClassifySettings(this.gallery, this.shortcuts);
+        
+        // 初始化备份与恢复
+        this.backup = new Backup(this.gallery, this.manager, this.shortcuts);
+        
+        // 初始化拖放导入
+        this.dropZone = new DropZone(this.gallery);
         
         // 初始化导航栏滚动效果
         this.initNavbarScroll();
         
-        // 初始化平滑滚动
-        this.initSmoothScroll();
-        
         // 初始化搜索功能
         this.initSearch();
         
+        // 初始化路由（导航链接、分享链接和前进/后退）
+        this.router = new Router(this.gallery, this.lightbox);
+        
         // 隐藏初始加载动画
         Utils.hideLoading();
         
@@ -71,52 +92,6 @@ class App {
         }, 100));
     }
 
-    /**
-     * 初始化平滑滚动
-     */
-    initSmoothScroll() {
-        const navLinks = Utils.$$('.nav-link');
-        
-        navLinks.forEach(link => {
-            Utils.on(link, 'click', (e) => {
-                const href = link.getAttribute('href');
-                if (href && href.startsWith('#')) {
-                    e.preventDefault();
-                    
-                    const targetId = href.substring(1);
-                    const targetElement = document.getElementById(targetId);
-                    
-                    if (targetElement) {
-                        // 平滑滚动到目标位置
-                        targetElement.scrollIntoView({
-                            behavior: 'smooth',
-                            block: 'start'
-                        });
-                        
-                        // 更新活动链接
-                        this.updateActiveNavLink(link);
-                    }
-                }
-            });
-        });
-    }
-
-    /**
-     * 更新活动导航链接
-     * @param {HTMLElement} activeLink - 活动链接
-     */
-    updateActiveNavLink(activeLink) {
-        const navLinks = Utils.$$('.nav-link');
-        
-        navLinks.forEach(link => {
-            link.classList.remove('active');
-        });
-        
-        if (activeLink) {
-            activeLink.classList.add('active');
-        }
-    }
-
     /**
      * 初始化搜索功能
      */
@@ -124,24 +99,19 @@ class App {
         const searchInput = Utils.$('.search-input');
         if (!searchInput) return;
         
-        Utils.on(searchInput, 'input', Utils.debounce((e) => {
-            const searchTerm = e.target.value.toLowerCase().trim();
-            this.handleSearch(searchTerm);
-        }, 300));
+        Search.bindInput(searchInput, {
+            onInput: (searchTerm) => this.handleSearch(searchTerm)
+        });
     }
 
     /**
      * 处理搜索
+     * 按名称、原始文件名和标签过滤横屏与竖屏壁纸
      * @param {string} searchTerm - 搜索关键词
      */
     handleSearch(searchTerm) {
-        // 搜索功能实现
-        // 这里可以根据搜索词过滤壁纸
-        console.log('搜索:', searchTerm);
-        
-        // TODO: 实现搜索逻辑
-        // 1. 过滤壁纸列表
-        // 2. 重新渲染画廊
+        if (!this.gallery) return;
+        this.gallery.setSearchQuery(searchTerm);
     }
 
     /**
@@ -0,0 +1,1000 @@
+/**
+ * 备份错误类
+ * 备份清单缺失或格式不正确、恢复时存储空间不足时抛出
+ */
+class BackupError extends Error {
+    /**
+     * @param {string} message - 错误说明
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'BackupError';
+    }
+}
+
+/**
+ * 备份与恢复类
+ * 将本地壁纸的原始文件、壁纸信息、收藏、精选壁纸的修改和各项设置打包为一个ZIP文件，
+ * 恢复时可与现有收藏合并或整体替换
+ */
+class Backup {
+    /**
+     * @param {Gallery} gallery - 画廊实例
+     * @param {Manager} manager - 壁纸管理实例
+     * @param {ShortcutManager} shortcuts - 快捷键管理器
+     */
+    constructor(gallery, manager, shortcuts) {
+        this.gallery = gallery;
+        this.manager = manager;
+        this.shortcuts = shortcuts;
+        this.dialog = Utils.$('#backup-dialog');
+        this.fileInput = Utils.$('.backup-file-input');
+        this.status = Utils.$('.backup-status');
+        this.report = Utils.$('.backup-report');
+        this.confirmBox = Utils.$('.backup-confirm');
+        this.isOpen = false;
+        this.isBusy = false;
+        this.confirmResolve = null; // 替换确认的Promise回调
+
+        this.init();
+    }
+
+    /**
+     * 备份清单的格式标识
+     * @returns {string}
+     */
+    static get FORMAT() {
+        return 'illumi-gallery-backup';
+    }
+
+    /**
+     * 备份清单的版本
+     * @returns {number}
+     */
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * 随备份保存的设置文件及其名称
+     * @returns {Object<string, string>}
+     */
+    static get SETTINGS_FILES() {
+        return {
+            'animation_settings.json': '动画效果',
+            'cinema_autoplay.json': '横屏自动播放',
+            'lightbox_slideshow.json': '灯箱幻灯片',
+            'portrait_view.json': '竖屏展示方式',
+            'classify_settings.json': '宽高比分类',
+            'sort_settings.json': '排序与分组',
+            'import_settings.json': '导入设置',
+            'shortcuts.json': '快捷键'
+        };
+    }
+
+    /**
+     * 恢复结果在刷新页面期间的会话存储键名
+     * @returns {string}
+     */
+    static get REPORT_KEY() {
+        return 'backup_report';
+    }
+
+    /**
+     * 精选壁纸可随备份恢复的修改字段
+     * @returns {string[]}
+     */
+    static get OVERRIDE_FIELDS() {
+        return ['name', 'title', 'artist', 'source', 'tags', 'fit', 'colors'];
+    }
+
+    /**
+     * 本地壁纸可随备份恢复的字段，格式、大小和内容哈希按图片文件重新计算
+     * @returns {string[]}
+     */
+    static get RECORD_FIELDS() {
+        return [...this.OVERRIDE_FIELDS, 'id', 'originalName', 'width', 'height', 'animated', 'thumbnail', 'uploadedAt', 'phash'];
+    }
+
+    /**
+     * 缩略图只接受图片的 data URL
+     * @returns {RegExp}
+     */
+    static get THUMBNAIL_PATTERN() {
+        return /^data:image\/(jpeg|png|webp|avif|gif|bmp);base64,[a-z0-9+/]+=*$/i;
+    }
+
+    /**
+     * 判断是否为普通对象（不含数组和null）
+     * @param {*} value - 任意值
+     * @returns {boolean}
+     */
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * 检查对象的每个字段都有对应的规则且符合规则
+     * @param {Object} object - 待检查的对象
+     * @param {Object<string, function(*): boolean>} rules - 字段名到校验函数的映射
+     * @returns {boolean}
+     */
+    static matchesRules(object, rules) {
+        return this.isPlainObject(object) &&
+            Object.entries(object).every(([key, value]) => Boolean(rules[key]) && rules[key](value));
+    }
+
+    /**
+     * 校验可编辑的字段（本地壁纸与精选壁纸的修改共用）
+     * @param {Object} fields - 字段
+     * @returns {string[]} - 问题列表，为空表示有效
+     */
+    static validateFields(fields) {
+        const problems = [];
+
+        if (fields.name !== undefined && !(typeof fields.name === 'string' && fields.name.trim() !== '')) {
+            problems.push('name 必须是非空字符串');
+        }
+        ['title', 'artist', 'source'].forEach(field => {
+            if (fields[field] !== undefined && typeof fields[field] !== 'string') {
+                problems.push(`${field} 必须是字符串`);
+            }
+        });
+        if (fields.tags !== undefined &&
+            (!Array.isArray(fields.tags) || !fields.tags.every(tag => typeof tag === 'string'))) {
+            problems.push('tags 必须是字符串数组');
+        }
+        if (fields.fit !== undefined && fields.fit !== '' && !Object.keys(Devices.FIT_MODES).includes(fields.fit)) {
+            problems.push(`fit 必须是 ${Object.keys(Devices.FIT_MODES).join('、')} 之一`);
+        }
+        if (fields.colors !== undefined && (!Array.isArray(fields.colors) || !fields.colors.every(item =>
+            this.isPlainObject(item) && typeof item.color === 'string' && /^#[0-9a-f]{6}$/i.test(item.color) &&
+            Number.isFinite(item.share) && item.share >= 0 && item.share <= 1
+        ))) {
+            problems.push('colors 必须是颜色值与占比的列表');
+        }
+
+        return problems;
+    }
+
+    /**
+     * 校验备份中的本地壁纸信息
+     * @param {Object} source - 清单中的壁纸信息
+     * @returns {string[]} - 问题列表，为空表示有效
+     */
+    static validateRecord(source) {
+        if (!this.isPlainObject(source)) {
+            return ['壁纸信息必须是对象'];
+        }
+
+        const problems = this.validateFields(source);
+        const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+        if (typeof source.id !== 'string' || !/^[\w-]{1,64}$/.test(source.id)) problems.push('id 无效');
+        if (typeof source.name !== 'string') problems.push('缺少 name');
+        if (typeof source.file !== 'string' || source.file === '') problems.push('缺少 file');
+
+        if (source.originalName !== undefined && typeof source.originalName !== 'string') {
+            problems.push('originalName 必须是字符串');
+        }
+        if (source.width !== undefined && !isPositiveInteger(source.width)) problems.push('width 必须是正整数');
+        if (source.height !== undefined && !isPositiveInteger(source.height)) problems.push('height 必须是正整数');
+        if (source.animated !== undefined && typeof source.animated !== 'boolean') {
+            problems.push('animated 必须是布尔值');
+        }
+        if (source.thumbnail !== undefined && !(typeof source.thumbnail === 'string' && this.THUMBNAIL_PATTERN.test(source.thumbnail))) {
+            problems.push('thumbnail 必须是图片的 data URL');
+        }
+        if (source.uploadedAt !== undefined && source.uploadedAt !== null &&
+            (typeof source.uploadedAt !== 'string' || isNaN(Date.parse(source.uploadedAt)))) {
+            problems.push('uploadedAt 不是有效日期');
+        }
+        if (source.phash !== undefined && source.phash !== null &&
+            !(typeof source.phash === 'string' && /^[0-9a-f]{16}$/i.test(source.phash))) {
+            problems.push('phash 格式不正确');
+        }
+
+        return problems;
+    }
+
+    /**
+     * 按字段列表复制字段，主色调只保留颜色值与占比
+     * @param {Object} source - 已校验的字段
+     * @param {string[]} fields - 字段列表
+     * @returns {Object} - 新对象
+     */
+    static pickFields(source, fields) {
+        const picked = {};
+        fields.forEach(field => {
+            if (source[field] !== undefined) picked[field] = source[field];
+        });
+        if (picked.colors) {
+            picked.colors = picked.colors.map(({ color, share }) => ({ color, share }));
+        }
+        if (picked.tags) {
+            picked.tags = [...picked.tags];
+        }
+        return picked;
+    }
+
+    /**
+     * 校验设置文件的内容，只接受对应组件能识别的字段和取值
+     * @param {string} file - 设置文件名，见 SETTINGS_FILES
+     * @param {*} value - 设置内容
+     * @returns {boolean}
+     */
+    static isValidSetting(file, value) {
+        const isBoolean = item => typeof item === 'boolean';
+        const oneOf = list => item => list.includes(item);
+        const isTransition = oneOf(Object.keys(Transitions.CATALOGUE));
+        const sortRules = { key: oneOf(Object.keys(Sorter.KEYS)), order: oneOf(['asc', 'desc']) };
+
+        switch (file) {
+            case 'animation_settings.json':
+                return this.matchesRules(value, { landscape: isTransition, portrait: isTransition, lightbox: isTransition });
+            case 'cinema_autoplay.json':
+                return this.matchesRules(value, {
+                    interval: oneOf(Gallery.SLIDE_INTERVALS),
+                    direction: oneOf(['next', 'prev']),
+                    shuffle: isBoolean,
+                    loop: isBoolean
+                });
+            case 'lightbox_slideshow.json':
+                return this.matchesRules(value, {
+                    interval: oneOf(Lightbox.SLIDESHOW_INTERVALS),
+                    shuffle: isBoolean,
+                    loop: isBoolean
+                });
+            case 'portrait_view.json':
+                return this.matchesRules(value, { view: oneOf(['carousel', 'masonry']) });
+            case 'classify_settings.json': {
+                const isThreshold = Number.isFinite;
+                const isRoute = oneOf(Object.keys(ClassifySettings.ROUTES));
+                return this.matchesRules(value, {
+                    thresholds: thresholds =>
+                        this.matchesRules(thresholds, Object.fromEntries(Object.keys(Devices.DEFAULT_THRESHOLDS).map(key => [key, isThreshold]))) &&
+                        Devices.validateThresholds({ ...Devices.DEFAULT_THRESHOLDS, ...thresholds }) === '',
+                    routes: routes =>
+                        this.matchesRules(routes, Object.fromEntries(Devices.BUCKETS.map(bucket => [bucket.id, isRoute])))
+                });
+            }
+            case 'sort_settings.json':
+                return this.matchesRules(value, {
+                    landscape: section => this.matchesRules(section, sortRules),
+                    portrait: section => this.matchesRules(section, { ...sortRules, group: oneOf(Object.keys(Sorter.GROUPS)) })
+                });
+            case 'import_settings.json':
+                return this.matchesRules(value, { folderTags: isBoolean });
+            case 'shortcuts.json':
+                return this.isPlainObject(value) && Object.values(value).every(keys =>
+                    Array.isArray(keys) && keys.every(key => typeof key === 'string' && key !== '' && key.length <= 40)
+                );
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * 初始化对话框
+     */
+    init() {
+        if (!this.dialog) return;
+
+        const openBtn = Utils.$('.backup-open-btn');
+        if (openBtn) {
+            Utils.on(openBtn, 'click', () => this.open());
+        }
+
+        Utils.on(this.dialog, 'click', (e) => {
+            const actionBtn = e.target.closest('[data-backup-action]');
+            if (!actionBtn || actionBtn.disabled) return;
+
+            const action = actionBtn.dataset.backupAction;
+            if (action === 'export') {
+                this.exportBackup();
+            } else if (action === 'restore') {
+                this.fileInput.click();
+            } else if (action === 'confirm') {
+                this.finishConfirm(true);
+            } else if (action === 'cancel') {
+                this.finishConfirm(false);
+            } else if (action === 'close') {
+                this.close();
+            }
+        });
+
+        // 替换模式显示警告
+        Utils.on(this.dialog, 'change', (e) => {
+            if (e.target.name === 'backup-mode') {
+                this.dialog.classList.toggle('replace-mode', e.target.value === 'replace');
+            }
+        });
+
+        if (this.fileInput) {
+            Utils.on(this.fileInput, 'change', () => {
+                const file = this.fileInput.files[0];
+                this.fileInput.value = '';
+                if (file) this.restore(file, this.getMode());
+            });
+        }
+
+        this.shortcuts.registerContext('backup', {
+            label: '备份与恢复',
+            priority: 93,
+            isActive: () => this.isOpen,
+            modal: true
+        });
+        this.shortcuts.register('backup.close', {
+            context: 'backup',
+            description: '关闭备份与恢复',
+            keys: ['Escape'],
+            handler: () => {
+                if (this.confirmResolve) {
+                    this.finishConfirm(false);
+                } else {
+                    this.close();
+                }
+            },
+            allowInInput: true
+        });
+
+        this.showSavedReport();
+    }
+
+    /**
+     * 打开对话框
+     */
+    open() {
+        if (!this.dialog) return;
+
+        this.dialog.classList.add('active');
+        this.isOpen = true;
+    }
+
+    /**
+     * 关闭对话框，导出或恢复进行中时不能关闭
+     */
+    close() {
+        if (!this.isOpen || this.isBusy) return;
+
+        this.dialog.classList.remove('active');
+        this.isOpen = false;
+        this.setStatus('');
+        this.renderReport(null);
+    }
+
+    /**
+     * 获取选择的恢复方式
+     * @returns {string} - 'merge' 或 'replace'
+     */
+    getMode() {
+        const checked = Utils.$('input[name="backup-mode"]:checked', this.dialog);
+        return checked ? checked.value : 'merge';
+    }
+
+    /**
+     * 设置进行中状态，禁用对话框中的按钮
+     * @param {boolean} busy - 是否进行中
+     */
+    setBusy(busy) {
+        this.isBusy = busy;
+        this.dialog.classList.toggle('busy', busy);
+        Utils.$$('[data-backup-action="export"], [data-backup-action="restore"], [data-backup-action="close"]', this.dialog)
+            .forEach(button => {
+                button.disabled = busy;
+            });
+    }
+
+    /**
+     * 更新状态文字
+     * @param {string} message - 状态说明
+     * @param {string} type - 'info'、'success' 或 'error'
+     */
+    setStatus(message, type = 'info') {
+        if (!this.status) return;
+        this.status.textContent = message;
+        this.status.dataset.type = type;
+    }
+
+    /**
+     * 导出备份
+     */
+    async exportBackup() {
+        if (this.isBusy) return;
+
+        this.setBusy(true);
+        this.renderReport(null);
+        this.setStatus('正在打包…');
+
+        try {
+            // 备份中带上指纹，恢复时无需重新计算
+            await this.gallery.ensureFingerprints();
+
+            const localWallpapers = this.gallery.wallpapers.filter(wallpaper => this.gallery.isLocalWallpaper(wallpaper));
+            const files = [];
+            const records = [];
+            const missing = this.gallery.unavailableRecords.map(record => record.name);
+
+            for (const [index, wallpaper] of localWallpapers.entries()) {
+                this.setStatus(`正在读取图片 ${index + 1} / ${localWallpapers.length}…`);
+
+                const blob = await this.readWallpaperFile(wallpaper);
+                if (!blob) {
+                    missing.push(wallpaper.name);
+                    continue;
+                }
+
+                const extension = (Utils.IMAGE_TYPES[wallpaper.type] || ['bin'])[0];
+                const path = `images/${wallpaper.id}.${extension}`;
+                const { url, posterUrl, ...record } = wallpaper;
+                records.push({ ...record, file: path });
+                files.push({ name: path, data: blob });
+            }
+
+            const manifest = {
+                format: Backup.FORMAT,
+                version: Backup.VERSION,
+                exportedAt: new Date().toISOString(),
+                wallpapers: records,
+                favorites: Array.from(this.gallery.favoriteIds),
+                collectionOverrides: this.gallery.collectionOverrides,
+                settings: this.readSettings()
+            };
+            files.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+            this.setStatus('正在生成备份文件…');
+            const archive = await Zip.create(files);
+            const date = manifest.exportedAt.slice(0, 10).replace(/-/g, '');
+            Utils.downloadBlob(archive, `illumi-gallery-backup-${date}.zip`);
+
+            this.setStatus(`已导出 ${records.length} 张壁纸（${Utils.formatFileSize(archive.size)}）`, 'success');
+            if (missing.length > 0) {
+                this.renderReport({ failed: missing.map(name => ({ name, reason: '找不到图片文件，未备份' })) });
+            }
+        } catch (error) {
+            console.error('导出备份失败:', error);
+            this.setStatus(error instanceof ZipError ? error.message : '导出备份失败', 'error');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    /**
+     * 读取本地壁纸的原始文件
+     * 数据库不可用时退回读取本次会话中的对象URL
+     * @param {Object} wallpaper - 壁纸对象
+     * @returns {Promise<Blob|null>} - 原始文件，读取失败时为null
+     */
+    async readWallpaperFile(wallpaper) {
+        try {
+            const blob = await this.gallery.blobStore.get(wallpaper.id);
+            if (blob) return blob;
+        } catch (error) {
+            console.warn('读取壁纸文件失败:', wallpaper.name, error);
+        }
+
+        try {
+            const response = await fetch(wallpaper.url);
+            return response.ok ? await response.blob() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 读取已保存的设置
+     * @returns {Object<string, *>} - 设置文件名到内容的映射，未保存过的设置不包含在内
+     */
+    readSettings() {
+        return Object.keys(Backup.SETTINGS_FILES).reduce((settings, file) => {
+            const value = Utils.getFromJSON(file, null);
+            if (value !== null) settings[file] = value;
+            return settings;
+        }, {});
+    }
+
+    /**
+     * 从备份文件恢复
+     * 写入本地存储后刷新页面，由各组件按新数据重新初始化
+     * @param {File} file - 备份文件
+     * @param {string} mode - 'merge'（合并）或 'replace'（替换）
+     */
+    async restore(file, mode) {
+        if (this.isBusy) return;
+        if (this.gallery.importPanel.isRunning) {
+            Utils.showToast('正在导入图片，请完成后再恢复备份', 'info');
+            return;
+        }
+        if (this.gallery.unavailableRecords.length > 0) {
+            Utils.showToast('图片数据库暂时无法读取，请刷新页面后再恢复备份', 'error');
+            return;
+        }
+
+        this.setBusy(true);
+        this.renderReport(null);
+        this.setStatus('正在读取备份…');
+
+        try {
+            const entries = await Zip.readEntries(file);
+            const manifest = await this.readManifest(file, entries);
+
+            if (mode === 'replace' && !await this.confirmReplace(manifest)) {
+                this.setStatus('已取消恢复');
+                return;
+            }
+
+            // 撤销窗口中的删除先完成，避免稍后删除刚恢复的同ID图片
+            await this.manager.flushRemovals();
+
+            const report = {
+                mode,
+                added: 0,
+                merged: 0,
+                replaced: 0,
+                renamed: 0,
+                skipped: 0,
+                failed: [],
+                ignored: [],
+                settingConflicts: [],
+                overrideConflicts: 0
+            };
+
+            const items = await this.extractWallpapers(file, entries, manifest, report);
+            const plan = mode === 'replace'
+                ? this.planReplace(items, report)
+                : await this.planMerge(items, report);
+            if (!plan) {
+                this.setStatus('已取消恢复');
+                return;
+            }
+
+            this.setStatus('正在写入…');
+            await this.commit(plan, manifest, mode, report);
+
+            sessionStorage.setItem(Backup.REPORT_KEY, JSON.stringify(report));
+            location.reload();
+        } catch (error) {
+            console.error('恢复备份失败:', error);
+            const known = error instanceof ZipError || error instanceof BackupError;
+            this.setStatus(known ? error.message : '恢复备份失败', 'error');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    /**
+     * 读取并校验备份清单
+     * @param {Blob} file - 备份文件
+     * @param {Map} entries - Zip.readEntries 的结果
+     * @returns {Promise<Object>} - 备份清单
+     * @throws {BackupError} - 清单缺失或格式不正确时
+     */
+    async readManifest(file, entries) {
+        const entry = entries.get('manifest.json');
+        if (!entry) {
+            throw new BackupError('不是幻光壁廊的备份文件（缺少 manifest.json）');
+        }
+
+        let manifest = null;
+        try {
+            manifest = JSON.parse(await (await Zip.extract(file, entry, 'application/json')).text());
+        } catch (error) {
+            if (error instanceof ZipError) throw error;
+            throw new BackupError('备份清单不是有效的JSON');
+        }
+
+        const isObject = value => Backup.isPlainObject(value);
+        if (!isObject(manifest) || manifest.format !== Backup.FORMAT) {
+            throw new BackupError('不是幻光壁廊的备份文件');
+        }
+        if (manifest.version > Backup.VERSION) {
+            throw new BackupError('备份来自更新的版本，请先更新本站');
+        }
+        if (!Array.isArray(manifest.wallpapers) || !Array.isArray(manifest.favorites)
+            || !isObject(manifest.collectionOverrides) || !isObject(manifest.settings)) {
+            throw new BackupError('备份清单已损坏');
+        }
+
+        return manifest;
+    }
+
+    /**
+     * 在对话框中确认替换
+     * @param {Object} manifest - 备份清单
+     * @returns {Promise<boolean>} - 是否确认
+     */
+    confirmReplace(manifest) {
+        if (!this.confirmBox) return Promise.resolve(true);
+
+        const localCount = this.gallery.wallpapers.filter(wallpaper => this.gallery.isLocalWallpaper(wallpaper)).length;
+        Utils.$('.backup-confirm-text', this.confirmBox).textContent =
+            `将删除现有的 ${localCount} 张本地壁纸，替换为备份中的 ${manifest.wallpapers.length} 张，收藏、精选壁纸的修改和设置也会被覆盖。此操作无法撤销。`;
+        this.confirmBox.hidden = false;
+        this.setStatus('');
+
+        const confirmBtn = Utils.$('[data-backup-action="confirm"]', this.confirmBox);
+        if (confirmBtn) confirmBtn.focus();
+
+        return new Promise(resolve => {
+            this.confirmResolve = resolve;
+        });
+    }
+
+    /**
+     * 结束替换确认
+     * @param {boolean} confirmed - 是否确认
+     */
+    finishConfirm(confirmed) {
+        if (!this.confirmResolve) return;
+
+        this.confirmBox.hidden = true;
+        this.confirmResolve(confirmed);
+        this.confirmResolve = null;
+    }
+
+    /**
+     * 取出备份中的图片并整理壁纸信息
+     * 缺失或损坏的图片记入报告后跳过
+     * @param {Blob} file - 备份文件
+     * @param {Map} entries - Zip.readEntries 的结果
+     * @param {Object} manifest - 备份清单
+     * @param {Object} report - 恢复报告
+     * @returns {Promise<Array<{record: Object, blob: Blob}>>} - 可恢复的壁纸
+     */
+    async extractWallpapers(file, entries, manifest, report) {
+        const items = [];
+        const seenIds = new Set();
+
+        for (const [index, source] of manifest.wallpapers.entries()) {
+            this.setStatus(`正在读取图片 ${index + 1} / ${manifest.wallpapers.length}…`);
+
+            const name = source && typeof source.name === 'string' && source.name.trim() ? source.name : `第 ${index + 1} 张`;
+            const problems = Backup.validateRecord(source);
+            if (problems.length === 0 && seenIds.has(source.id)) {
+                problems.push('id 重复');
+            }
+            if (problems.length > 0) {
+                report.failed.push({ name, reason: problems.join('，') });
+                continue;
+            }
+
+            const entry = entries.get(source.file);
+            if (!entry) {
+                report.failed.push({ name, reason: '备份中缺少图片文件' });
+                continue;
+            }
+
+            try {
+                // 以文件头识别格式，不信任清单中的类型
+                const raw = await Zip.extract(file, entry);
+                const type = await Utils.detectImageType(raw);
+                if (!type) {
+                    throw new BackupError('不支持的图片格式');
+                }
+                const blob = new Blob([raw], { type });
+
+                // 只取已校验的字段，其余按图片文件重新计算
+                const record = Backup.pickFields(source, Backup.RECORD_FIELDS);
+                Object.assign(record, {
+                    type,
+                    size: blob.size,
+                    origin: 'local',
+                    tags: this.gallery.normalizeTags(record.tags || []),
+                    uploadedAt: record.uploadedAt ? new Date(record.uploadedAt).toISOString() : new Date().toISOString(),
+                    hash: await Fingerprint.computeContentHash(blob)
+                });
+
+                if (!record.thumbnail || !record.width || !record.height) {
+                    const { dimensions, thumbnail, animated } = await this.gallery.decodeImage(blob, type);
+                    Object.assign(record, { width: dimensions.width, height: dimensions.height, thumbnail, animated });
+                }
+                if (!record.phash) {
+                    record.phash = await Fingerprint.computePerceptualHash(blob).catch(() => null);
+                }
+
+                seenIds.add(record.id);
+                items.push({ record, blob });
+            } catch (error) {
+                const known = error instanceof ZipError || error instanceof BackupError || error instanceof ImportError;
+                report.failed.push({ name, reason: known ? error.message : '图片已损坏' });
+            }
+        }
+
+        return items;
+    }
+
+    /**
+     * 替换模式：本地壁纸整体换成备份中的壁纸
+     * @param {Array<{record: Object, blob: Blob}>} items - 可恢复的壁纸
+     * @param {Object} report - 恢复报告
+     * @returns {{records: Array, writes: Array<{id: string, blob: Blob}>, idMap: Map<string, string>}} - 恢复计划
+     */
+    planReplace(items, report) {
+        report.added = items.length;
+        return {
+            records: items.map(item => item.record),
+            writes: items.map(({ record, blob }) => ({ id: record.id, blob })),
+            idMap: new Map(items.map(({ record }) => [record.id, record.id]))
+        };
+    }
+
+    /**
+     * 合并模式：与本地壁纸逐张比较
+     * 完全相同的图片只合并标签；ID相同但内容不同或相似的图片交给重复图片报告由用户决定
+     * @param {Array<{record: Object, blob: Blob}>} items - 可恢复的壁纸
+     * @param {Object} report - 恢复报告
+     * @returns {Promise<Object|null>} - 恢复计划（见 planReplace），用户取消时为null
+     */
+    async planMerge(items, report) {
+        await this.gallery.ensureFingerprints();
+
+        // 在副本上规划，写入完成前不改动画廊中的壁纸
+        const records = this.gallery.wallpapers
+            .filter(wallpaper => this.gallery.isLocalWallpaper(wallpaper))
+            .map(({ url, posterUrl, ...record }) => ({ ...record }));
+        const byId = new Map(records.map(record => [record.id, record]));
+        const writes = [];
+        const idMap = new Map();
+        const conflicts = [];
+
+        const add = ({ record, blob }, id) => {
+            const restored = { ...record, id };
+            records.push(restored);
+            byId.set(id, restored);
+            writes.push({ id, blob });
+            idMap.set(record.id, id);
+        };
+
+        for (const item of items) {
+            const { record } = item;
+            const sameId = byId.get(record.id);
+            const match = Fingerprint.findMatch(record, records);
+
+            if (match && match.kind === 'exact') {
+                match.target.tags = this.gallery.normalizeTags([...(match.target.tags || []), ...record.tags]);
+                idMap.set(record.id, match.target.id);
+                report.merged++;
+            } else if (sameId) {
+                const distance = sameId.phash && record.phash ? Fingerprint.hammingDistance(record.phash, sameId.phash) : 64;
+                conflicts.push({ item, match: { target: sameId, kind: 'similar', distance, label: '同一壁纸的不同版本' } });
+            } else if (match) {
+                conflicts.push({ item, match });
+            } else {
+                add(item, record.id);
+                report.added++;
+            }
+        }
+
+        if (conflicts.length === 0) {
+            return { records, writes, idMap };
+        }
+
+        this.setStatus('等待处理冲突的壁纸…');
+        const previewUrls = conflicts.map(({ item }) => URL.createObjectURL(item.blob));
+        const decisions = await this.gallery.duplicateReport.show(conflicts.map(({ item, match }, index) => ({
+            name: item.record.name,
+            previewUrl: previewUrls[index],
+            match: {
+                ...match,
+                target: { name: match.target.name, thumbnail: match.target.thumbnail, replaceable: true }
+            }
+        })));
+        previewUrls.forEach(url => URL.revokeObjectURL(url));
+
+        if (!decisions) return null;
+
+        conflicts.forEach(({ item, match }, index) => {
+            const { record, blob } = item;
+            const target = match.target;
+
+            if (decisions[index] === 'replace') {
+                // 保留本地的ID，换成备份中的图片和信息
+                Object.assign(target, { ...record, id: target.id });
+                writes.push({ id: target.id, blob });
+                idMap.set(record.id, target.id);
+                report.replaced++;
+            } else if (decisions[index] === 'keep') {
+                const id = byId.has(record.id) ? Utils.generateId() : record.id;
+                add(item, id);
+                report.renamed++;
+            } else {
+                idMap.set(record.id, target.id);
+                report.skipped++;
+            }
+        });
+
+        return { records, writes, idMap };
+    }
+
+    /**
+     * 写入恢复计划：先保存图片文件，再保存壁纸信息、收藏、精选壁纸的修改和设置
+     * @param {Object} plan - 恢复计划
+     * @param {Object} manifest - 备份清单
+     * @param {string} mode - 'merge' 或 'replace'
+     * @param {Object} report - 恢复报告
+     * @throws {BackupError} - 存储空间不足时
+     */
+    async commit(plan, manifest, mode, report) {
+        const localIds = new Set(this.gallery.wallpapers.map(wallpaper => wallpaper.id));
+        const written = [];
+        const previous = new Map(); // 被覆盖的已有壁纸文件（壁纸ID -> Blob）
+
+        // 写入失败时删除本次新增的文件，并把被覆盖的文件写回，已有记录仍指向原来的图片
+        const rollback = async () => {
+            for (const id of written) {
+                const blob = previous.get(id);
+                await (blob ? this.gallery.blobStore.put(id, blob) : this.gallery.blobStore.delete(id)).catch(() => {});
+            }
+        };
+
+        for (const [index, { id, blob }] of plan.writes.entries()) {
+            this.setStatus(`正在保存图片 ${index + 1} / ${plan.writes.length}…`);
+            try {
+                if (localIds.has(id) && !previous.has(id)) {
+                    previous.set(id, await this.gallery.blobStore.get(id));
+                }
+                await this.gallery.blobStore.put(id, blob);
+                written.push(id);
+            } catch (error) {
+                await rollback();
+                if (error && error.name === 'QuotaExceededError') {
+                    throw new BackupError('存储空间不足，恢复已中止');
+                }
+                throw new BackupError('无法保存图片文件，恢复已中止');
+            }
+        }
+
+        if (!Utils.saveToJSON('wallpapers.json', plan.records)) {
+            await rollback();
+            throw new BackupError('本地存储空间不足，无法保存壁纸信息，恢复已中止');
+        }
+
+        // 收藏中的精选壁纸ID原样保留，本地壁纸ID换成恢复后的ID
+        const favorites = manifest.favorites
+            .filter(id => typeof id === 'string')
+            .map(id => plan.idMap.get(id) || (id.startsWith('collection:') ? id : null))
+            .filter(Boolean);
+
+        const backupOverrides = this.readOverrides(manifest, report);
+        const backupSettings = this.readBackupSettings(manifest, report);
+
+        if (mode === 'replace') {
+            Utils.saveToJSON('favorites.json', Array.from(new Set(favorites)));
+            Utils.saveToJSON('collection_overrides.json', backupOverrides);
+            // 备份中没有的设置恢复为默认值
+            Object.keys(Backup.SETTINGS_FILES).forEach(file => {
+                if (file in backupSettings) {
+                    Utils.saveToJSON(file, backupSettings[file]);
+                } else {
+                    Utils.removeJSON(file);
+                }
+            });
+            return;
+        }
+
+        Utils.saveToJSON('favorites.json', Array.from(new Set([...this.gallery.favoriteIds, ...favorites])));
+
+        // 本地已有且不同的修改和设置保留本地版本
+        const overrides = { ...this.gallery.collectionOverrides };
+        Object.entries(backupOverrides).forEach(([id, changes]) => {
+            if (!overrides[id]) {
+                overrides[id] = changes;
+            } else if (JSON.stringify(overrides[id]) !== JSON.stringify(changes)) {
+                report.overrideConflicts++;
+            }
+        });
+        Utils.saveToJSON('collection_overrides.json', overrides);
+
+        Object.entries(backupSettings).forEach(([file, value]) => {
+            const local = Utils.getFromJSON(file, null);
+            if (local === null) {
+                Utils.saveToJSON(file, value);
+            } else if (JSON.stringify(local) !== JSON.stringify(value)) {
+                report.settingConflicts.push(Backup.SETTINGS_FILES[file]);
+            }
+        });
+    }
+
+    /**
+     * 读取备份中对精选壁纸的修改，格式不正确的条目记入报告后忽略
+     * @param {Object} manifest - 备份清单
+     * @param {Object} report - 恢复报告
+     * @returns {Object<string, Object>} - 壁纸ID到修改字段的映射
+     */
+    readOverrides(manifest, report) {
+        const overrides = {};
+        let invalidCount = 0;
+
+        Object.entries(manifest.collectionOverrides).forEach(([id, changes]) => {
+            if (!id.startsWith('collection:') || !Backup.isPlainObject(changes) || Backup.validateFields(changes).length > 0) {
+                invalidCount++;
+                return;
+            }
+            overrides[id] = Backup.pickFields(changes, Backup.OVERRIDE_FIELDS);
+        });
+
+        if (invalidCount > 0) {
+            report.ignored.push(`${invalidCount} 项精选壁纸的修改`);
+        }
+        return overrides;
+    }
+
+    /**
+     * 读取备份中的设置，只保留已知且格式正确的设置文件
+     * @param {Object} manifest - 备份清单
+     * @param {Object} report - 恢复报告
+     * @returns {Object<string, *>} - 设置文件名到内容的映射
+     */
+    readBackupSettings(manifest, report) {
+        const settings = {};
+
+        Object.entries(Backup.SETTINGS_FILES).forEach(([file, label]) => {
+            if (!(file in manifest.settings)) return;
+
+            if (Backup.isValidSetting(file, manifest.settings[file])) {
+                settings[file] = manifest.settings[file];
+            } else {
+                report.ignored.push(`${label}设置`);
+            }
+        });
+
+        return settings;
+    }
+
+    /**
+     * 页面刷新后显示上次恢复的结果
+     */
+    showSavedReport() {
+        let report = null;
+        try {
+            report = JSON.parse(sessionStorage.getItem(Backup.REPORT_KEY));
+            sessionStorage.removeItem(Backup.REPORT_KEY);
+        } catch (error) {
+            return;
+        }
+        if (!report) return;
+
+        const restored = report.added + report.replaced + report.renamed;
+        this.open();
+        this.setStatus(`备份已${report.mode === 'replace' ? '替换' : '合并'}到本地，恢复了 ${restored} 张壁纸`,
+            report.failed.length > 0 ? 'error' : 'success');
+        this.renderReport(report);
+    }
+
+    /**
+     * 渲染恢复或导出报告
+     * @param {Object|null} report - 报告，为null时清空
+     */
+    renderReport(report) {
+        if (!this.report) return;
+
+        const lines = [];
+        if (report) {
+            if (report.merged) lines.push(['info', `${report.merged} 张与现有壁纸完全相同，已合并标签`]);
+            if (report.replaced) lines.push(['info', `${report.replaced} 张替换了现有壁纸`]);
+            if (report.renamed) lines.push(['info', `${report.renamed} 张与现有壁纸冲突，已作为新壁纸保留`]);
+            if (report.skipped) lines.push(['info', `${report.skipped} 张与现有壁纸冲突，已跳过`]);
+            if (report.overrideConflicts) {
+                lines.push(['warning', `${report.overrideConflicts} 项精选壁纸的修改与本地不同，已保留本地版本`]);
+            }
+            if (report.settingConflicts && report.settingConflicts.length > 0) {
+                lines.push(['warning', `以下设置与本地不同，已保留本地设置：${report.settingConflicts.join('、')}`]);
+            }
+            if (report.ignored && report.ignored.length > 0) {
+                lines.push(['warning', `以下内容格式不正确，已忽略：${report.ignored.join('、')}`]);
+            }
+            (report.failed || []).forEach(({ name, reason }) => {
+                lines.push(['error', `${name}：${reason}`]);
+            });
+        }
+
+        this.report.innerHTML = lines.map(([type, text]) =>
+            `<li class="backup-report-item ${type}">${Utils.escapeHTML(text)}</li>`
+        ).join('');
+        this.report.hidden = lines.length === 0;
+    }
+}
+
+// 导出备份与恢复类
+window.BackupError = BackupError;
+window.Backup = Backup;
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * 宽高比分类设置类
+ * 调整超宽屏、横屏、方图、竖屏和长屏手机的分组阈值，以及每组显示在哪个分区
+ */
+class ClassifySettings {
+    /**
+     * @param {Gallery} gallery - 画廊实例
+     * @param {ShortcutManager} shortcuts - 快捷键管理器
+     */
+    constructor(gallery, shortcuts) {
+        this.gallery = gallery;
+        this.shortcuts = shortcuts;
+        this.dialog = Utils.$('#classify-dialog');
+        this.form = Utils.$('.classify-form');
+        this.list = Utils.$('.classify-buckets');
+        this.isOpen = false;
+
+        this.init();
+    }
+
+    /**
+     * 分区选项
+     * @returns {Object<string, string>}
+     */
+    static get ROUTES() {
+        return {
+            landscape: '横屏幻灯片',
+            portrait: '竖屏画廊',
+            both: '两处都显示'
+        };
+    }
+
+    /**
+     * 初始化对话框
+     */
+    init() {
+        if (!this.dialog || !this.form || !this.list) return;
+
+        const openBtn = Utils.$('.classify-open-btn');
+        if (openBtn) {
+            Utils.on(openBtn, 'click', () => this.open());
+        }
+
+        this.list.innerHTML = Devices.BUCKETS.map(bucket => `
+            <div class="classify-bucket" data-bucket="${bucket.id}">
+                <span class="classify-bucket-name">${bucket.name}</span>
+                <span class="classify-bucket-range"></span>
+                <span class="classify-bucket-count"></span>
+                <select name="route-${bucket.id}" aria-label="${bucket.name}显示在">
+                    ${Object.entries(ClassifySettings.ROUTES).map(([value, label]) =>
+                        `<option value="${value}">${label}</option>`
+                    ).join('')}
+                </select>
+            </div>
+        `).join('');
+
+        // 修改阈值时即时预览各组的数量
+        Utils.on(this.form, 'input', () => this.updatePreview());
+
+        Utils.on(this.form, 'submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        Utils.on(this.form, 'reset', (e) => {
+            e.preventDefault();
+            this.close();
+        });
+
+        const defaultsBtn = Utils.$('[data-classify-action="defaults"]', this.form);
+        if (defaultsBtn) {
+            Utils.on(defaultsBtn, 'click', () => {
+                this.fill({ thresholds: Devices.DEFAULT_THRESHOLDS, routes: Gallery.DEFAULT_ROUTES });
+            });
+        }
+
+        this.shortcuts.registerContext('classify-settings', {
+            label: '宽高比分类',
+            priority: 91,
+            isActive: () => this.isOpen,
+            modal: true
+        });
+        this.shortcuts.register('classify-settings.close', {
+            context: 'classify-settings',
+            description: '关闭分类设置',
+            keys: ['Escape'],
+            handler: () => this.close(),
+            allowInInput: true
+        });
+    }
+
+    /**
+     * 打开对话框，显示当前设置
+     */
+    open() {
+        if (!this.dialog) return;
+
+        this.fill(this.gallery.classifySettings);
+        this.dialog.classList.add('active');
+        this.isOpen = true;
+        this.form.elements.ultrawide.focus();
+    }
+
+    /**
+     * 关闭对话框，未保存的修改被丢弃
+     */
+    close() {
+        if (!this.isOpen) return;
+        this.dialog.classList.remove('active');
+        this.isOpen = false;
+    }
+
+    /**
+     * 将设置填入表单
+     * @param {{thresholds: Object, routes: Object<string, string>}} settings - 分类设置
+     */
+    fill({ thresholds, routes }) {
+        const fields = this.form.elements;
+        Object.keys(Devices.DEFAULT_THRESHOLDS).forEach(key => {
+            fields[key].value = String(thresholds[key]);
+        });
+        Devices.BUCKETS.forEach(bucket => {
+            fields[`route-${bucket.id}`].value = routes[bucket.id];
+        });
+        this.updatePreview();
+    }
+
+    /**
+     * 读取表单中的阈值
+     * @returns {Object} - 阈值，见 Devices.DEFAULT_THRESHOLDS
+     */
+    readThresholds() {
+        const fields = this.form.elements;
+        return Object.keys(Devices.DEFAULT_THRESHOLDS).reduce((thresholds, key) => {
+            thresholds[key] = parseFloat(fields[key].value);
+            return thresholds;
+        }, {});
+    }
+
+    /**
+     * 读取表单中各分组的分区
+     * @returns {Object<string, string>} - 分组ID到分区的映射
+     */
+    readRoutes() {
+        const fields = this.form.elements;
+        return Devices.BUCKETS.reduce((routes, bucket) => {
+            routes[bucket.id] = fields[`route-${bucket.id}`].value;
+            return routes;
+        }, {});
+    }
+
+    /**
+     * 按表单中的阈值更新各组的宽高比范围和壁纸数量
+     * 阈值不合法时显示原因并禁止保存
+     */
+    updatePreview() {
+        const thresholds = this.readThresholds();
+        const problem = Devices.validateThresholds(thresholds);
+
+        const error = Utils.$('.classify-error', this.form);
+        if (error) error.textContent = problem;
+        const saveBtn = Utils.$('.save-btn', this.form);
+        if (saveBtn) saveBtn.disabled = Boolean(problem);
+
+        const counts = {};
+        if (!problem) {
+            this.gallery.wallpapers.forEach(wallpaper => {
+                const bucket = this.gallery.getBucket(wallpaper, thresholds);
+                counts[bucket] = (counts[bucket] || 0) + 1;
+            });
+        }
+
+        const { ultrawide, landscape, portrait, tall } = thresholds;
+        const ranges = {
+            ultrawide: `≥ ${ultrawide}`,
+            landscape: `${landscape} ～ ${ultrawide}`,
+            square: `${portrait} ～ ${landscape}`,
+            portrait: `${tall} ～ ${portrait}`,
+            tall: `≤ ${tall}`
+        };
+
+        Utils.$$('.classify-bucket', this.list).forEach(row => {
+            const bucket = row.dataset.bucket;
+            Utils.$('.classify-bucket-range', row).textContent = problem ? '' : ranges[bucket];
+            Utils.$('.classify-bucket-count', row).textContent = problem ? '' : `${counts[bucket] || 0} 张`;
+        });
+    }
+
+    /**
+     * 保存设置并重新分类
+     */
+    save() {
+        const thresholds = this.readThresholds();
+        if (Devices.validateThresholds(thresholds)) return;
+
+        this.gallery.setClassifySettings({ thresholds, routes: this.readRoutes() });
+        this.close();
+        Utils.showToast('已按新的宽高比分类重新整理壁纸', 'success');
+    }
+}
+
+// 导出宽高比分类设置类
+window.ClassifySettings = ClassifySettings;
\ No newline at end of file
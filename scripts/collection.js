@@ -0,0 +1,200 @@
+/**
+ * 精选壁纸清单
+ * 读取并校验仓库自带的 data/wallpapers.json，转换为画廊使用的壁纸对象
+ *
+ * 清单格式：
+ * {
+ *     "version": 1,
+ *     "wallpapers": [
+ *         {
+ *             "id": "sakura-street",                  // 必填，清单内唯一
+ *             "file": "images/sakura-street.jpg",     // 必填，相对于站点根目录的路径
+ *             "width": 3840,                          // 必填，像素
+ *             "height": 2160,                         // 必填，像素
+ *             "title": "樱花街道",                    // 必填
+ *             "artist": "某画师",                     // 可选
+ *             "tags": ["樱花", "街景"],               // 可选
+ *             "thumbnail": "images/thumbs/sakura-street.jpg", // 可选，缺省时使用原图
+ *             "size": 2048000,                        // 可选，字节数
+ *             "addedAt": "2024-05-01",                // 可选，收录日期
+ *             "fit": "crop"                           // 可选，横屏幻灯片中的显示方式：letterbox（默认）、crop 或 fill
+ *         }
+ *     ]
+ * }
+ */
+class Collection {
+    /**
+     * 清单格式版本
+     * @returns {number}
+     */
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * 加载精选壁纸清单
+     * @param {string} url - 清单地址
+     * @returns {Promise<{wallpapers: Array, errors: string[]}>} - 壁纸列表与错误信息
+     */
+    static async load(url = 'data/wallpapers.json') {
+        let manifest;
+
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const text = await response.text();
+            // 空文件视为空清单
+            manifest = text.trim() ? JSON.parse(text) : { version: this.VERSION, wallpapers: [] };
+        } catch (error) {
+            // 直接以file://打开页面时无法请求清单，只使用本地壁纸
+            console.warn('无法加载壁纸清单:', error);
+            return {
+                wallpapers: [],
+                errors: location.protocol === 'file:' ? [] : [`无法读取 ${url}: ${error.message}`]
+            };
+        }
+
+        const { entries, errors } = this.validate(manifest);
+        return {
+            wallpapers: entries.map(entry => this.toWallpaper(entry)),
+            errors
+        };
+    }
+
+    /**
+     * 校验清单结构
+     * @param {Object} manifest - 清单数据
+     * @returns {{entries: Array, errors: string[]}} - 有效条目与错误信息
+     */
+    static validate(manifest) {
+        const entries = [];
+        const errors = [];
+
+        if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.wallpapers)) {
+            errors.push('清单缺少 wallpapers 数组');
+            return { entries, errors };
+        }
+
+        if (manifest.version !== this.VERSION) {
+            errors.push(`不支持的清单版本: ${manifest.version}`);
+            return { entries, errors };
+        }
+
+        const seenIds = new Set();
+
+        manifest.wallpapers.forEach((entry, index) => {
+            const label = `第 ${index + 1} 项${entry && entry.id ? `（${entry.id}）` : ''}`;
+            const problems = this.validateEntry(entry);
+
+            if (entry && typeof entry.id === 'string') {
+                if (seenIds.has(entry.id)) {
+                    problems.push('id 重复');
+                }
+                seenIds.add(entry.id);
+            }
+
+            if (problems.length > 0) {
+                errors.push(`${label}: ${problems.join('，')}`);
+            } else {
+                entries.push(entry);
+            }
+        });
+
+        return { entries, errors };
+    }
+
+    /**
+     * 校验单个清单条目
+     * @param {Object} entry - 清单条目
+     * @returns {string[]} - 问题列表，为空表示有效
+     */
+    static validateEntry(entry) {
+        if (!entry || typeof entry !== 'object') {
+            return ['条目必须是对象'];
+        }
+
+        const problems = [];
+        const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+        const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+        if (!isNonEmptyString(entry.id)) problems.push('缺少 id');
+        if (!isNonEmptyString(entry.title)) problems.push('缺少 title');
+
+        if (!isNonEmptyString(entry.file)) {
+            problems.push('缺少 file');
+        } else if (!this.isRelativePath(entry.file)) {
+            problems.push('file 必须是相对路径');
+        }
+
+        if (!isPositiveInteger(entry.width)) problems.push('width 必须是正整数');
+        if (!isPositiveInteger(entry.height)) problems.push('height 必须是正整数');
+
+        if (entry.artist !== undefined && typeof entry.artist !== 'string') {
+            problems.push('artist 必须是字符串');
+        }
+        if (entry.tags !== undefined &&
+            (!Array.isArray(entry.tags) || !entry.tags.every(isNonEmptyString))) {
+            problems.push('tags 必须是字符串数组');
+        }
+        if (entry.thumbnail !== undefined &&
+            (!isNonEmptyString(entry.thumbnail) || !this.isRelativePath(entry.thumbnail))) {
+            problems.push('thumbnail 必须是相对路径');
+        }
+        if (entry.size !== undefined && !(Number.isInteger(entry.size) && entry.size >= 0)) {
+            problems.push('size 必须是非负整数');
+        }
+        if (entry.addedAt !== undefined && isNaN(Date.parse(entry.addedAt))) {
+            problems.push('addedAt 不是有效日期');
+        }
+        if (entry.fit !== undefined && !Object.keys(Devices.FIT_MODES).includes(entry.fit)) {
+            problems.push(`fit 必须是 ${Object.keys(Devices.FIT_MODES).join('、')} 之一`);
+        }
+
+        return problems;
+    }
+
+    /**
+     * 检查是否为相对路径
+     * 部署到GitHub Pages项目站点时，以/开头的路径会指向错误位置
+     * @param {string} path - 路径
+     * @returns {boolean} - 是否为相对路径
+     */
+    static isRelativePath(path) {
+        return !/^([a-z][a-z0-9+.-]*:|\/)/i.test(path.trim());
+    }
+
+    /**
+     * 将清单条目转换为壁纸对象
+     * @param {Object} entry - 清单条目
+     * @returns {Object} - 壁纸对象
+     */
+    static toWallpaper(entry) {
+        const fileName = entry.file.split('/').pop();
+        const extension = Utils.getFileExtension(fileName);
+        const mimeType = Object.keys(Utils.IMAGE_TYPES)
+            .find(type => Utils.IMAGE_TYPES[type].includes(extension));
+
+        return {
+            id: `collection:${entry.id}`,
+            name: entry.title,
+            originalName: fileName,
+            title: entry.title,
+            artist: entry.artist || '',
+            size: entry.size || 0,
+            width: entry.width,
+            height: entry.height,
+            type: mimeType || '',
+            thumbnail: entry.thumbnail || entry.file,
+            url: entry.file,
+            uploadedAt: entry.addedAt ? new Date(entry.addedAt).toISOString() : null,
+            tags: entry.tags ? [...entry.tags] : [],
+            fit: entry.fit || '',
+            origin: 'collection'
+        };
+    }
+}
+
+// 导出精选壁纸清单类
+window.Collection = Collection;
\ No newline at end of file
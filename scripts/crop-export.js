@@ -0,0 +1,339 @@
+/**
+ * 裁剪导出类
+ * 按设备分辨率裁剪壁纸，可拖动和缩放裁剪框，通过Canvas导出为PNG、JPEG或WebP
+ */
+class CropExport {
+    /**
+     * @param {ShortcutManager} shortcuts - 快捷键管理器
+     */
+    constructor(shortcuts) {
+        this.shortcuts = shortcuts;
+        this.dialog = Utils.$('#crop-dialog');
+        this.stage = Utils.$('.crop-stage');
+        this.image = Utils.$('.crop-image');
+        this.frame = Utils.$('.crop-frame');
+        this.form = Utils.$('.crop-form');
+        this.wallpaper = null;
+        this.source = null; // 已加载完成的原图（即 this.image）
+        this.crop = { x: 0, y: 0, width: 0, height: 0 }; // 裁剪区域（原图像素）
+        this.drag = null; // 正在进行的拖动
+        this.isOpen = false;
+
+        this.init();
+    }
+
+    /**
+     * 导出格式
+     * @returns {Object<string, {type: string, extension: string, lossy: boolean}>}
+     */
+    static get FORMATS() {
+        return {
+            png: { type: 'image/png', extension: 'png', lossy: false },
+            jpeg: { type: 'image/jpeg', extension: 'jpg', lossy: true },
+            webp: { type: 'image/webp', extension: 'webp', lossy: true }
+        };
+    }
+
+    /**
+     * 初始化对话框
+     */
+    init() {
+        if (!this.dialog || !this.form) return;
+
+        const fields = this.form.elements;
+        fields.device.innerHTML = Devices.PRESETS.map(device =>
+            `<option value="${device.id}">${Utils.escapeHTML(device.name)}（${device.width}×${device.height}）</option>`
+        ).join('');
+
+        Utils.on(fields.device, 'change', () => this.resetCrop());
+        Utils.on(fields.format, 'change', () => this.updateSummary());
+        Utils.on(fields.quality, 'input', () => this.updateSummary());
+
+        Utils.on(this.form, 'submit', (e) => {
+            e.preventDefault();
+            this.export();
+        });
+        Utils.on(this.form, 'reset', (e) => {
+            e.preventDefault();
+            this.close();
+        });
+
+        if (this.frame) {
+            Utils.on(this.frame, 'pointerdown', (e) => this.startDrag(e));
+            Utils.on(this.frame, 'pointermove', (e) => this.updateDrag(e));
+            Utils.on(this.frame, 'pointerup', () => this.endDrag());
+            Utils.on(this.frame, 'pointercancel', () => this.endDrag());
+        }
+
+        this.shortcuts.registerContext('crop-export', {
+            label: '裁剪导出',
+            priority: 90,
+            isActive: () => this.isOpen,
+            modal: true
+        });
+        this.shortcuts.register('crop-export.close', {
+            context: 'crop-export',
+            description: '关闭裁剪对话框',
+            keys: ['Escape'],
+            handler: () => this.close(),
+            allowInInput: true
+        });
+
+        // 舞台尺寸变化后重新定位裁剪框
+        Utils.on(window, 'resize', Utils.debounce(() => {
+            if (this.isOpen) this.renderFrame();
+        }, 200));
+    }
+
+    /**
+     * 打开裁剪导出对话框
+     * @param {Object} wallpaper - 壁纸对象
+     */
+    open(wallpaper) {
+        if (!this.dialog || !wallpaper) return;
+
+        this.wallpaper = wallpaper;
+        this.source = null;
+        this.dialog.classList.add('active', 'loading');
+        this.isOpen = true;
+
+        // 默认选中比例最接近的设备
+        const best = Devices.getFits(wallpaper.width, wallpaper.height)[0];
+        if (best) this.form.elements.device.value = best.device.id;
+
+        // 直接在对话框中加载原图，加载完成后才能计算显示比例
+        this.image.onload = () => {
+            if (this.wallpaper !== wallpaper) return;
+            this.source = this.image;
+            this.dialog.classList.remove('loading');
+            this.resetCrop();
+        };
+        this.image.onerror = () => {
+            if (this.wallpaper !== wallpaper) return;
+            Utils.showToast('无法加载原图', 'error');
+            this.close();
+        };
+        this.image.crossOrigin = 'anonymous';
+        this.image.src = wallpaper.url;
+    }
+
+    /**
+     * 关闭对话框
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.dialog.classList.remove('active', 'loading');
+        this.isOpen = false;
+        this.wallpaper = null;
+        this.source = null;
+        this.drag = null;
+    }
+
+    /**
+     * 获取当前选择的设备
+     * @returns {Object} - 设备预设
+     */
+    getDevice() {
+        const id = this.form.elements.device.value;
+        return Devices.PRESETS.find(device => device.id === id) || Devices.PRESETS[0];
+    }
+
+    /**
+     * 按设备比例设置最大的居中裁剪框
+     */
+    resetCrop() {
+        if (!this.source) return;
+
+        const { naturalWidth: width, naturalHeight: height } = this.source;
+        const device = this.getDevice();
+        const ratio = device.width / device.height;
+
+        const cropWidth = width / height > ratio ? height * ratio : width;
+        const cropHeight = cropWidth / ratio;
+        this.crop = {
+            x: (width - cropWidth) / 2,
+            y: (height - cropHeight) / 2,
+            width: cropWidth,
+            height: cropHeight
+        };
+
+        this.renderFrame();
+    }
+
+    /**
+     * 屏幕像素与原图像素的比例
+     * @returns {number}
+     */
+    getDisplayScale() {
+        return this.image.clientWidth / this.source.naturalWidth || 1;
+    }
+
+    /**
+     * 根据裁剪区域定位裁剪框
+     */
+    renderFrame() {
+        if (!this.source || !this.frame) return;
+
+        const scale = this.getDisplayScale();
+        Object.assign(this.frame.style, {
+            left: `${this.image.offsetLeft + this.crop.x * scale}px`,
+            top: `${this.image.offsetTop + this.crop.y * scale}px`,
+            width: `${this.crop.width * scale}px`,
+            height: `${this.crop.height * scale}px`
+        });
+
+        this.updateSummary();
+    }
+
+    /**
+     * 开始拖动裁剪框或缩放手柄
+     * @param {PointerEvent} e - 指针事件
+     */
+    startDrag(e) {
+        if (!this.source) return;
+        e.preventDefault();
+        this.frame.setPointerCapture(e.pointerId);
+
+        const handle = e.target.closest('[data-handle]');
+        this.drag = {
+            handle: handle ? handle.dataset.handle : 'move',
+            startX: e.clientX,
+            startY: e.clientY,
+            crop: { ...this.crop }
+        };
+    }
+
+    /**
+     * 更新拖动
+     * 移动时限制在图片范围内；缩放时固定对角，保持设备比例
+     * @param {PointerEvent} e - 指针事件
+     */
+    updateDrag(e) {
+        if (!this.drag) return;
+
+        const scale = this.getDisplayScale();
+        const dx = (e.clientX - this.drag.startX) / scale;
+        const dy = (e.clientY - this.drag.startY) / scale;
+        const { naturalWidth: width, naturalHeight: height } = this.source;
+        const start = this.drag.crop;
+
+        if (this.drag.handle === 'move') {
+            this.crop = {
+                ...start,
+                x: Math.min(Math.max(start.x + dx, 0), width - start.width),
+                y: Math.min(Math.max(start.y + dy, 0), height - start.height)
+            };
+        } else {
+            const ratio = start.width / start.height;
+            const fromLeft = this.drag.handle.includes('w');
+            const fromTop = this.drag.handle.includes('n');
+
+            // 固定的对角
+            const anchorX = fromLeft ? start.x + start.width : start.x;
+            const anchorY = fromTop ? start.y + start.height : start.y;
+
+            // 以水平和垂直方向中变化较大的一个决定新尺寸
+            const widthByX = start.width + (fromLeft ? -dx : dx);
+            const widthByY = (start.height + (fromTop ? -dy : dy)) * ratio;
+            const dominant = Math.abs(widthByX - start.width) >= Math.abs(widthByY - start.width) ? widthByX : widthByY;
+            let newWidth = Math.max(dominant, 40 / scale);
+
+            // 不超出图片
+            const maxWidth = Math.min(
+                fromLeft ? anchorX : width - anchorX,
+                (fromTop ? anchorY : height - anchorY) * ratio
+            );
+            newWidth = Math.min(newWidth, maxWidth);
+            const newHeight = newWidth / ratio;
+
+            this.crop = {
+                x: fromLeft ? anchorX - newWidth : anchorX,
+                y: fromTop ? anchorY - newHeight : anchorY,
+                width: newWidth,
+                height: newHeight
+            };
+        }
+
+        this.renderFrame();
+    }
+
+    /**
+     * 结束拖动
+     */
+    endDrag() {
+        this.drag = null;
+    }
+
+    /**
+     * 更新输出信息
+     */
+    updateSummary() {
+        const fields = this.form.elements;
+        const format = CropExport.FORMATS[fields.format.value];
+        fields.quality.disabled = !format.lossy;
+
+        const qualityValue = Utils.$('.crop-quality-value', this.dialog);
+        if (qualityValue) {
+            qualityValue.textContent = format.lossy ? `${Math.round(fields.quality.value * 100)}%` : '无损';
+        }
+
+        const summary = Utils.$('.crop-summary', this.dialog);
+        if (!summary || !this.source) return;
+
+        const device = this.getDevice();
+        const cropWidth = Math.round(this.crop.width);
+        const cropHeight = Math.round(this.crop.height);
+        const upscale = device.width / this.crop.width;
+
+        summary.classList.toggle('warning', upscale > 1.02);
+        summary.textContent = upscale > 1.02
+            ? `裁剪区域 ${cropWidth}×${cropHeight}，输出 ${device.width}×${device.height} 需放大 ${upscale.toFixed(1)} 倍，画面可能模糊`
+            : `裁剪区域 ${cropWidth}×${cropHeight}，输出 ${device.width}×${device.height}`;
+    }
+
+    /**
+     * 导出裁剪后的图片
+     */
+    export() {
+        if (!this.source) return;
+
+        const fields = this.form.elements;
+        const device = this.getDevice();
+        const format = CropExport.FORMATS[fields.format.value];
+
+        const canvas = document.createElement('canvas');
+        canvas.width = device.width;
+        canvas.height = device.height;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+
+        // JPEG不支持透明，先铺黑色背景
+        if (format.type === 'image/jpeg') {
+            ctx.fillStyle = '#000000';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        const { x, y, width, height } = this.crop;
+        ctx.drawImage(this.source, x, y, width, height, 0, 0, canvas.width, canvas.height);
+
+        const baseName = (this.wallpaper.originalName || this.wallpaper.name).replace(/\.[^.]+$/, '');
+        const fileName = `${baseName}_${device.width}x${device.height}.${format.extension}`;
+
+        canvas.toBlob(blob => {
+            if (!blob) {
+                Utils.showToast('导出失败', 'error');
+                return;
+            }
+            // 浏览器不支持的格式会退回PNG
+            const extension = blob.type === format.type ? format.extension : 'png';
+            Utils.downloadBlob(blob, fileName.replace(/\.[^.]+$/, `.${extension}`));
+            Utils.showToast(`已导出 ${device.width}×${device.height} 壁纸`, 'success');
+            this.close();
+        }, format.type, format.lossy ? Number(fields.quality.value) : undefined);
+    }
+}
+
+// 导出裁剪导出类
+window.CropExport = CropExport;
\ No newline at end of file
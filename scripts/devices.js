@@ -0,0 +1,207 @@
+/**
+ * 设备适配工具类
+ * 提供常见屏幕的预设，计算图片宽高比以及在各设备上是否需要裁剪或放大
+ */
+class Devices {
+    /**
+     * 常见设备屏幕预设
+     * @returns {Array<{id: string, name: string, width: number, height: number}>}
+     */
+    static get PRESETS() {
+        return [
+            { id: 'fhd', name: '1080p 显示器', width: 1920, height: 1080 },
+            { id: 'qhd', name: '2K 显示器', width: 2560, height: 1440 },
+            { id: 'uhd', name: '4K 显示器', width: 3840, height: 2160 },
+            { id: 'laptop', name: '16:10 笔记本', width: 2560, height: 1600 },
+            { id: 'ultrawide', name: '21:9 带鱼屏', width: 3440, height: 1440 },
+            { id: 'superwide', name: '32:9 超宽屏', width: 5120, height: 1440 },
+            { id: 'tablet', name: '4:3 平板', width: 2048, height: 1536 },
+            { id: 'iphone', name: 'iPhone', width: 1179, height: 2556 },
+            { id: 'iphone-max', name: 'iPhone Pro Max', width: 1290, height: 2796 },
+            { id: 'android', name: '安卓手机', width: 1080, height: 2400 }
+        ];
+    }
+
+    /**
+     * 常见宽高比，用于给出易读的名称
+     * @returns {Array<[number, number]>}
+     */
+    static get COMMON_RATIOS() {
+        return [
+            [16, 9], [16, 10], [21, 9], [32, 9], [4, 3], [3, 2], [5, 4], [1, 1],
+            [9, 16], [10, 16], [9, 19.5], [9, 20], [3, 4], [2, 3]
+        ];
+    }
+
+    /**
+     * 宽高比视为一致的相对误差
+     * @returns {number}
+     */
+    static get RATIO_TOLERANCE() {
+        return 0.03;
+    }
+
+    /**
+     * 宽高比分组
+     * @returns {Array<{id: string, name: string}>}
+     */
+    static get BUCKETS() {
+        return [
+            { id: 'ultrawide', name: '超宽屏' },
+            { id: 'landscape', name: '横屏' },
+            { id: 'square', name: '方图' },
+            { id: 'portrait', name: '竖屏' },
+            { id: 'tall', name: '长屏手机' }
+        ];
+    }
+
+    /**
+     * 分组的默认宽高比阈值
+     * 宽高比不小于 ultrawide 为超宽屏，不小于 landscape 为横屏；
+     * 不大于 tall 为长屏手机，不大于 portrait 为竖屏；其余为方图
+     * @returns {{ultrawide: number, landscape: number, portrait: number, tall: number}}
+     */
+    static get DEFAULT_THRESHOLDS() {
+        return { ultrawide: 2.1, landscape: 1.1, portrait: 0.9, tall: 0.5 };
+    }
+
+    /**
+     * 横屏幻灯片中的显示方式
+     * @returns {Object<string, string>}
+     */
+    static get FIT_MODES() {
+        return {
+            letterbox: '留黑边',
+            crop: '裁切填满',
+            fill: '拉伸填满'
+        };
+    }
+
+    /**
+     * 最大公约数
+     * @param {number} a - 整数A
+     * @param {number} b - 整数B
+     * @returns {number} - 最大公约数
+     */
+    static gcd(a, b) {
+        return b === 0 ? a : this.gcd(b, a % b);
+    }
+
+    /**
+     * 计算宽高比及其名称
+     * 优先使用常见比例的名称，如 3440×1440 显示为 "≈21:9"
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @returns {{ratio: number, label: string}} - 比值与名称
+     */
+    static getAspectRatio(width, height) {
+        if (!width || !height) return { ratio: 0, label: '未知' };
+
+        const ratio = width / height;
+        const divisor = this.gcd(Math.round(width), Math.round(height));
+        const reduced = [Math.round(width) / divisor, Math.round(height) / divisor];
+
+        // 约分后恰好是常见比例（16:10 不显示为 8:5）
+        const exact = this.COMMON_RATIOS.find(([w, h]) => w * reduced[1] === h * reduced[0]);
+        if (exact) {
+            return { ratio, label: `${exact[0]}:${exact[1]}` };
+        }
+
+        // 接近某个常见比例
+        let nearest = null;
+        this.COMMON_RATIOS.forEach(([w, h]) => {
+            const error = Math.abs(ratio / (w / h) - 1);
+            if (error <= this.RATIO_TOLERANCE && (!nearest || error < nearest.error)) {
+                nearest = { label: `${w}:${h}`, error };
+            }
+        });
+        if (nearest) {
+            return { ratio, label: `≈${nearest.label}` };
+        }
+
+        if (reduced[0] <= 50 && reduced[1] <= 50) {
+            return { ratio, label: `${reduced[0]}:${reduced[1]}` };
+        }
+        return { ratio, label: ratio >= 1 ? `${ratio.toFixed(2)}:1` : `1:${(1 / ratio).toFixed(2)}` };
+    }
+
+    /**
+     * 按宽高比分组
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @param {Object} thresholds - 阈值，见 DEFAULT_THRESHOLDS
+     * @returns {string} - 分组ID，见 BUCKETS
+     */
+    static getBucket(width, height, thresholds = this.DEFAULT_THRESHOLDS) {
+        const ratio = width / height;
+        if (ratio >= thresholds.ultrawide) return 'ultrawide';
+        if (ratio >= thresholds.landscape) return 'landscape';
+        if (ratio <= thresholds.tall) return 'tall';
+        if (ratio <= thresholds.portrait) return 'portrait';
+        return 'square';
+    }
+
+    /**
+     * 校验分组阈值
+     * 必须为正数，且从超宽屏到长屏手机依次减小
+     * @param {Object} thresholds - 阈值，见 DEFAULT_THRESHOLDS
+     * @returns {string} - 问题说明，有效时为空字符串
+     */
+    static validateThresholds(thresholds) {
+        const { ultrawide, landscape, portrait, tall } = thresholds;
+        if (![ultrawide, landscape, portrait, tall].every(value => Number.isFinite(value) && value > 0)) {
+            return '阈值必须是正数';
+        }
+        if (ultrawide <= landscape) return '超宽屏的阈值必须大于横屏';
+        if (landscape <= portrait) return '横屏的阈值必须大于竖屏';
+        if (portrait <= tall) return '竖屏的阈值必须大于长屏手机';
+        return '';
+    }
+
+    /**
+     * 计算图片在某个设备上的适配情况
+     * 按设备比例居中裁剪后，比较剩余区域与设备分辨率
+     * @param {number} width - 图片宽度
+     * @param {number} height - 图片高度
+     * @param {{width: number, height: number}} device - 设备预设
+     * @returns {{status: string, kept: number, scale: number}} - status 为 'perfect'（比例一致且分辨率足够）、
+     *          'crop'（需裁剪，分辨率足够）或 'upscale'（分辨率不足需放大）；kept 为裁剪后保留的面积比例；scale 为需要的放大倍数
+     */
+    static getFit(width, height, device) {
+        const imageRatio = width / height;
+        const deviceRatio = device.width / device.height;
+
+        const cropWidth = imageRatio > deviceRatio ? height * deviceRatio : width;
+        const cropHeight = imageRatio > deviceRatio ? height : width / deviceRatio;
+        const kept = (cropWidth * cropHeight) / (width * height);
+        const scale = device.width / cropWidth;
+
+        // 允许2%的误差，避免 1900×1080 这类图片被判为分辨率不足
+        let status = 'crop';
+        if (scale > 1.02) {
+            status = 'upscale';
+        } else if (Math.abs(imageRatio / deviceRatio - 1) <= this.RATIO_TOLERANCE) {
+            status = 'perfect';
+        }
+
+        return { status, kept, scale };
+    }
+
+    /**
+     * 计算图片在所有预设设备上的适配情况
+     * @param {number} width - 图片宽度
+     * @param {number} height - 图片高度
+     * @returns {Array<{device: Object, status: string, kept: number, scale: number}>} - 按适配程度排序
+     */
+    static getFits(width, height) {
+        if (!width || !height) return [];
+
+        const order = { perfect: 0, crop: 1, upscale: 2 };
+        return this.PRESETS
+            .map(device => ({ device, ...this.getFit(width, height, device) }))
+            .sort((a, b) => order[a.status] - order[b.status] || b.kept - a.kept);
+    }
+}
+
+// 导出设备适配工具类
+window.Devices = Devices;
\ No newline at end of file
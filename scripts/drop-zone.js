@@ -0,0 +1,162 @@
+/**
+ * 拖放导入类
+ * 在整个页面上接收拖入的图片或文件夹，递归读取文件夹后交给画廊导入
+ */
+class DropZone {
+    /**
+     * @param {Gallery} gallery - 画廊实例
+     */
+    constructor(gallery) {
+        this.gallery = gallery;
+        this.overlay = Utils.$('#drop-overlay');
+        this.dragDepth = 0; // dragenter/dragleave 嵌套计数，避免经过子元素时闪烁
+
+        this.init();
+    }
+
+    /**
+     * 初始化拖放事件
+     */
+    init() {
+        Utils.on(window, 'dragenter', (e) => {
+            if (!this.hasFiles(e)) return;
+            e.preventDefault();
+            this.dragDepth++;
+            this.showOverlay();
+        });
+
+        Utils.on(window, 'dragover', (e) => {
+            if (!this.hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        Utils.on(window, 'dragleave', (e) => {
+            if (!this.hasFiles(e)) return;
+            this.dragDepth = Math.max(0, this.dragDepth - 1);
+            if (this.dragDepth === 0) {
+                this.hideOverlay();
+            }
+        });
+
+        Utils.on(window, 'drop', (e) => {
+            if (!this.hasFiles(e)) return;
+            e.preventDefault();
+            this.dragDepth = 0;
+            this.hideOverlay();
+            this.handleDrop(e.dataTransfer);
+        });
+    }
+
+    /**
+     * 判断拖动的内容是否包含文件
+     * @param {DragEvent} e - 拖放事件
+     * @returns {boolean} - 是否包含文件
+     */
+    hasFiles(e) {
+        return Boolean(e.dataTransfer) && Array.from(e.dataTransfer.types || []).includes('Files');
+    }
+
+    /**
+     * 显示拖放遮罩
+     */
+    showOverlay() {
+        if (this.overlay) this.overlay.classList.add('active');
+    }
+
+    /**
+     * 隐藏拖放遮罩
+     */
+    hideOverlay() {
+        if (this.overlay) this.overlay.classList.remove('active');
+    }
+
+    /**
+     * 处理拖入的内容
+     * @param {DataTransfer} dataTransfer - 拖放数据
+     */
+    async handleDrop(dataTransfer) {
+        // 条目必须在drop事件中同步取出，之后DataTransfer会失效
+        const entries = Array.from(dataTransfer.items || [])
+            .filter(item => item.kind === 'file')
+            .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+        const fallbackFiles = Array.from(dataTransfer.files || []);
+
+        let items;
+        if (entries.length > 0 && entries.every(Boolean)) {
+            items = [];
+            for (const entry of entries) {
+                items.push(...await DropZone.walkEntry(entry));
+            }
+        } else {
+            // 不支持目录读取的浏览器只能导入文件
+            items = fallbackFiles.map(file => ({ file, path: file.name }));
+        }
+
+        if (items.length === 0) {
+            Utils.showToast('没有找到可导入的文件', 'info');
+            return;
+        }
+
+        await this.gallery.importFiles(items);
+    }
+
+    /**
+     * 递归读取文件系统条目
+     * 隐藏文件（如 .DS_Store）会被忽略
+     * @param {FileSystemEntry} entry - 文件或文件夹条目
+     * @param {string} parentPath - 上级文件夹路径
+     * @returns {Promise<Array<{file: File, path: string}>>} - 文件及其相对路径
+     */
+    static async walkEntry(entry, parentPath = '') {
+        if (entry.name.startsWith('.')) return [];
+
+        const path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+
+        if (entry.isFile) {
+            try {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                return [{ file, path }];
+            } catch (error) {
+                console.warn('无法读取文件:', path, error);
+                return [];
+            }
+        }
+
+        if (!entry.isDirectory) return [];
+
+        const children = await this.readDirectory(entry);
+        const items = [];
+        for (const child of children) {
+            items.push(...await this.walkEntry(child, path));
+        }
+        return items;
+    }
+
+    /**
+     * 读取文件夹中的所有条目
+     * readEntries 每次只返回一部分，需要反复调用直到返回空列表
+     * @param {FileSystemDirectoryEntry} directory - 文件夹条目
+     * @returns {Promise<FileSystemEntry[]>} - 子条目列表
+     */
+    static async readDirectory(directory) {
+        const reader = directory.createReader();
+        const entries = [];
+
+        try {
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                entries.push(...batch);
+            } while (batch.length > 0);
+        } catch (error) {
+            console.warn('无法读取文件夹:', directory.fullPath, error);
+        }
+
+        // 按名称排序，导入顺序与文件管理器一致
+        return entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    }
+}
+
+// 导出拖放导入类
+window.DropZone = DropZone;
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * 重复图片报告类
+ * 导入时列出重复或相似的图片，由用户选择跳过、替换或保留两者
+ */
+class DuplicateReport {
+    /**
+     * @param {ShortcutManager} shortcuts - 快捷键管理器
+     */
+    constructor(shortcuts) {
+        this.shortcuts = shortcuts;
+        this.dialog = Utils.$('#duplicate-report');
+        this.list = Utils.$('.duplicate-list');
+        this.items = [];
+        this.resolve = null; // 当前报告的Promise回调
+
+        this.init();
+    }
+
+    /**
+     * 初始化报告对话框
+     */
+    init() {
+        if (!this.dialog) return;
+
+        // 报告显示时屏蔽画廊和灯箱的快捷键
+        this.shortcuts.registerContext('duplicate-report', {
+            label: '重复图片报告',
+            priority: 95,
+            isActive: () => this.dialog.classList.contains('active'),
+            modal: true
+        });
+
+        Utils.on(this.dialog, 'click', (e) => {
+            const actionBtn = e.target.closest('[data-report-action]');
+            if (!actionBtn) return;
+
+            const action = actionBtn.dataset.reportAction;
+            if (action === 'confirm') {
+                this.finish(this.collectDecisions());
+            } else if (action === 'cancel') {
+                this.finish(null);
+            } else {
+                this.applyToAll(action);
+            }
+        });
+    }
+
+    /**
+     * 显示报告
+     * @param {Array<Object>} items - 重复项列表
+     * @param {string} items[].name - 新文件名
+     * @param {string} items[].previewUrl - 新文件预览URL
+     * @param {Object} items[].match - Fingerprint.findMatch 的结果，target 需包含 name、thumbnail、replaceable；
+     *        可附带 label 替换默认的相似度说明
+     * @returns {Promise<string[]|null>} - 每项的处理方式 ('skip'、'replace' 或 'keep')，取消导入时为null
+     */
+    show(items) {
+        if (!this.dialog || !this.list) {
+            return Promise.resolve(items.map(() => 'skip'));
+        }
+
+        this.items = items;
+        this.render();
+        this.dialog.classList.add('active');
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * 渲染重复项列表
+     */
+    render() {
+        const summary = Utils.$('.duplicate-summary', this.dialog);
+        if (summary) {
+            const exactCount = this.items.filter(item => item.match.kind === 'exact').length;
+            summary.textContent = `发现 ${exactCount} 张完全相同、${this.items.length - exactCount} 张相似的图片`;
+        }
+
+        this.list.innerHTML = this.items.map((item, index) => {
+            const { target, kind, distance } = item.match;
+            const similarity = Math.round((1 - distance / 64) * 100);
+            const label = item.match.label || (kind === 'exact' ? '完全相同' : `相似度 ${similarity}%`);
+
+            return `
+                <div class="duplicate-item" data-index="${index}">
+                    <figure class="duplicate-figure">
+                        <img src="${Utils.escapeHTML(item.previewUrl)}" alt="">
+                        <figcaption title="${Utils.escapeHTML(item.name)}">新：${Utils.escapeHTML(item.name)}</figcaption>
+                    </figure>
+                    <span class="duplicate-kind ${kind}">${label}</span>
+                    <figure class="duplicate-figure">
+                        <img src="${Utils.escapeHTML(target.thumbnail || '')}" alt="">
+                        <figcaption title="${Utils.escapeHTML(target.name)}">已有：${Utils.escapeHTML(target.name)}</figcaption>
+                    </figure>
+                    <div class="duplicate-options" role="radiogroup" aria-label="处理方式">
+                        ${this.renderOption(index, 'skip', '跳过', 'skip')}
+                        ${target.replaceable ? this.renderOption(index, 'replace', '替换', 'skip') : ''}
+                        ${this.renderOption(index, 'keep', '保留两者', 'skip')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 渲染单个处理选项
+     * @param {number} index - 重复项索引
+     * @param {string} value - 选项值
+     * @param {string} label - 选项文字
+     * @param {string} checkedValue - 默认选中的值
+     * @returns {string} - 选项HTML
+     */
+    renderOption(index, value, label, checkedValue) {
+        return `
+            <label class="duplicate-option">
+                <input type="radio" name="duplicate-${index}" value="${value}" ${value === checkedValue ? 'checked' : ''}>
+                <span>${label}</span>
+            </label>
+        `;
+    }
+
+    /**
+     * 对所有重复项应用同一种处理方式
+     * 无法替换的项（如精选壁纸）保持原选择
+     * @param {string} decision - 处理方式
+     */
+    applyToAll(decision) {
+        Utils.$$(`.duplicate-options input[value="${decision}"]`, this.list).forEach(input => {
+            input.checked = true;
+        });
+    }
+
+    /**
+     * 读取每项的处理方式
+     * @returns {string[]} - 处理方式列表
+     */
+    collectDecisions() {
+        return this.items.map((_, index) => {
+            const checked = Utils.$(`input[name="duplicate-${index}"]:checked`, this.list);
+            return checked ? checked.value : 'skip';
+        });
+    }
+
+    /**
+     * 关闭报告并返回结果
+     * @param {string[]|null} decisions - 处理方式列表
+     */
+    finish(decisions) {
+        this.dialog.classList.remove('active');
+        this.list.innerHTML = '';
+        this.items = [];
+
+        if (this.resolve) {
+            this.resolve(decisions);
+            this.resolve = null;
+        }
+    }
+}
+
+// 导出重复图片报告类
+window.DuplicateReport = DuplicateReport;
\ No newline at end of file
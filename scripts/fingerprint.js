@@ -0,0 +1,158 @@
+/**
+ * 图片指纹工具类
+ * 内容哈希用于识别完全相同的文件，感知哈希用于识别缩放或重新编码后的相似图片
+ */
+class Fingerprint {
+    /**
+     * 感知哈希判定为相似的最大汉明距离（共64位）
+     * @returns {number}
+     */
+    static get SIMILAR_THRESHOLD() {
+        return 10;
+    }
+
+    /**
+     * 计算图片指纹
+     * @param {Blob} file - 图片文件
+     * @returns {Promise<{hash: string, phash: string|null}>} - 内容哈希与感知哈希
+     */
+    static async compute(file) {
+        const hash = await this.computeContentHash(file);
+
+        let phash = null;
+        try {
+            phash = await this.computePerceptualHash(file);
+        } catch (error) {
+            // 无法解码的图片只做完全重复检测
+            console.warn('无法计算感知哈希:', error);
+        }
+
+        return { hash, phash };
+    }
+
+    /**
+     * 计算文件内容哈希（SHA-256）
+     * @param {Blob} file - 文件
+     * @returns {Promise<string>} - 十六进制哈希
+     */
+    static async computeContentHash(file) {
+        const buffer = await file.arrayBuffer();
+
+        if (window.crypto && crypto.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', buffer);
+            return this.toHex(new Uint8Array(digest));
+        }
+
+        // 非安全上下文中没有 crypto.subtle，退回到 FNV-1a
+        const bytes = new Uint8Array(buffer);
+        let h1 = 0x811c9dc5;
+        let h2 = 0x01000193;
+        for (let i = 0; i < bytes.length; i++) {
+            h1 = Math.imul(h1 ^ bytes[i], 0x01000193);
+            h2 = Math.imul(h2 ^ bytes[bytes.length - 1 - i], 0x01000193);
+        }
+        return 'fnv-' + (h1 >>> 0).toString(16).padStart(8, '0') +
+            (h2 >>> 0).toString(16).padStart(8, '0') + bytes.length.toString(16);
+    }
+
+    /**
+     * 计算感知哈希（差值哈希 dHash）
+     * 将图片缩小为 9×8 灰度图，比较每行相邻像素的亮度得到64位哈希
+     * @param {Blob} file - 图片文件
+     * @returns {Promise<string>} - 16位十六进制哈希
+     */
+    static computePerceptualHash(file) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const url = URL.createObjectURL(file);
+
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = 9;
+                canvas.height = 8;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0, 9, 8);
+                URL.revokeObjectURL(url);
+
+                const { data } = ctx.getImageData(0, 0, 9, 8);
+                const gray = [];
+                for (let i = 0; i < data.length; i += 4) {
+                    gray.push(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+                }
+
+                let hex = '';
+                for (let y = 0; y < 8; y++) {
+                    let byte = 0;
+                    for (let x = 0; x < 8; x++) {
+                        byte = (byte << 1) | (gray[y * 9 + x] > gray[y * 9 + x + 1] ? 1 : 0);
+                    }
+                    hex += byte.toString(16).padStart(2, '0');
+                }
+                resolve(hex);
+            };
+
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('无法解码图片'));
+            };
+
+            img.src = url;
+        });
+    }
+
+    /**
+     * 计算两个十六进制哈希的汉明距离
+     * @param {string} a - 哈希A
+     * @param {string} b - 哈希B
+     * @returns {number} - 不同的位数
+     */
+    static hammingDistance(a, b) {
+        let distance = 0;
+        for (let i = 0; i < a.length; i += 2) {
+            let diff = parseInt(a.substr(i, 2), 16) ^ parseInt(b.substr(i, 2), 16);
+            while (diff) {
+                distance += diff & 1;
+                diff >>= 1;
+            }
+        }
+        return distance;
+    }
+
+    /**
+     * 在候选列表中查找重复项
+     * 完全相同的文件优先，其次取感知哈希距离最小的相似图片
+     * @param {{hash: string, phash: string|null}} fingerprint - 待检查的指纹
+     * @param {Array<{hash?: string, phash?: string}>} candidates - 候选列表
+     * @returns {{target: Object, kind: string, distance: number}|null} - 匹配结果，kind 为 'exact' 或 'similar'
+     */
+    static findMatch(fingerprint, candidates) {
+        let best = null;
+
+        for (const candidate of candidates) {
+            if (candidate.hash && candidate.hash === fingerprint.hash) {
+                return { target: candidate, kind: 'exact', distance: 0 };
+            }
+
+            if (fingerprint.phash && candidate.phash) {
+                const distance = this.hammingDistance(fingerprint.phash, candidate.phash);
+                if (distance <= this.SIMILAR_THRESHOLD && (!best || distance < best.distance)) {
+                    best = { target: candidate, kind: 'similar', distance };
+                }
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * 字节数组转十六进制字符串
+     * @param {Uint8Array} bytes - 字节数组
+     * @returns {string} - 十六进制字符串
+     */
+    static toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// 导出图片指纹工具类
+window.Fingerprint = Fingerprint;
\ No newline at end of file
@@ -3,51 +3,362 @@
  * 负责壁纸的导入、分类、存储和展示
  */
 class Gallery {
-    constructor() {
+    /**
+     * @param {ShortcutManager} shortcuts - 快捷键管理器
+     */
+    constructor(shortcuts) {
+        this.shortcuts = shortcuts;
         this.wallpapers = []; // 所有壁纸
         this.landscapeWallpapers = []; // 横屏壁纸
         this.portraitWallpapers = []; // 竖屏壁纸
+        this.favoriteWallpapers = []; // 收藏的壁纸
+        this.favoriteIds = new Set(Utils.getFromJSON('favorites.json', [])); // 收藏的壁纸ID
         this.currentSlideIndex = 0; // 当前幻灯片索引
+        this.portraitIndex = 0; // 竖屏画廊当前索引
+        this.portraitView = Utils.getFromJSON('portrait_view.json', {}).view === 'masonry' ? 'masonry' : 'carousel'; // 竖屏区展示方式 ('carousel' 或 'masonry')
+        this.masonryLimit = Gallery.MASONRY_BATCH; // 瀑布流已加载的数量
+        this.masonryObserver = null; // 瀑布流底部的加载观察器
+        this.renderedLandscapeIds = []; // 上次渲染时的横屏壁纸ID，用于重新渲染后停留在同一张
+        this.renderedPortraitIds = []; // 上次渲染时的竖屏壁纸ID
+        this.slidePruneTimer = null; // 切换结束后移除远处幻灯片的定时器
+        this.imageObserver = this.createImageObserver(); // 当前项进入视口后加载原图
         this.isPlaying = false; // 是否自动播放
-        this.slideInterval = null; // 幻灯片播放间隔
-        this.slideDuration = 5000; // 幻灯片切换时间（毫秒）
+        this.slideTimer = null; // 自动播放定时器
+        this.slideSettings = {
+            interval: 5000,
+            direction: 'next',
+            shuffle: false,
+            loop: true,
+            ...Utils.getFromJSON('cinema_autoplay.json', {})
+        }; // 自动播放设置（切换间隔毫秒、方向、随机播放、循环播放）
+        this.slideOrder = []; // 随机播放时本轮尚未播放的索引
+        this.slideElapsed = 0; // 当前这张在暂停前已显示的时间
+        this.slideResumedAt = 0; // 最近一次开始或继续计时的时间
+        this.countdownFrame = null; // 倒计时动画帧
+        this.pauseReasons = new Set(); // 临时暂停自动播放的原因 ('hover'、'focus' 或 'hidden')
         this.animationSettings = {
             landscape: 'slide',
             portrait: 'slide'
         }; // 动画效果设置
         this.isFullscreen = false; // 是否全屏状态
+        this.blobStore = new BlobStore(); // 图片原始文件存储
+        this.unavailableRecords = []; // 图片数据库不可用时未能加载的本地壁纸记录，保存时原样写回
+        this.duplicateReport = new DuplicateReport(shortcuts); // 重复图片报告
+        this.importPanel = new ImportPanel(); // 导入进度面板
+        this.searchQuery = ''; // 当前搜索词
+        this.searchMatches = new Map(); // 搜索匹配结果（壁纸ID -> 匹配信息）
+        this.selectedTags = []; // 当前筛选的标签
+        this.tagMatchMode = 'or'; // 标签筛选方式 ('and' 或 'or')
+        this.collectionOverrides = {}; // 用户对精选壁纸的修改（壁纸ID -> 修改的字段）
+        this.classifySettings = this.loadClassifySettings(); // 宽高比分组的阈值及各分组显示在哪个分区
+        this.sortSettings = this.loadSortSettings(); // 各分区的排序方式，竖屏区另有分组方式
+        this.randomRanks = new Map(); // 随机排序时每张壁纸的随机值（壁纸ID -> 随机数），重新打乱前保持不变
+        this.portraitGroups = []; // 与 portraitWallpapers 一一对应的分组
+        this.colorFailures = new Set(); // 无法分析主色调的壁纸ID
+        this.isAnalyzingColors = false; // 是否正在为按主色调排序分析壁纸
         
-        this.init();
+        this.ready = this.init(); // 壁纸加载并渲染完成
+    }
+
+    /**
+     * 横屏幻灯片可选的切换间隔（毫秒）
+     * @returns {number[]}
+     */
+    static get SLIDE_INTERVALS() {
+        return [3000, 5000, 10000, 20000, 60000];
+    }
+
+    /**
+     * 横屏幻灯片和竖屏画廊中，当前项两侧各保留在DOM中的数量
+     * @returns {number}
+     */
+    static get RENDER_RADIUS() {
+        return 2;
+    }
+
+    /**
+     * 缩略图胶片条中，中心项两侧各保留在DOM中的数量
+     * @returns {number}
+     */
+    static get FILMSTRIP_RADIUS() {
+        return 15;
+    }
+
+    /**
+     * 各宽高比分组默认显示的分区 ('landscape'、'portrait' 或 'both')
+     * @returns {Object<string, string>}
+     */
+    static get DEFAULT_ROUTES() {
+        return {
+            ultrawide: 'landscape',
+            landscape: 'landscape',
+            square: 'portrait',
+            portrait: 'portrait',
+            tall: 'portrait'
+        };
+    }
+
+    /**
+     * 瀑布流每次加载的数量
+     * @returns {number}
+     */
+    static get MASONRY_BATCH() {
+        return 30;
     }
 
     /**
      * 初始化画廊
      */
-    init() {
-        // 加载存储的壁纸数据
-        this.loadWallpapers();
+    async init() {
         // 加载动画设置
         this.loadAnimationSettings();
         // 初始化事件监听
         this.initEventListeners();
+        // 加载存储的壁纸数据
+        await this.loadWallpapers();
+        // 同步收藏状态
+        Utils.emit(document, 'favoritesChanged', { ids: Array.from(this.favoriteIds) });
         // 渲染画廊
         this.renderGallery();
+        // 按主色调排序时补充分析
+        this.analyzeMissingColors();
     }
 
     /**
      * 加载壁纸数据
+     * 合并仓库自带的精选壁纸清单与用户本地导入的壁纸
      */
-    loadWallpapers() {
-        const savedWallpapers = Utils.getFromJSON('wallpapers.json', []);
-        this.wallpapers = savedWallpapers;
+    async loadWallpapers() {
+        // 清单请求与本地读取并行进行
+        const collectionPromise = Collection.load();
+        const localWallpapers = await this.loadLocalWallpapers();
+        const collection = await collectionPromise;
+
+        if (collection.errors.length > 0) {
+            console.warn('壁纸清单存在错误:', collection.errors);
+            Utils.showToast(`壁纸清单中有 ${collection.errors.length} 处错误，相关条目已跳过（详见控制台）`, 'error');
+        }
+
+        // 应用用户对精选壁纸的修改
+        this.collectionOverrides = Utils.getFromJSON('collection_overrides.json', {});
+        const collectionWallpapers = collection.wallpapers.map(wallpaper => ({
+            ...wallpaper,
+            ...this.collectionOverrides[wallpaper.id]
+        }));
+
+        this.wallpapers = [...collectionWallpapers, ...localWallpapers];
         this.classifyWallpapers();
     }
 
+    /**
+     * 加载本地导入的壁纸
+     * 从IndexedDB读取原始文件并重新生成对象URL，无法恢复图片的旧记录会被移除
+     * @returns {Promise<Array>} - 本地壁纸列表
+     */
+    async loadLocalWallpapers() {
+        const savedWallpapers = Utils.getFromJSON('wallpapers.json', []);
+        const restored = [];
+        const dropped = [];
+
+        for (const record of savedWallpapers) {
+            let blob = null;
+            try {
+                blob = await this.blobStore.get(record.id);
+            } catch (error) {
+                // 数据库不可用时保留原记录，避免之后保存时误删
+                console.error('读取壁纸文件失败:', error);
+                this.unavailableRecords = savedWallpapers.filter(saved => !restored.some(wallpaper => wallpaper.id === saved.id));
+                Utils.showToast(`无法读取图片数据库，${this.unavailableRecords.length} 张本地壁纸本次无法显示，请稍后刷新页面重试`, 'error');
+                return restored;
+            }
+
+            if (blob) {
+                restored.push({
+                    ...record,
+                    url: URL.createObjectURL(blob),
+                    posterUrl: record.animated ? await this.createPosterUrl(blob) : ''
+                });
+            } else {
+                dropped.push(record);
+            }
+        }
+
+        // 迁移旧数据：移除只保存了失效blob URL的记录
+        if (dropped.length > 0) {
+            console.warn(`已移除 ${dropped.length} 张无法恢复图片的壁纸:`, dropped.map(w => w.name));
+            Utils.saveToJSON('wallpapers.json', restored.map(({ url, posterUrl, ...record }) => record));
+        }
+
+        await this.removeOrphanBlobs(restored);
+
+        return restored;
+    }
+
+    /**
+     * 清理没有对应壁纸记录的图片文件
+     * @param {Array} wallpapers - 本地壁纸列表
+     */
+    async removeOrphanBlobs(wallpapers) {
+        try {
+            const ids = new Set(wallpapers.map(wallpaper => wallpaper.id));
+            const keys = await this.blobStore.keys();
+            for (const key of keys) {
+                if (!ids.has(key)) {
+                    await this.blobStore.delete(key);
+                }
+            }
+        } catch (error) {
+            console.error('清理壁纸文件失败:', error);
+        }
+    }
+
+    /**
+     * 判断是否为用户本地导入的壁纸
+     * @param {Object} wallpaper - 壁纸对象
+     * @returns {boolean} - 是否为本地壁纸
+     */
+    isLocalWallpaper(wallpaper) {
+        return wallpaper.origin !== 'collection';
+    }
+
     /**
      * 保存壁纸数据
+     * 只保存本地导入的壁纸，对象URL只在当前页面有效，不写入存储；本次未能加载的记录原样保留
+     * @returns {boolean} - 是否保存成功（本地存储已满时为false）
      */
     saveWallpapers() {
-        Utils.saveToJSON('wallpapers.json', this.wallpapers);
+        const records = this.wallpapers
+            .filter(wallpaper => this.isLocalWallpaper(wallpaper))
+            .map(({ url, posterUrl, ...record }) => record)
+            .concat(this.unavailableRecords);
+        const saved = Utils.saveToJSON('wallpapers.json', records);
+        return Utils.saveToJSON('collection_overrides.json', this.collectionOverrides) && saved;
+    }
+
+    /**
+     * 更新壁纸信息
+     * @param {string} id - 壁纸ID
+     * @param {Object} changes - 需要修改的字段
+     * @param {Object} options - 选项，见 updateWallpapers
+     * @returns {Object|null} - 更新后的壁纸对象，未找到时返回null
+     */
+    updateWallpaper(id, changes, options = {}) {
+        this.updateWallpapers({ [id]: changes }, options);
+        return this.getWallpaperById(id);
+    }
+
+    /**
+     * 批量更新壁纸信息，完成后统一保存并重新渲染
+     * @param {Object} updates - 壁纸ID到修改字段的映射
+     * @param {Object} options - 选项
+     * @param {boolean} options.render - 是否重新渲染，只缓存计算结果（如主色调）时可跳过
+     */
+    updateWallpapers(updates, { render = true } = {}) {
+        Object.entries(updates).forEach(([id, changes]) => {
+            const wallpaper = this.getWallpaperById(id);
+            if (!wallpaper) return;
+
+            const normalizedChanges = { ...changes };
+            if (normalizedChanges.tags) {
+                normalizedChanges.tags = this.normalizeTags(normalizedChanges.tags);
+            }
+
+            Object.assign(wallpaper, normalizedChanges);
+
+            // 精选壁纸来自清单，修改单独记录
+            if (!this.isLocalWallpaper(wallpaper)) {
+                this.collectionOverrides[id] = {
+                    ...this.collectionOverrides[id],
+                    ...normalizedChanges
+                };
+            }
+        });
+
+        this.saveWallpapers();
+        if (!render) return;
+
+        this.classifyWallpapers();
+        this.renderGallery();
+    }
+
+    /**
+     * 按ID查找壁纸
+     * @param {string} id - 壁纸ID
+     * @returns {Object|null} - 壁纸对象
+     */
+    getWallpaperById(id) {
+        return this.wallpapers.find(wallpaper => wallpaper.id === id) || null;
+    }
+
+    /**
+     * 从画廊中移除壁纸
+     * 只移除记录并重新渲染，图片文件在 finalizeRemoval 中释放，以便撤销
+     * @param {string[]} ids - 壁纸ID列表
+     * @returns {Array<{wallpaper: Object, index: number}>} - 被移除的壁纸及其原位置
+     */
+    removeWallpapers(ids) {
+        const idSet = new Set(ids);
+        const removed = [];
+
+        this.wallpapers.forEach((wallpaper, index) => {
+            if (idSet.has(wallpaper.id) && this.isLocalWallpaper(wallpaper)) {
+                removed.push({ wallpaper, index });
+            }
+        });
+        if (removed.length === 0) return removed;
+
+        this.wallpapers = this.wallpapers.filter(wallpaper => !removed.some(item => item.wallpaper === wallpaper));
+
+        this.saveWallpapers();
+        this.classifyWallpapers();
+        this.renderGallery();
+
+        return removed;
+    }
+
+    /**
+     * 撤销移除，将壁纸放回原位置
+     * @param {Array<{wallpaper: Object, index: number}>} removed - removeWallpapers 的返回值
+     */
+    restoreWallpapers(removed) {
+        removed
+            .slice()
+            .sort((a, b) => a.index - b.index)
+            .forEach(({ wallpaper, index }) => {
+                this.wallpapers.splice(Math.min(index, this.wallpapers.length), 0, wallpaper);
+            });
+
+        this.saveWallpapers();
+        this.classifyWallpapers();
+        this.renderGallery();
+    }
+
+    /**
+     * 彻底删除已移除的壁纸：释放对象URL、删除图片文件和收藏记录
+     * @param {Array<{wallpaper: Object, index: number}>} removed - removeWallpapers 的返回值
+     */
+    async finalizeRemoval(removed) {
+        let favoritesChanged = false;
+
+        for (const { wallpaper } of removed) {
+            URL.revokeObjectURL(wallpaper.url);
+            if (wallpaper.posterUrl) URL.revokeObjectURL(wallpaper.posterUrl);
+
+            if (this.favoriteIds.delete(wallpaper.id)) {
+                favoritesChanged = true;
+            }
+
+            try {
+                await this.blobStore.delete(wallpaper.id);
+            } catch (error) {
+                // 残留的文件会在下次加载时被清理
+                console.error('删除壁纸文件失败:', error);
+            }
+        }
+
+        if (favoritesChanged) {
+            this.saveFavorites();
+        }
     }
     
     /**
@@ -61,215 +372,1922 @@ class Gallery {
     }
 
     /**
-     * 分类壁纸（横屏/竖屏）
+     * 加载宽高比分组设置
+     * 阈值不合法时退回默认值
+     * @returns {{thresholds: Object, routes: Object<string, string>}}
+     */
+    loadClassifySettings() {
+        const saved = Utils.getFromJSON('classify_settings.json', {});
+        const thresholds = { ...Devices.DEFAULT_THRESHOLDS, ...saved.thresholds };
+
+        return {
+            thresholds: Devices.validateThresholds(thresholds) ? Devices.DEFAULT_THRESHOLDS : thresholds,
+            routes: { ...Gallery.DEFAULT_ROUTES, ...saved.routes }
+        };
+    }
+
+    /**
+     * 修改并保存宽高比分组设置，重新分类后渲染
+     * @param {Object} settings - 新设置
+     * @param {Object} settings.thresholds - 阈值，见 Devices.DEFAULT_THRESHOLDS
+     * @param {Object<string, string>} settings.routes - 分组ID到分区的映射
+     */
+    setClassifySettings({ thresholds, routes }) {
+        this.classifySettings = {
+            thresholds: { ...thresholds },
+            routes: { ...Gallery.DEFAULT_ROUTES, ...routes }
+        };
+        Utils.saveToJSON('classify_settings.json', this.classifySettings);
+
+        this.classifyWallpapers();
+        this.renderGallery();
+    }
+
+    /**
+     * 获取壁纸的宽高比分组
+     * @param {Object} wallpaper - 壁纸对象
+     * @param {Object} thresholds - 阈值，默认使用当前设置
+     * @returns {string} - 分组ID，见 Devices.BUCKETS
+     */
+    getBucket(wallpaper, thresholds = this.classifySettings.thresholds) {
+        return Devices.getBucket(wallpaper.width, wallpaper.height, thresholds);
+    }
+
+    /**
+     * 分类壁纸
+     * 按宽高比分组，再按设置分到横屏幻灯片和/或竖屏画廊并排序；只保留符合当前搜索条件的壁纸
      */
     classifyWallpapers() {
-        this.landscapeWallpapers = this.wallpapers.filter(wallpaper => 
-            Utils.isLandscape(wallpaper.width, wallpaper.height)
-        );
+        const visibleWallpapers = this.filterWallpapers();
+        const { routes } = this.classifySettings;
+        const routeOf = wallpaper => routes[this.getBucket(wallpaper)];
+        
+        this.landscapeWallpapers = this.sortWallpapers(visibleWallpapers.filter(wallpaper => 
+            routeOf(wallpaper) !== 'portrait'
+        ), 'landscape');
         
-        this.portraitWallpapers = this.wallpapers.filter(wallpaper => 
-            Utils.isPortrait(wallpaper.width, wallpaper.height)
+        const portrait = Sorter.group(this.sortWallpapers(visibleWallpapers.filter(wallpaper => 
+            routeOf(wallpaper) !== 'landscape'
+        ), 'portrait'), this.sortSettings.portrait.group);
+        this.portraitWallpapers = portrait.wallpapers;
+        this.portraitGroups = portrait.groups;
+        
+        this.favoriteWallpapers = visibleWallpapers.filter(wallpaper => 
+            this.favoriteIds.has(wallpaper.id)
         );
     }
 
     /**
-     * 初始化事件监听
+     * 加载各分区的排序设置
+     * @returns {{landscape: Object, portrait: Object}}
      */
-    initEventListeners() {
-        // 文件导入事件
-        const fileInput = Utils.$('#file-input');
-        if (fileInput) {
-            Utils.on(fileInput, 'change', (e) => this.handleFileImport(e));
+    loadSortSettings() {
+        const saved = Utils.getFromJSON('sort_settings.json', {});
+        return {
+            landscape: { key: 'default', order: 'asc', ...saved.landscape },
+            portrait: { key: 'default', order: 'asc', group: 'none', ...saved.portrait }
+        };
+    }
+
+    /**
+     * 按分区的排序设置排序
+     * @param {Array} wallpapers - 壁纸列表
+     * @param {string} section - 分区 ('landscape' 或 'portrait')
+     * @returns {Array} - 排序后的壁纸列表
+     */
+    sortWallpapers(wallpapers, section) {
+        return Sorter.sort(wallpapers, this.sortSettings[section], id => this.getRandomRank(id));
+    }
+
+    /**
+     * 获取壁纸的随机排序值，同一轮随机排序中保持不变
+     * @param {string} id - 壁纸ID
+     * @returns {number}
+     */
+    getRandomRank(id) {
+        if (!this.randomRanks.has(id)) {
+            this.randomRanks.set(id, Math.random());
         }
+        return this.randomRanks.get(id);
+    }
 
-        // 幻灯片控制事件
-        const prevBtn = Utils.$('.prev-btn');
-        const nextBtn = Utils.$('.next-btn');
-        const playBtn = Utils.$('.play-btn');
-        const fullscreenBtn = Utils.$('.fullscreen-btn');
-        
-        if (prevBtn) Utils.on(prevBtn, 'click', () => this.prevSlide());
-        if (nextBtn) Utils.on(nextBtn, 'click', () => this.nextSlide());
-        if (playBtn) Utils.on(playBtn, 'click', () => this.togglePlay());
-        if (fullscreenBtn) Utils.on(fullscreenBtn, 'click', () => this.toggleFullscreen());
+    /**
+     * 修改并保存分区的排序设置，重新排序后渲染
+     * 切换排序方式时使用该方式的默认方向；随机排序下再次切换方向会重新打乱
+     * @param {string} section - 分区 ('landscape' 或 'portrait')
+     * @param {string} option - 设置项 ('key'、'order' 或 'group')
+     * @param {string} value - 新值
+     */
+    setSortOption(section, option, value) {
+        const settings = this.sortSettings[section];
+        if (!settings) return;
 
-        // 键盘导航事件
-        Utils.on(document, 'keydown', (e) => this.handleKeyboardNavigation(e));
-        
-        // 全屏变化事件
-        Utils.on(document, 'fullscreenchange', () => this.handleFullscreenChange());
-        Utils.on(document, 'webkitfullscreenchange', () => this.handleFullscreenChange());
-        Utils.on(document, 'mozfullscreenchange', () => this.handleFullscreenChange());
-        Utils.on(document, 'MSFullscreenChange', () => this.handleFullscreenChange());
+        if (option === 'key') {
+            if (!Sorter.KEYS[value]) return;
+            settings.key = value;
+            settings.order = Sorter.KEYS[value].order;
+            if (value === 'random') this.randomRanks.clear();
+        } else if (option === 'order') {
+            if (settings.key === 'random') {
+                this.randomRanks.clear();
+            } else {
+                settings.order = settings.order === 'desc' ? 'asc' : 'desc';
+            }
+        } else if (option === 'group' && section === 'portrait' && Sorter.GROUPS[value]) {
+            settings.group = value;
+        }
+
+        Utils.saveToJSON('sort_settings.json', this.sortSettings);
+        this.updateSortControls();
+
+        // 排序后从第一张开始看
+        if (section === 'landscape') {
+            this.renderedLandscapeIds = [];
+        } else {
+            this.renderedPortraitIds = [];
+            this.masonryLimit = Gallery.MASONRY_BATCH;
+        }
+
+        this.classifyWallpapers();
+        this.renderGallery();
+        this.analyzeMissingColors();
     }
 
     /**
-     * 处理文件导入
-     * @param {Event} e - 文件选择事件
+     * 初始化排序和分组控件
      */
-    async handleFileImport(e) {
-        const files = Array.from(e.target.files);
-        if (files.length === 0) return;
+    initSortControls() {
+        Utils.$$('.sort-controls[data-sort-section]').forEach(controls => {
+            const section = controls.dataset.sortSection;
 
-        Utils.showLoading();
-        
-        try {
-            // 处理每个文件
-            for (const file of files) {
-                if (Utils.isImage(file)) {
-                    await this.addWallpaper(file);
+            Utils.$$('select[data-sort-option]', controls).forEach(select => {
+                const options = select.dataset.sortOption === 'group'
+                    ? Object.entries(Sorter.GROUPS)
+                    : Object.entries(Sorter.KEYS).map(([key, { label }]) => [key, label]);
+                select.innerHTML = options.map(([value, label]) =>
+                    `<option value="${value}">${label}</option>`
+                ).join('');
+
+                Utils.on(select, 'change', () => {
+                    this.setSortOption(section, select.dataset.sortOption, select.value);
+                });
+            });
+
+            Utils.on(controls, 'click', (e) => {
+                if (e.target.closest('.sort-order-btn')) {
+                    this.setSortOption(section, 'order');
                 }
+            });
+        });
+
+        this.updateSortControls();
+    }
+
+    /**
+     * 更新排序控件的显示状态
+     */
+    updateSortControls() {
+        Utils.$$('.sort-controls[data-sort-section]').forEach(controls => {
+            const settings = this.sortSettings[controls.dataset.sortSection];
+            if (!settings) return;
+
+            Utils.$$('select[data-sort-option]', controls).forEach(select => {
+                select.value = settings[select.dataset.sortOption];
+            });
+
+            const orderBtn = Utils.$('.sort-order-btn', controls);
+            if (orderBtn) {
+                const isRandom = settings.key === 'random';
+                orderBtn.textContent = isRandom ? '重新打乱' : (settings.order === 'desc' ? '降序' : '升序');
+                orderBtn.title = isRandom ? '重新随机排列' : '切换升序/降序';
+            }
+        });
+    }
+
+    /**
+     * 有分区按主色调排序时，依次分析尚未分析过的壁纸，全部完成后重新排序
+     */
+    async analyzeMissingColors() {
+        const usesHue = Object.values(this.sortSettings).some(settings => settings.key === 'hue');
+        if (!usesHue || this.isAnalyzingColors) return;
+
+        const pending = this.wallpapers.filter(wallpaper =>
+            !Array.isArray(wallpaper.colors) && !this.colorFailures.has(wallpaper.id)
+        );
+        if (pending.length === 0) return;
+
+        this.isAnalyzingColors = true;
+        Utils.showToast(`正在分析 ${pending.length} 张壁纸的主色调，完成后重新排序`, 'info');
+
+        const updates = {};
+        for (const wallpaper of pending) {
+            try {
+                updates[wallpaper.id] = {
+                    colors: await Utils.extractDominantColors(wallpaper.thumbnail || wallpaper.url)
+                };
+            } catch (error) {
+                console.warn('分析主色调失败:', wallpaper.name, error);
+                this.colorFailures.add(wallpaper.id);
             }
-            
-            // 保存并重新渲染
-            this.saveWallpapers();
-            this.renderGallery();
-            
-            // 重置文件输入
-            e.target.value = '';
-        } catch (error) {
-            console.error('导入壁纸失败:', error);
-        } finally {
-            Utils.hideLoading();
+        }
+
+        this.isAnalyzingColors = false;
+        // 分析期间被删除的壁纸会被忽略
+        if (Object.keys(updates).length > 0) {
+            this.updateWallpapers(updates);
         }
     }
 
     /**
-     * 添加单个壁纸
-     * @param {File} file - 图片文件
+     * 按当前标签和搜索词过滤壁纸
+     * @returns {Array} - 符合条件的壁纸列表
      */
-    async addWallpaper(file) {
-        try {
-            // 获取图片尺寸
-            const dimensions = await Utils.getImageDimensions(file);
-            
-            // 生成缩略图
-            const thumbnail = await Utils.generateThumbnail(file);
-            
-            // 创建壁纸对象
-            const wallpaper = {
-                id: Utils.generateId(),
-                name: file.name,
-                originalName: file.name,
-                size: file.size,
-                width: dimensions.width,
-                height: dimensions.height,
-                type: file.type,
-                thumbnail: thumbnail,
-                url: URL.createObjectURL(file), // 临时URL，实际项目中应替换为真实路径
-                uploadedAt: new Date().toISOString(),
-                tags: []
-            };
-            
-            // 添加到壁纸列表
-            this.wallpapers.push(wallpaper);
-            
-            // 重新分类
-            this.classifyWallpapers();
-            
-            return wallpaper;
-        } catch (error) {
-            console.error('添加壁纸失败:', error);
-            throw error;
+    filterWallpapers() {
+        this.searchMatches.clear();
+
+        const taggedWallpapers = this.wallpapers.filter(wallpaper => this.matchesSelectedTags(wallpaper));
+        if (!this.searchQuery) return taggedWallpapers;
+
+        return taggedWallpapers.filter(wallpaper => {
+            const match = Search.matchWallpaper(wallpaper, this.searchQuery);
+            if (match) {
+                this.searchMatches.set(wallpaper.id, match);
+            }
+            return !!match;
+        });
+    }
+
+    /**
+     * 检查壁纸是否已收藏
+     * @param {string} id - 壁纸ID
+     * @returns {boolean} - 是否已收藏
+     */
+    isFavorite(id) {
+        return this.favoriteIds.has(id);
+    }
+
+    /**
+     * 切换壁纸收藏状态
+     * @param {string} id - 壁纸ID
+     * @returns {boolean} - 切换后是否为收藏状态
+     */
+    toggleFavorite(id) {
+        if (this.favoriteIds.has(id)) {
+            this.favoriteIds.delete(id);
+        } else {
+            this.favoriteIds.add(id);
         }
+
+        this.saveFavorites();
+        this.classifyWallpapers();
+        this.updateFavoriteButtons();
+        this.renderFavorites();
+
+        return this.favoriteIds.has(id);
     }
 
     /**
-     * 渲染画廊
+     * 保存收藏列表并通知其他组件
      */
-    renderGallery() {
-        this.renderLandscapeSlider();
-        this.renderVerticalGallery();
-        this.updateSlideCounter();
+    saveFavorites() {
+        Utils.saveToJSON('favorites.json', Array.from(this.favoriteIds));
+        Utils.emit(document, 'favoritesChanged', { ids: Array.from(this.favoriteIds) });
+    }
+
+    /**
+     * 创建收藏按钮
+     * @param {Object} wallpaper - 壁纸对象
+     * @returns {HTMLElement} - 收藏按钮
+     */
+    createFavoriteButton(wallpaper) {
+        const button = document.createElement('button');
+        button.className = 'favorite-btn';
+        button.type = 'button';
+        button.dataset.favoriteId = wallpaper.id;
+        button.innerHTML = `
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
+            </svg>
+        `;
+        this.setFavoriteButtonState(button, this.isFavorite(wallpaper.id));
+
+        // 阻止冒泡，避免同时打开Lightbox
+        Utils.on(button, 'click', (e) => {
+            e.stopPropagation();
+            this.toggleFavorite(wallpaper.id);
+        });
+
+        return button;
+    }
+
+    /**
+     * 设置收藏按钮状态
+     * @param {HTMLElement} button - 收藏按钮
+     * @param {boolean} isFavorite - 是否已收藏
+     */
+    setFavoriteButtonState(button, isFavorite) {
+        button.classList.toggle('active', isFavorite);
+        button.setAttribute('aria-pressed', isFavorite);
+        button.setAttribute('aria-label', isFavorite ? '取消收藏' : '收藏');
+    }
+
+    /**
+     * 同步页面上所有收藏按钮的状态
+     */
+    updateFavoriteButtons() {
+        Utils.$$('.favorite-btn[data-favorite-id]').forEach(button => {
+            this.setFavoriteButtonState(button, this.isFavorite(button.dataset.favoriteId));
+        });
+    }
+
+    /**
+     * 检查壁纸是否符合标签筛选条件
+     * @param {Object} wallpaper - 壁纸对象
+     * @returns {boolean} - 是否符合
+     */
+    matchesSelectedTags(wallpaper) {
+        if (this.selectedTags.length === 0) return true;
+
+        const tags = wallpaper.tags || [];
+        return this.tagMatchMode === 'and'
+            ? this.selectedTags.every(tag => tags.includes(tag))
+            : this.selectedTags.some(tag => tags.includes(tag));
+    }
+
+    /**
+     * 标准化标签列表：去除首尾空白、合并空格、去重
+     * @param {string[]} tags - 标签列表
+     * @returns {string[]} - 标准化后的标签列表
+     */
+    normalizeTags(tags) {
+        const normalized = tags
+            .map(tag => String(tag).trim().replace(/\s+/g, ' ').slice(0, 30))
+            .filter(Boolean);
+        return [...new Set(normalized)];
+    }
+
+    /**
+     * 获取壁纸集中的所有标签
+     * @returns {Array<{tag: string, count: number}>} - 标签及使用次数，按次数降序
+     */
+    getAllTags() {
+        const counts = new Map();
+        this.wallpapers.forEach(wallpaper => {
+            (wallpaper.tags || []).forEach(tag => {
+                counts.set(tag, (counts.get(tag) || 0) + 1);
+            });
+        });
+
+        return Array.from(counts, ([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, 'zh-Hans-CN'));
+    }
+
+    /**
+     * 批量添加或移除标签
+     * @param {string[]} ids - 壁纸ID列表
+     * @param {string[]} tags - 标签列表
+     * @param {string} action - 操作类型 ('add' 或 'remove')
+     */
+    bulkUpdateTags(ids, tags, action) {
+        const targetTags = this.normalizeTags(tags);
+        if (ids.length === 0 || targetTags.length === 0) return;
+
+        const updates = {};
+        ids.forEach(id => {
+            const wallpaper = this.getWallpaperById(id);
+            if (!wallpaper) return;
+
+            const currentTags = wallpaper.tags || [];
+            updates[id] = {
+                tags: action === 'remove'
+                    ? currentTags.filter(tag => !targetTags.includes(tag))
+                    : [...currentTags, ...targetTags]
+            };
+        });
+
+        this.updateWallpapers(updates);
+    }
+
+    /**
+     * 切换标签筛选
+     * @param {string} tag - 标签
+     */
+    toggleTagFilter(tag) {
+        if (this.selectedTags.includes(tag)) {
+            this.selectedTags = this.selectedTags.filter(item => item !== tag);
+        } else {
+            this.selectedTags = [...this.selectedTags, tag];
+        }
+        this.applyFilters();
+    }
+
+    /**
+     * 设置标签筛选方式
+     * @param {string} mode - 'and' 表示同时包含所有标签，'or' 表示包含任一标签
+     */
+    setTagMatchMode(mode) {
+        this.tagMatchMode = mode === 'and' ? 'and' : 'or';
+        this.applyFilters();
+    }
+
+    /**
+     * 清除标签筛选
+     */
+    clearTagFilter() {
+        this.selectedTags = [];
+        this.applyFilters();
+    }
+
+    /**
+     * 设置搜索词并重新渲染画廊
+     * @param {string} query - 搜索词，为空时显示全部壁纸
+     */
+    setSearchQuery(query) {
+        this.searchQuery = (query || '').trim();
+        this.applyFilters();
+    }
+
+    /**
+     * 同时设置搜索词和标签筛选（用于从链接恢复筛选条件）
+     * @param {Object} filters - 筛选条件
+     * @param {string} [filters.query] - 搜索词
+     * @param {string[]} [filters.tags] - 标签
+     * @param {string} [filters.match] - 标签筛选方式 ('and' 或 'or')
+     */
+    setFilters({ query = '', tags = [], match = 'or' } = {}) {
+        this.searchQuery = query.trim();
+        this.selectedTags = this.normalizeTags(tags);
+        this.tagMatchMode = match === 'and' ? 'and' : 'or';
+        this.applyFilters();
+    }
+
+    /**
+     * 获取当前的筛选条件
+     * @returns {{query: string, tags: string[], match: string}}
+     */
+    getFilters() {
+        return {
+            query: this.searchQuery,
+            tags: [...this.selectedTags],
+            match: this.tagMatchMode
+        };
+    }
+
+    /**
+     * 筛选条件变化后重新分类、渲染并通知其他组件（如地址栏）
+     */
+    applyFilters() {
+        this.classifyWallpapers();
+        this.renderGallery();
+        Utils.emit(document, 'filtersChanged', this.getFilters());
+    }
+
+    /**
+     * 创建动图标记，提示点击后可在Lightbox中播放
+     * @returns {HTMLElement} - 标记元素
+     */
+    createAnimatedBadge() {
+        const badge = document.createElement('span');
+        badge.className = 'animated-badge';
+        badge.textContent = 'GIF';
+        badge.title = '动图，点击后播放';
+        return badge;
+    }
+
+    /**
+     * 生成搜索命中信息
+     * @param {Object} wallpaper - 壁纸对象
+     * @returns {HTMLElement|null} - 带高亮的标题元素，未在搜索时返回null
+     */
+    createSearchCaption(wallpaper) {
+        const match = this.searchMatches.get(wallpaper.id);
+        if (!match) return null;
+
+        const { highlights } = match;
+        const caption = document.createElement('div');
+        caption.className = 'wallpaper-caption';
+
+        // 文件名与原始文件名相同时只显示一次
+        let html = `<span class="caption-name">${Search.highlight(wallpaper.name, highlights.name)}</span>`;
+        if (highlights.originalName && wallpaper.originalName !== wallpaper.name) {
+            html += `<span class="caption-original">${Search.highlight(wallpaper.originalName, highlights.originalName)}</span>`;
+        }
+
+        const matchedTags = Object.keys(highlights.tags);
+        if (matchedTags.length > 0) {
+            html += '<span class="caption-tags">' + matchedTags.map(tag =>
+                `<span class="caption-tag">${Search.highlight(tag, highlights.tags[tag])}</span>`
+            ).join('') + '</span>';
+        }
+
+        caption.innerHTML = html;
+        return caption;
+    }
+
+    /**
+     * 生成空状态提示文本
+     * @param {string} label - 分区名称
+     * @returns {string} - 提示HTML
+     */
+    getEmptyMessage(label) {
+        if (this.searchQuery) {
+            return `未找到与「${Utils.escapeHTML(this.searchQuery)}」匹配的${label}`;
+        }
+        return `暂无${label}`;
+    }
+
+    /**
+     * 初始化事件监听
+     */
+    initEventListeners() {
+        // 文件导入事件
+        const fileInput = Utils.$('#file-input');
+        if (fileInput) {
+            Utils.on(fileInput, 'change', (e) => this.handleFileImport(e));
+        }
+
+        // 文件夹导入事件
+        const folderInput = Utils.$('#folder-input');
+        if (folderInput) {
+            Utils.on(folderInput, 'change', (e) => this.handleFileImport(e));
+        }
+
+        // 幻灯片控制事件
+        const prevBtn = Utils.$('.prev-btn');
+        const nextBtn = Utils.$('.next-btn');
+        const playBtn = Utils.$('.play-btn');
+        const fullscreenBtn = Utils.$('.fullscreen-btn');
+        
+        if (prevBtn) Utils.on(prevBtn, 'click', () => this.prevSlide());
+        if (nextBtn) Utils.on(nextBtn, 'click', () => this.nextSlide());
+        if (playBtn) Utils.on(playBtn, 'click', () => this.togglePlay());
+        if (fullscreenBtn) Utils.on(fullscreenBtn, 'click', () => this.toggleFullscreen());
+        
+        // 自动播放设置与暂停
+        this.initAutoplay();
+        
+        // 缩略图胶片条
+        this.initFilmstrip();
+        
+        // 竖屏区展示方式（海报/瀑布流）
+        this.initPortraitView();
+        
+        // 排序和分组
+        this.initSortControls();
+
+        // 触摸滑动切换
+        this.initSwipeGestures();
+
+        // 键盘快捷键
+        this.initShortcuts();
+        
+        // 标签栏
+        this.initTagBar();
+        
+        // 其他组件（如Lightbox标签编辑）修改壁纸信息
+        Utils.on(document, 'updateWallpaper', (e) => {
+            this.updateWallpaper(e.detail.id, e.detail.changes, { render: e.detail.render !== false });
+        });
+        
+        // Lightbox中切换收藏
+        Utils.on(document, 'toggleFavorite', (e) => this.toggleFavorite(e.detail.id));
+        
+        // 收藏区
+        const favoritesGrid = Utils.$('#favorites-grid');
+        if (favoritesGrid) {
+            Utils.on(favoritesGrid, 'click', (e) => {
+                const item = e.target.closest('.favorite-item');
+                if (item) {
+                    this.openLightbox(Number(item.dataset.index), 'favorites');
+                }
+            });
+        }
+        const favoritesPlayBtn = Utils.$('.favorites-play-btn');
+        if (favoritesPlayBtn) {
+            Utils.on(favoritesPlayBtn, 'click', () => this.openLightbox(0, 'favorites', { autoplay: true }));
+        }
+        
+        // 全屏变化事件
+        Utils.on(document, 'fullscreenchange', () => this.handleFullscreenChange());
+        Utils.on(document, 'webkitfullscreenchange', () => this.handleFullscreenChange());
+        Utils.on(document, 'mozfullscreenchange', () => this.handleFullscreenChange());
+        Utils.on(document, 'MSFullscreenChange', () => this.handleFullscreenChange());
+    }
+
+    /**
+     * 处理文件导入
+     * @param {Event} e - 文件选择事件
+     */
+    async handleFileImport(e) {
+        // 选择文件夹时 webkitRelativePath 为相对于所选文件夹的路径
+        const items = Array.from(e.target.files).map(file => ({
+            file,
+            path: file.webkitRelativePath || file.name
+        }));
+        // 重置文件输入，允许再次选择相同文件
+        e.target.value = '';
+        if (items.length === 0) return;
+
+        await this.importFiles(items);
+    }
+
+    /**
+     * 导入文件
+     * 每个文件单独处理，个别文件失败不影响其余文件，进度和原因显示在导入面板中
+     * @param {Array<{file: File, path: string}>} items - 待导入的文件及其相对路径
+     */
+    async importFiles(items) {
+        const panel = this.importPanel;
+        if (panel.isRunning) {
+            Utils.showToast('正在导入其他文件，请稍后再试', 'info');
+            return;
+        }
+
+        panel.start(items);
+        let importedCount = 0;
+
+        try {
+            // 按文件头识别真实格式，不支持的文件直接跳过（不看扩展名）
+            panel.setPhase('正在识别文件格式…');
+            const entries = [];
+            for (const [index, { file, path }] of items.entries()) {
+                const type = await Utils.detectImageType(file);
+                if (type) {
+                    entries.push({ file, path, type, index });
+                } else {
+                    panel.updateItem(index, 'skipped', { reason: 'unsupported' });
+                }
+            }
+
+            // 检查重复和相似图片，由用户决定如何处理
+            panel.setPhase('正在检查重复图片…');
+            const candidates = await this.checkDuplicates(entries);
+            if (!candidates) return;
+
+            panel.setPhase('正在导入…');
+            const useFolderTags = panel.useFolderTags;
+
+            // 处理每个文件
+            for (const candidate of candidates) {
+                if (panel.isCancelled) break;
+
+                if (candidate.decision === 'skip') {
+                    panel.updateItem(candidate.index, 'skipped', { reason: 'duplicate' });
+                    continue;
+                }
+
+                panel.updateItem(candidate.index, 'processing');
+
+                try {
+                    const wallpaper = candidate.decision === 'replace'
+                        ? await this.replaceWallpaperFile(candidate.match.target, candidate.file, candidate.fingerprint, candidate.type)
+                        : await this.addWallpaper(
+                            candidate.file,
+                            candidate.fingerprint,
+                            useFolderTags ? this.getFolderTags(candidate.path) : [],
+                            candidate.type
+                        );
+
+                    panel.updateItem(candidate.index, 'done', { thumbnail: wallpaper.thumbnail });
+                    importedCount++;
+                } catch (error) {
+                    console.error('导入壁纸失败:', candidate.file.name, error);
+                    panel.updateItem(candidate.index, 'failed', {
+                        reason: error instanceof ImportError ? error.reason : 'unknown',
+                        message: error.message
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('导入壁纸失败:', error);
+            Utils.showToast('导入壁纸失败', 'error');
+        } finally {
+            panel.finish();
+
+            if (importedCount > 0) {
+                this.classifyWallpapers();
+                this.renderGallery();
+                this.analyzeMissingColors();
+            }
+        }
+    }
+
+    /**
+     * 由相对路径得到文件夹标签
+     * @param {string} path - 文件相对路径，如 "风景/夜景/01.png"
+     * @returns {string[]} - 各级文件夹名
+     */
+    getFolderTags(path) {
+        return this.normalizeTags(String(path || '').split('/').slice(0, -1));
+    }
+
+    /**
+     * 检查待导入图片是否与已有壁纸或同批图片重复
+     * @param {Array<{file: File, path: string, type: string, index: number}>} entries - 待导入的图片、相对路径、格式及其在导入面板中的索引
+     * @returns {Promise<Array|null>} - 导入候选列表（含 file、path、type、index、fingerprint、match、decision），取消导入时为null
+     */
+    async checkDuplicates(entries) {
+        await this.ensureFingerprints();
+
+        const candidates = [];
+        for (const { file, path, type, index } of entries) {
+            if (this.importPanel.isCancelled) return null;
+
+            let fingerprint = null;
+            try {
+                fingerprint = await Fingerprint.compute(file);
+            } catch (error) {
+                console.warn('无法计算图片指纹:', file.name, error);
+            }
+
+            // 同时与已有壁纸和本批中更早的图片比较
+            const match = fingerprint
+                ? Fingerprint.findMatch(fingerprint, [...this.wallpapers, ...candidates.map(c => c.record)])
+                : null;
+
+            candidates.push({
+                file,
+                path,
+                type,
+                index,
+                fingerprint,
+                match,
+                decision: 'keep',
+                record: { ...fingerprint, name: file.name, candidate: true }
+            });
+        }
+
+        const duplicates = candidates.filter(candidate => candidate.match);
+        if (duplicates.length === 0) return candidates;
+
+        // 报告中显示新文件预览
+        const previewUrls = duplicates.map(candidate => URL.createObjectURL(candidate.file));
+        const items = duplicates.map((candidate, index) => {
+            const target = candidate.match.target;
+            return {
+                name: candidate.file.name,
+                previewUrl: previewUrls[index],
+                match: {
+                    ...candidate.match,
+                    target: {
+                        name: target.name,
+                        thumbnail: target.candidate ? this.getCandidatePreview(duplicates, previewUrls, target) : target.thumbnail,
+                        // 精选壁纸没有本地文件，不能替换
+                        replaceable: target.candidate || this.isLocalWallpaper(target)
+                    }
+                }
+            };
+        });
+
+        this.importPanel.setPhase('等待处理重复图片…');
+        const decisions = await this.duplicateReport.show(items);
+        previewUrls.forEach(url => URL.revokeObjectURL(url));
+
+        if (!decisions) {
+            this.importPanel.cancel();
+            return null;
+        }
+
+        duplicates.forEach((candidate, index) => {
+            candidate.decision = decisions[index];
+
+            // 替换本批中更早的图片：跳过那一张，导入这一张
+            if (candidate.decision === 'replace' && candidate.match.target.candidate) {
+                const earlier = candidates.find(c => c.record === candidate.match.target);
+                if (earlier) earlier.decision = 'skip';
+                candidate.decision = 'keep';
+            }
+        });
+
+        return candidates;
+    }
+
+    /**
+     * 获取同批图片在报告中的预览地址
+     * @param {Array} duplicates - 重复的候选列表
+     * @param {string[]} previewUrls - 对应的预览地址
+     * @param {Object} record - 候选记录
+     * @returns {string} - 预览地址，没有时返回空字符串
+     */
+    getCandidatePreview(duplicates, previewUrls, record) {
+        const index = duplicates.findIndex(candidate => candidate.record === record);
+        return index === -1 ? '' : previewUrls[index];
+    }
+
+    /**
+     * 为旧版本导入、缺少指纹的本地壁纸补算指纹
+     */
+    async ensureFingerprints() {
+        let updated = false;
+
+        for (const wallpaper of this.wallpapers) {
+            if (!this.isLocalWallpaper(wallpaper) || wallpaper.hash) continue;
+
+            try {
+                const blob = await this.blobStore.get(wallpaper.id);
+                if (!blob) continue;
+                Object.assign(wallpaper, await Fingerprint.compute(blob));
+                updated = true;
+            } catch (error) {
+                console.warn('补算壁纸指纹失败:', wallpaper.name, error);
+            }
+        }
+
+        if (updated) {
+            this.saveWallpapers();
+        }
+    }
+
+    /**
+     * 解码图片，读取尺寸、生成缩略图并判断是否为动图
+     * @param {File} file - 图片文件
+     * @param {string} type - 由文件头识别出的MIME类型
+     * @returns {Promise<{dimensions: Object, thumbnail: string, animated: boolean}>} - 尺寸、缩略图与是否为动图
+     * @throws {ImportError} - 图片无法解码时
+     */
+    async decodeImage(file, type) {
+        // 先确认浏览器能解码（如旧浏览器不支持AVIF），再读取尺寸
+        if (!await Utils.canDecodeImage(file)) {
+            throw new ImportError('decode', `浏览器无法解码 ${type}`);
+        }
+
+        try {
+            const dimensions = await Utils.getImageDimensions(file);
+            const thumbnail = await Utils.generateThumbnail(file);
+            const animated = type === 'image/gif' && Utils.isAnimatedGif(new Uint8Array(await file.arrayBuffer()));
+            return { dimensions, thumbnail, animated };
+        } catch (error) {
+            throw new ImportError('decode', error.message);
+        }
+    }
+
+    /**
+     * 为动图生成静态封面的对象URL
+     * @param {Blob} file - 图片文件
+     * @returns {Promise<string>} - 封面地址，生成失败时为空字符串（退回显示原图）
+     */
+    async createPosterUrl(file) {
+        try {
+            return URL.createObjectURL(await Utils.createPoster(file));
+        } catch (error) {
+            console.warn('生成动图封面失败:', error);
+            return '';
+        }
+    }
+
+    /**
+     * 获取画廊网格中显示的图片地址，动图显示静态封面（影院轮播和Lightbox仍播放原图）
+     * @param {Object} wallpaper - 壁纸对象
+     * @returns {string} - 图片地址
+     */
+    getDisplayUrl(wallpaper) {
+        return wallpaper.posterUrl || wallpaper.url;
+    }
+
+    /**
+     * 保存原始文件
+     * 存储空间不足时中止导入该文件；数据库不可用时只在本次会话中保留
+     * @param {string} id - 壁纸ID
+     * @param {File} file - 图片文件
+     * @throws {ImportError} - 存储空间不足时
+     */
+    async storeWallpaperFile(id, file) {
+        try {
+            await this.blobStore.put(id, file);
+        } catch (error) {
+            if (error && error.name === 'QuotaExceededError') {
+                throw new ImportError('quota', error.message);
+            }
+            console.warn('壁纸文件未能持久保存，刷新后将丢失:', error);
+        }
+    }
+
+    /**
+     * 用新文件替换已有壁纸的图片，保留名称、标签等信息
+     * @param {Object} wallpaper - 已有壁纸
+     * @param {File} file - 新图片文件
+     * @param {Object} fingerprint - 新图片指纹
+     * @param {string} type - 由文件头识别出的MIME类型
+     * @returns {Promise<Object>} - 更新后的壁纸对象
+     * @throws {ImportError} - 图片无法解码或存储空间不足时
+     */
+    async replaceWallpaperFile(wallpaper, file, fingerprint, type) {
+        const { dimensions, thumbnail, animated } = await this.decodeImage(file, type);
+        const previous = { ...wallpaper };
+
+        Object.assign(wallpaper, {
+            originalName: file.name,
+            size: file.size,
+            width: dimensions.width,
+            height: dimensions.height,
+            type: type,
+            animated: animated,
+            thumbnail: thumbnail,
+            hash: fingerprint.hash,
+            phash: fingerprint.phash
+        });
+
+        // 先确认壁纸信息能写入本地存储，再覆盖原始文件
+        if (!this.saveWallpapers()) {
+            Object.assign(wallpaper, previous);
+            throw new ImportError('quota');
+        }
+
+        try {
+            await this.storeWallpaperFile(wallpaper.id, file);
+        } catch (error) {
+            Object.assign(wallpaper, previous);
+            this.saveWallpapers();
+            throw error;
+        }
+
+        URL.revokeObjectURL(previous.url);
+        if (previous.posterUrl) URL.revokeObjectURL(previous.posterUrl);
+        wallpaper.url = URL.createObjectURL(file);
+        wallpaper.posterUrl = animated ? await this.createPosterUrl(file) : '';
+
+        return wallpaper;
+    }
+
+    /**
+     * 添加单个壁纸
+     * @param {File} file - 图片文件
+     * @param {Object} fingerprint - 图片指纹，未提供时自动计算
+     * @param {string[]} tags - 初始标签
+     * @param {string} type - 图片格式，未提供时根据文件头识别
+     * @returns {Promise<Object>} - 新壁纸对象
+     * @throws {ImportError} - 图片格式不支持、无法解码或存储空间不足时
+     */
+    async addWallpaper(file, fingerprint = null, tags = [], type = null) {
+        const imageType = type || await Utils.detectImageType(file);
+        if (!imageType) {
+            throw new ImportError('unsupported');
+        }
+
+        // 获取图片尺寸并生成缩略图
+        const { dimensions, thumbnail, animated } = await this.decodeImage(file, imageType);
+
+        // 计算指纹，用于之后的重复检测
+        const { hash, phash } = fingerprint || await Fingerprint.compute(file);
+
+        const id = Utils.generateId();
+
+        // 保存原始文件，刷新后据此恢复图片
+        await this.storeWallpaperFile(id, file);
+
+        // 创建壁纸对象
+        const wallpaper = {
+            id: id,
+            name: file.name,
+            originalName: file.name,
+            size: file.size,
+            width: dimensions.width,
+            height: dimensions.height,
+            type: imageType,
+            animated: animated,
+            thumbnail: thumbnail,
+            url: URL.createObjectURL(file), // 对象URL，刷新后由loadWallpapers重新生成
+            posterUrl: animated ? await this.createPosterUrl(file) : '', // 动图的静态封面，同样不写入存储
+            uploadedAt: new Date().toISOString(),
+            tags: this.normalizeTags(tags),
+            origin: 'local',
+            hash: hash,
+            phash: phash
+        };
+
+        // 添加到壁纸列表并立即保存，本地存储已满时撤回这一张
+        this.wallpapers.push(wallpaper);
+        if (!this.saveWallpapers()) {
+            this.wallpapers.pop();
+            URL.revokeObjectURL(wallpaper.url);
+            if (wallpaper.posterUrl) URL.revokeObjectURL(wallpaper.posterUrl);
+            this.blobStore.delete(id).catch(() => {});
+            this.saveWallpapers();
+            throw new ImportError('quota');
+        }
+
+        return wallpaper;
+    }
+
+    /**
+     * 渲染画廊
+     */
+    renderGallery() {
+        this.renderTagBar();
+        this.renderLandscapeSlider();
+        this.renderVerticalGallery();
+        this.renderFavorites();
+        this.updateSlideCounter();
+        this.updateFitButton();
+        // 打开的灯箱据此换用重新排序后的列表
+        Utils.emit(document, 'galleryRendered');
+    }
+
+    /**
+     * 渲染收藏区
+     */
+    renderFavorites() {
+        const grid = Utils.$('#favorites-grid');
+        if (!grid) return;
+
+        const playBtn = Utils.$('.favorites-play-btn');
+        if (playBtn) {
+            playBtn.disabled = this.favoriteWallpapers.length === 0;
+        }
+
+        if (this.favoriteWallpapers.length === 0) {
+            const message = this.favoriteIds.size === 0
+                ? '还没有收藏的壁纸，点击壁纸上的 ♥ 即可收藏'
+                : this.getEmptyMessage('收藏壁纸');
+            grid.innerHTML = `<div class="favorites-empty">${message}</div>`;
+            return;
+        }
+
+        Utils.patchChildren(grid, this.favoriteWallpapers.map((_, index) => index), {
+            getKey: index => this.favoriteWallpapers[index].id,
+            create: index => {
+                const wallpaper = this.favoriteWallpapers[index];
+                const item = document.createElement('div');
+                item.className = 'favorite-item';
+
+                const img = document.createElement('img');
+                img.className = 'favorite-image';
+                img.loading = 'lazy';
+
+                item.appendChild(img);
+                item.appendChild(this.createFavoriteButton(wallpaper));
+                return item;
+            },
+            update: (item, index) => {
+                const wallpaper = this.favoriteWallpapers[index];
+                item.dataset.index = index;
+
+                const img = Utils.$('.favorite-image', item);
+                this.setImageSource(img, wallpaper.thumbnail || wallpaper.url);
+                img.alt = wallpaper.name;
+            }
+        });
+    }
+
+    /**
+     * 初始化标签栏事件
+     */
+    initTagBar() {
+        const tagBar = Utils.$('#tag-bar');
+        if (!tagBar) return;
+
+        // 标签筛选
+        Utils.on(tagBar, 'click', (e) => {
+            const chip = e.target.closest('.tag-chip');
+            if (chip) {
+                this.toggleTagFilter(chip.dataset.tag);
+                return;
+            }
+
+            const actionBtn = e.target.closest('[data-tag-action]');
+            if (!actionBtn) return;
+
+            switch (actionBtn.dataset.tagAction) {
+                case 'mode':
+                    this.setTagMatchMode(this.tagMatchMode === 'and' ? 'or' : 'and');
+                    break;
+                case 'clear':
+                    this.clearTagFilter();
+                    break;
+                case 'bulk':
+                    tagBar.classList.toggle('bulk-open');
+                    if (tagBar.classList.contains('bulk-open')) {
+                        Utils.$('.tag-bulk-input', tagBar).focus();
+                    }
+                    break;
+            }
+        });
+
+        // 批量添加/移除标签，作用于当前筛选结果
+        const bulkForm = Utils.$('.tag-bulk-form', tagBar);
+        if (bulkForm) {
+            Utils.on(bulkForm, 'submit', (e) => {
+                e.preventDefault();
+                const input = Utils.$('.tag-bulk-input', bulkForm);
+                const action = e.submitter && e.submitter.dataset.bulkAction === 'remove' ? 'remove' : 'add';
+                const tags = input.value.split(/[,，]/);
+                const ids = this.getVisibleWallpapers().map(wallpaper => wallpaper.id);
+
+                this.bulkUpdateTags(ids, tags, action);
+                input.value = '';
+            });
+        }
+    }
+
+    /**
+     * 获取当前筛选后显示的所有壁纸
+     * 设为两处都显示的壁纸只计一次
+     * @returns {Array} - 壁纸列表
+     */
+    getVisibleWallpapers() {
+        const seenIds = new Set();
+        return [...this.landscapeWallpapers, ...this.portraitWallpapers].filter(wallpaper => {
+            if (seenIds.has(wallpaper.id)) return false;
+            seenIds.add(wallpaper.id);
+            return true;
+        });
+    }
+
+    /**
+     * 渲染标签栏与标签自动补全列表
+     */
+    renderTagBar() {
+        const allTags = this.getAllTags();
+
+        // 自动补全候选
+        const suggestions = Utils.$('#tag-suggestions');
+        if (suggestions) {
+            suggestions.innerHTML = allTags
+                .map(({ tag }) => `<option value="${Utils.escapeHTML(tag)}"></option>`)
+                .join('');
+        }
+
+        const tagBar = Utils.$('#tag-bar');
+        if (!tagBar) return;
+
+        // 移除已不存在的筛选标签
+        const existingTags = new Set(allTags.map(({ tag }) => tag));
+        this.selectedTags = this.selectedTags.filter(tag => existingTags.has(tag));
+
+        tagBar.classList.toggle('has-filter', this.selectedTags.length > 0);
+        tagBar.hidden = this.wallpapers.length === 0;
+
+        const chips = Utils.$('.tag-bar-chips', tagBar);
+        if (chips) {
+            chips.innerHTML = allTags.length === 0
+                ? '<span class="tag-bar-empty">暂无标签，可在预览壁纸时添加</span>'
+                : allTags.map(({ tag, count }) => `
+                    <button class="tag-chip ${this.selectedTags.includes(tag) ? 'selected' : ''}" type="button"
+                            data-tag="${Utils.escapeHTML(tag)}" aria-pressed="${this.selectedTags.includes(tag)}">
+                        ${Utils.escapeHTML(tag)}<span class="tag-count">${count}</span>
+                    </button>
+                `).join('');
+        }
+
+        const modeBtn = Utils.$('[data-tag-action="mode"]', tagBar);
+        if (modeBtn) {
+            modeBtn.textContent = this.tagMatchMode === 'and' ? '全部匹配 (AND)' : '任一匹配 (OR)';
+        }
+
+        const bulkCount = Utils.$('.tag-bulk-count', tagBar);
+        if (bulkCount) {
+            bulkCount.textContent = this.getVisibleWallpapers().length;
+        }
+    }
+
+    /**
+     * 渲染横屏壁纸幻灯片
+     * 只有当前幻灯片附近的几张保留在DOM中，重新渲染时按壁纸ID复用已有的元素
+     */
+    renderLandscapeSlider() {
+        const screenInner = Utils.$('.screen-inner');
+        if (!screenInner) return;
+
+        // 记住当前壁纸，重新渲染后尽量停留在同一张
+        const currentId = this.renderedLandscapeIds[this.currentSlideIndex];
+        const restoredIndex = this.landscapeWallpapers.findIndex(wallpaper => wallpaper.id === currentId);
+        this.renderedLandscapeIds = this.landscapeWallpapers.map(wallpaper => wallpaper.id);
+        this.currentSlideIndex = restoredIndex === -1 ? 0 : restoredIndex;
+
+        this.syncLandscapeSlides();
+        this.renderFilmstrip();
+
+        // 如果没有横屏壁纸，显示提示
+        if (this.landscapeWallpapers.length === 0) {
+            const emptySlide = document.createElement('div');
+            emptySlide.className = 'wallpaper-slide active';
+            emptySlide.innerHTML = `<div style="text-align: center; color: rgba(255,255,255,0.6); font-size: 18px;">${this.getEmptyMessage('横屏壁纸')}</div>`;
+            screenInner.appendChild(emptySlide);
+            return;
+        }
+        
+        // 壁纸列表变化后索引失效，重新生成随机顺序
+        if (this.isPlaying) {
+            this.slideOrder = this.createSlideOrder();
+        }
+    }
+
+    /**
+     * 让DOM中的幻灯片与当前索引一致
+     * @param {number[]} keep - 额外保留的索引（如正在切换的两张）
+     */
+    syncLandscapeSlides(keep = []) {
+        const screenInner = Utils.$('.screen-inner');
+        if (!screenInner) return;
+
+        const total = this.landscapeWallpapers.length;
+        const indices = total === 0 ? [] : Array.from(new Set([
+            ...this.getWindowIndices(this.currentSlideIndex, total),
+            ...keep.filter(index => index < total)
+        ])).sort((a, b) => a - b);
+
+        Utils.patchChildren(screenInner, indices, {
+            getKey: index => this.landscapeWallpapers[index].id,
+            create: index => {
+                const slide = document.createElement('div');
+                slide.className = 'wallpaper-slide';
+
+                const img = document.createElement('img');
+                img.className = 'slide-image';
+                img.decoding = 'async';
+
+                slide.appendChild(img);
+                slide.appendChild(this.createFavoriteButton(this.landscapeWallpapers[index]));
+                return slide;
+            },
+            update: (slide, index) => {
+                const wallpaper = this.landscapeWallpapers[index];
+                const isActive = index === this.currentSlideIndex;
+                slide.dataset.index = index;
+                slide.classList.toggle('active', isActive);
+                slide.dataset.fit = this.getSlideFit(wallpaper);
+
+                const img = Utils.$('.slide-image', slide);
+                this.setLazyImage(img, wallpaper.thumbnail, wallpaper.url, isActive);
+                img.alt = wallpaper.name;
+
+                this.setFavoriteButtonState(Utils.$('.favorite-btn', slide), this.isFavorite(wallpaper.id));
+                this.replaceSearchCaption(slide, wallpaper);
+            },
+            remove: slide => this.releaseImage(Utils.$('.slide-image', slide))
+        });
+    }
+
+    /**
+     * 当前项及其两侧的索引（首尾相连）
+     * @param {number} activeIndex - 当前索引
+     * @param {number} total - 总数
+     * @returns {number[]} - 升序排列的索引
+     */
+    getWindowIndices(activeIndex, total) {
+        const indices = new Set();
+        for (let offset = -Gallery.RENDER_RADIUS; offset <= Gallery.RENDER_RADIUS; offset++) {
+            indices.add(((activeIndex + offset) % total + total) % total);
+        }
+        return Array.from(indices).sort((a, b) => a - b);
+    }
+
+    /**
+     * 创建原图加载观察器
+     * @returns {IntersectionObserver|null} - 不支持时为null，此时直接加载原图
+     */
+    createImageObserver() {
+        if (!('IntersectionObserver' in window)) return null;
+
+        return new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                this.imageObserver.unobserve(entry.target);
+                this.loadFullImage(entry.target);
+            });
+        }, { rootMargin: '200px' });
+    }
+
+    /**
+     * 设置图片：先显示缩略图，成为当前项并进入视口后再换成原图
+     * @param {HTMLImageElement} img - 图片元素
+     * @param {string} thumbnail - 缩略图URL
+     * @param {string} fullUrl - 原图URL
+     * @param {boolean} isActive - 是否为当前项
+     */
+    setLazyImage(img, thumbnail, fullUrl, isActive) {
+        // 新建的元素或壁纸文件被替换
+        if (img.dataset.fullUrl !== fullUrl) {
+            img.dataset.fullUrl = fullUrl;
+            img.dataset.loaded = !thumbnail || thumbnail === fullUrl ? 'true' : '';
+            img.src = thumbnail || fullUrl;
+        }
+
+        if (!isActive) {
+            this.releaseImage(img);
+            return;
+        }
+        if (img.dataset.loaded) return;
+
+        if (this.imageObserver) {
+            this.imageObserver.observe(img);
+        } else {
+            this.loadFullImage(img);
+        }
+    }
+
+    /**
+     * 在后台加载原图，完成后替换缩略图，避免切换时出现空白
+     * @param {HTMLImageElement} img - 图片元素
+     */
+    loadFullImage(img) {
+        const url = img.dataset.fullUrl;
+        if (!url || img.dataset.loaded) return;
+
+        const loader = new Image();
+        loader.onload = () => {
+            // 加载期间壁纸文件可能已被替换
+            if (img.dataset.fullUrl !== url) return;
+            img.src = url;
+            img.dataset.loaded = 'true';
+        };
+        loader.src = url;
+    }
+
+    /**
+     * 停止观察即将移除或不再是当前项的图片
+     * @param {HTMLImageElement|null} img - 图片元素
+     */
+    releaseImage(img) {
+        if (img && this.imageObserver) {
+            this.imageObserver.unobserve(img);
+        }
+    }
+
+    /**
+     * 设置图片地址，地址未变时不重新加载
+     * @param {HTMLImageElement} img - 图片元素
+     * @param {string} url - 图片URL
+     */
+    setImageSource(img, url) {
+        if (img.getAttribute('src') !== url) {
+            img.src = url;
+        }
+    }
+
+    /**
+     * 替换元素中的搜索命中信息
+     * @param {HTMLElement} parent - 幻灯片或画廊项
+     * @param {Object} wallpaper - 壁纸对象
+     */
+    replaceSearchCaption(parent, wallpaper) {
+        const previous = Utils.$('.wallpaper-caption', parent);
+        if (previous) previous.remove();
+
+        const caption = this.createSearchCaption(wallpaper);
+        if (caption) parent.appendChild(caption);
+    }
+
+    /**
+     * 初始化缩略图胶片条
+     * 点击跳转；键盘用左右方向键、Home、End 在缩略图间移动焦点，回车或空格跳转
+     */
+    initFilmstrip() {
+        const filmstrip = Utils.$('.filmstrip');
+        if (!filmstrip) return;
+
+        Utils.on(filmstrip, 'click', (e) => {
+            const item = e.target.closest('.filmstrip-item');
+            if (item) this.goToSlide(Number(item.dataset.index));
+        });
+
+        Utils.on(filmstrip, 'keydown', (e) => {
+            const item = e.target.closest('.filmstrip-item');
+            if (!item) return;
+
+            const index = Number(item.dataset.index);
+            const total = this.landscapeWallpapers.length;
+            const targets = {
+                ArrowLeft: index - 1,
+                ArrowRight: index + 1,
+                Home: 0,
+                End: total - 1
+            };
+            if (!(e.key in targets)) return;
+
+            // 阻止默认行为，同时让横屏幻灯片的方向键快捷键不再响应
+            e.preventDefault();
+            const targetIndex = Math.min(Math.max(targets[e.key], 0), total - 1);
+
+            // 目标可能在已渲染的范围之外，先以它为中心重新渲染
+            this.patchFilmstrip(filmstrip, targetIndex);
+            const target = Utils.$(`.filmstrip-item[data-index="${targetIndex}"]`, filmstrip);
+            if (target) this.focusFilmstripItem(target);
+        });
+
+        // 滚动到已渲染范围的两端时补充缩略图
+        Utils.on(filmstrip, 'scroll', Utils.throttle(() => this.extendFilmstrip(filmstrip), 100));
+
+        // 纵向滚轮横向滚动胶片条
+        Utils.on(filmstrip, 'wheel', (e) => {
+            if (Math.abs(e.deltaX) > Math.abs(e.deltaY) || filmstrip.scrollWidth <= filmstrip.clientWidth) return;
+            e.preventDefault();
+            filmstrip.scrollLeft += e.deltaY;
+        });
+    }
+
+    /**
+     * 渲染缩略图胶片条
+     */
+    renderFilmstrip() {
+        const filmstrip = Utils.$('.filmstrip');
+        if (!filmstrip) return;
+
+        filmstrip.hidden = this.landscapeWallpapers.length <= 1;
+        this.patchFilmstrip(filmstrip, this.currentSlideIndex);
+        this.updateFilmstrip({ behavior: 'auto' });
+    }
+
+    /**
+     * 计算胶片条中保留的缩略图索引
+     * 以 center 为中心，靠近两端时向另一侧补足，数量保持不变
+     * @param {number} center - 中心索引
+     * @returns {number[]} - 索引列表
+     */
+    getFilmstripIndices(center) {
+        const total = this.landscapeWallpapers.length;
+        const size = Math.min(total, Gallery.FILMSTRIP_RADIUS * 2 + 1);
+        const start = Math.min(Math.max(center - Gallery.FILMSTRIP_RADIUS, 0), total - size);
+        return Array.from({ length: size }, (_, offset) => start + offset);
+    }
+
+    /**
+     * 只保留中心附近的缩略图，复用已有元素
+     * @param {HTMLElement} filmstrip - 胶片条
+     * @param {number} center - 中心索引
+     */
+    patchFilmstrip(filmstrip, center) {
+        const indices = filmstrip.hidden ? [] : this.getFilmstripIndices(center);
+
+        Utils.patchChildren(filmstrip, indices, {
+            getKey: index => this.landscapeWallpapers[index].id,
+            create: () => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'filmstrip-item';
+
+                const img = document.createElement('img');
+                img.className = 'filmstrip-image';
+                img.alt = '';
+                img.loading = 'lazy';
+                img.draggable = false;
+
+                item.appendChild(img);
+                return item;
+            },
+            update: (item, index) => {
+                const wallpaper = this.landscapeWallpapers[index];
+                item.dataset.index = index;
+                item.setAttribute('aria-label', `第 ${index + 1} 张：${wallpaper.name}`);
+                item.title = wallpaper.name;
+                this.setImageSource(Utils.$('.filmstrip-image', item), wallpaper.thumbnail || wallpaper.url);
+            }
+        });
+    }
+
+    /**
+     * 手动滚动到已渲染范围的两端时，以端点为中心重新渲染，并保持端点缩略图在屏幕上的位置
+     * @param {HTMLElement} filmstrip - 胶片条
+     */
+    extendFilmstrip(filmstrip) {
+        const first = filmstrip.firstElementChild;
+        const last = filmstrip.lastElementChild;
+        if (!first || !last) return;
+
+        const nearStart = filmstrip.scrollLeft < first.offsetWidth * 2 && Number(first.dataset.index) > 0;
+        const nearEnd = filmstrip.scrollLeft + filmstrip.clientWidth > filmstrip.scrollWidth - last.offsetWidth * 2 &&
+            Number(last.dataset.index) < this.landscapeWallpapers.length - 1;
+        const anchor = nearStart ? first : nearEnd ? last : null;
+        if (!anchor) return;
+
+        const offset = anchor.offsetLeft - filmstrip.scrollLeft;
+        this.patchFilmstrip(filmstrip, Number(anchor.dataset.index));
+        filmstrip.scrollLeft = anchor.offsetLeft - offset;
+    }
+
+    /**
+     * 高亮当前幻灯片对应的缩略图，并滚动到可见位置
+     * @param {Object} options - 选项
+     * @param {string} [options.behavior='smooth'] - 滚动方式
+     */
+    updateFilmstrip({ behavior = 'smooth' } = {}) {
+        const filmstrip = Utils.$('.filmstrip');
+        if (!filmstrip || filmstrip.hidden) return;
+
+        // 用键盘在胶片条中移动时不抢走焦点所在项的 tabindex，渲染范围也跟随焦点
+        const hasFocus = filmstrip.contains(document.activeElement);
+        if (!hasFocus) this.patchFilmstrip(filmstrip, this.currentSlideIndex);
+        let activeItem = null;
+
+        Utils.$$('.filmstrip-item', filmstrip).forEach(item => {
+            const isActive = Number(item.dataset.index) === this.currentSlideIndex;
+            item.classList.toggle('active', isActive);
+            if (isActive) {
+                item.setAttribute('aria-current', 'true');
+                activeItem = item;
+            } else {
+                item.removeAttribute('aria-current');
+            }
+            if (!hasFocus) item.tabIndex = isActive ? 0 : -1;
+        });
+
+        if (activeItem) this.scrollFilmstripTo(activeItem, behavior);
+    }
+
+    /**
+     * 把焦点移到胶片条中的某个缩略图（roving tabindex）
+     * @param {HTMLElement} item - 缩略图按钮
+     */
+    focusFilmstripItem(item) {
+        Utils.$$('.filmstrip-item', item.parentElement).forEach(other => {
+            other.tabIndex = other === item ? 0 : -1;
+        });
+        // 只滚动胶片条本身，不滚动页面
+        item.focus({ preventScroll: true });
+        this.scrollFilmstripTo(item, 'smooth');
+    }
+
+    /**
+     * 滚动胶片条，使缩略图居中
+     * @param {HTMLElement} item - 缩略图按钮
+     * @param {string} behavior - 滚动方式
+     */
+    scrollFilmstripTo(item, behavior) {
+        const filmstrip = item.parentElement;
+        const left = item.offsetLeft - (filmstrip.clientWidth - item.offsetWidth) / 2;
+        filmstrip.scrollTo({ left: Math.max(0, left), behavior });
+    }
+
+    /**
+     * 渲染纵向电影海报画廊
+     * 与横屏幻灯片相同，只保留当前项附近的几张并复用已有元素
+     */
+    renderVerticalGallery() {
+        if (this.portraitView === 'masonry') {
+            this.renderMasonry();
+            return;
+        }
+
+        const galleryContainer = Utils.$('#vertical-gallery');
+        if (!galleryContainer) return;
+
+        // 重新渲染后尽量停留在同一张
+        const currentId = this.renderedPortraitIds[this.portraitIndex];
+        const restoredIndex = this.portraitWallpapers.findIndex(wallpaper => wallpaper.id === currentId);
+        this.renderedPortraitIds = this.portraitWallpapers.map(wallpaper => wallpaper.id);
+        this.portraitIndex = restoredIndex === -1 ? 0 : restoredIndex;
+
+        this.syncPortraitItems();
+
+        // 如果没有竖屏壁纸，显示提示
+        if (this.portraitWallpapers.length === 0) {
+            const emptyState = document.createElement('div');
+            emptyState.className = 'gallery-item active';
+            emptyState.innerHTML = `
+                <div class="gallery-item-inner">
+                    <div style="text-align: center; color: rgba(255,255,255,0.6); font-size: 18px;">${this.getEmptyMessage('竖屏壁纸')}</div>
+                </div>
+            `;
+            galleryContainer.appendChild(emptyState);
+            return;
+        }
+
+        // 初始化导航事件
+        this.initVerticalGalleryNav();
+    }
+
+    /**
+     * 让DOM中的画廊项与当前索引一致，并设置当前、上一张、下一张的状态
+     */
+    syncPortraitItems() {
+        const galleryContainer = Utils.$('#vertical-gallery');
+        if (!galleryContainer) return;
+
+        const total = this.portraitWallpapers.length;
+        const indices = total === 0 ? [] : this.getWindowIndices(this.portraitIndex, total);
+        
+        // 获取当前动画效果
+        const animationType = this.animationSettings.portrait;
+
+        Utils.patchChildren(galleryContainer, indices, {
+            getKey: index => this.portraitWallpapers[index].id,
+            create: index => {
+                const item = document.createElement('div');
+                item.className = 'gallery-item';
+                
+                const inner = document.createElement('div');
+                inner.className = 'gallery-item-inner';
+                
+                const img = document.createElement('img');
+                img.className = 'gallery-image';
+                img.decoding = 'async';
+                
+                inner.appendChild(img);
+                inner.appendChild(this.createFavoriteButton(this.portraitWallpapers[index]));
+                item.appendChild(inner);
+                return item;
+            },
+            update: (item, index) => {
+                const wallpaper = this.portraitWallpapers[index];
+                const isActive = index === this.portraitIndex;
+                item.dataset.index = index;
+                
+                // 移除所有状态类
+                item.classList.remove('active', 'prev', 'next',
+                                     'animation-fade', 'animation-slide', 'animation-zoom', 
+                                     'animation-rotate', 'animation-flip', 'animation-cube', 
+                                     'animation-bounce', 'animation-wave');
+                
+                // 添加当前动画类
+                item.classList.add(`animation-${animationType}`);
+                
+                // 添加新状态类
+                if (isActive) {
+                    item.classList.add('active');
+                } else if (index === (this.portraitIndex - 1 + total) % total) {
+                    item.classList.add('prev');
+                } else if (index === (this.portraitIndex + 1) % total) {
+                    item.classList.add('next');
+                }
+                
+                const inner = Utils.$('.gallery-item-inner', item);
+                const img = Utils.$('.gallery-image', inner);
+                this.setLazyImage(img, wallpaper.thumbnail, this.getDisplayUrl(wallpaper), isActive);
+                img.alt = wallpaper.name;
+                
+                this.setFavoriteButtonState(Utils.$('.favorite-btn', inner), this.isFavorite(wallpaper.id));
+                
+                const badge = Utils.$('.animated-badge', inner);
+                if (wallpaper.animated && !badge) {
+                    inner.appendChild(this.createAnimatedBadge());
+                } else if (!wallpaper.animated && badge) {
+                    badge.remove();
+                }
+                
+                this.replaceSearchCaption(inner, wallpaper);
+            },
+            remove: item => this.releaseImage(Utils.$('.gallery-image', item))
+        });
+
+        this.updatePortraitGroupLabel();
+    }
+
+    /**
+     * 海报轮播中显示当前壁纸所在的分组
+     */
+    updatePortraitGroupLabel() {
+        const label = Utils.$('.portrait-group-label');
+        if (!label) return;
+
+        const group = this.portraitView === 'carousel' ? this.portraitGroups[this.portraitIndex] : null;
+        label.hidden = !group;
+        if (group) {
+            label.innerHTML = `${Utils.escapeHTML(group.label)}<span class="group-count">${group.count} 张</span>`;
+        }
+    }
+
+    /**
+     * 初始化竖屏区展示方式切换和瀑布流
+     */
+    initPortraitView() {
+        const toolbar = Utils.$('.portrait-toolbar');
+        if (toolbar) {
+            Utils.on(toolbar, 'click', (e) => {
+                const viewBtn = e.target.closest('[data-portrait-view]');
+                if (viewBtn) this.setPortraitView(viewBtn.dataset.portraitView);
+            });
+        }
+
+        const grid = Utils.$('#masonry-grid');
+        if (grid) {
+            // 点击或按回车打开Lightbox
+            Utils.on(grid, 'click', (e) => {
+                const item = e.target.closest('.masonry-item');
+                if (item) this.openLightbox(Number(item.dataset.index), 'portrait');
+            });
+            Utils.on(grid, 'keydown', (e) => {
+                const item = e.target.closest('.masonry-item');
+                if (!item || e.target !== item || (e.key !== 'Enter' && e.key !== ' ')) return;
+                e.preventDefault();
+                this.openLightbox(Number(item.dataset.index), 'portrait');
+            });
+        }
+
+        // 底部进入视口时加载下一批
+        const sentinel = Utils.$('.masonry-sentinel');
+        if (sentinel && 'IntersectionObserver' in window) {
+            this.masonryObserver = new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting)) this.loadMoreMasonry();
+            }, { rootMargin: '400px' });
+            this.masonryObserver.observe(sentinel);
+        }
+
+        // 列数随屏幕宽度变化
+        Utils.on(window, 'resize', Utils.debounce(() => {
+            if (this.portraitView === 'masonry') this.layoutMasonry();
+        }, 150));
+
+        this.applyPortraitView();
+    }
+
+    /**
+     * 切换竖屏区展示方式
+     * @param {string} view - 'carousel'（海报轮播）或 'masonry'（瀑布流）
+     */
+    setPortraitView(view) {
+        if (view === this.portraitView || (view !== 'carousel' && view !== 'masonry')) return;
+
+        this.portraitView = view;
+        Utils.saveToJSON('portrait_view.json', { view });
+
+        this.masonryLimit = Gallery.MASONRY_BATCH;
+        if (view === 'carousel') {
+            this.clearMasonry();
+        }
+
+        this.applyPortraitView();
+        this.renderVerticalGallery();
+    }
+
+    /**
+     * 显示当前展示方式对应的容器和按钮状态
+     */
+    applyPortraitView() {
+        const isMasonry = this.portraitView === 'masonry';
+
+        const carousel = Utils.$('.vertical-gallery-container');
+        if (carousel) carousel.hidden = isMasonry;
+        const grid = Utils.$('#masonry-grid');
+        if (grid) grid.hidden = !isMasonry;
+        const sentinel = Utils.$('.masonry-sentinel');
+        if (sentinel && !isMasonry) sentinel.hidden = true;
+        this.updatePortraitGroupLabel();
+
+        Utils.$$('[data-portrait-view]').forEach(button => {
+            const isActive = button.dataset.portraitView === this.portraitView;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
     }
 
     /**
-     * 渲染横屏壁纸幻灯片
+     * 渲染瀑布流
+     * 只渲染已加载的数量，重新渲染时复用已有元素
      */
-    renderLandscapeSlider() {
-        const screenInner = Utils.$('.screen-inner');
-        if (!screenInner) return;
+    renderMasonry() {
+        const grid = Utils.$('#masonry-grid');
+        if (!grid) return;
 
-        // 清空现有幻灯片
-        screenInner.innerHTML = '';
+        const total = this.portraitWallpapers.length;
+        const count = Math.min(this.masonryLimit, total);
+        const sentinel = Utils.$('.masonry-sentinel');
+        if (sentinel) sentinel.hidden = count >= total;
 
-        // 如果没有横屏壁纸，显示提示
-        if (this.landscapeWallpapers.length === 0) {
-            const emptySlide = document.createElement('div');
-            emptySlide.className = 'wallpaper-slide active';
-            emptySlide.innerHTML = '<div style="text-align: center; color: rgba(255,255,255,0.6); font-size: 18px;">暂无横屏壁纸</div>';
-            screenInner.appendChild(emptySlide);
+        if (total === 0) {
+            this.clearMasonry();
+            grid.innerHTML = `<div class="masonry-empty">${this.getEmptyMessage('竖屏壁纸')}</div>`;
             return;
         }
 
-        // 创建幻灯片
-        this.landscapeWallpapers.forEach((wallpaper, index) => {
-            const slide = document.createElement('div');
-            slide.className = `wallpaper-slide ${index === 0 ? 'active' : ''}`;
-            slide.dataset.index = index;
-            
-            const img = document.createElement('img');
-            img.className = 'slide-image';
-            img.src = wallpaper.url;
-            img.alt = wallpaper.name;
-            
-            slide.appendChild(img);
-            screenInner.appendChild(slide);
+        // 分组时在每组第一张前插入组标题
+        const entries = [];
+        for (let index = 0; index < count; index++) {
+            const group = this.portraitGroups[index];
+            if (group && (index === 0 || this.portraitGroups[index - 1].key !== group.key)) {
+                entries.push(group);
+            }
+            entries.push(index);
+        }
+
+        Utils.patchChildren(grid, entries, {
+            getKey: entry => (typeof entry === 'number' ? this.portraitWallpapers[entry].id : `group:${entry.key}`),
+            create: entry => {
+                if (typeof entry !== 'number') {
+                    const header = document.createElement('h3');
+                    header.className = 'masonry-group-header';
+                    return header;
+                }
+
+                const index = entry;
+                const item = document.createElement('div');
+                item.className = 'masonry-item';
+                item.tabIndex = 0;
+                item.setAttribute('role', 'button');
+
+                const img = document.createElement('img');
+                img.className = 'masonry-image';
+                img.decoding = 'async';
+
+                item.appendChild(img);
+                item.appendChild(this.createFavoriteButton(this.portraitWallpapers[index]));
+                return item;
+            },
+            update: (item, entry) => {
+                if (typeof entry !== 'number') {
+                    item.innerHTML = `${Utils.escapeHTML(entry.label)}<span class="group-count">${entry.count} 张</span>`;
+                    return;
+                }
+
+                const index = entry;
+                const wallpaper = this.portraitWallpapers[index];
+                item.dataset.index = index;
+                item.setAttribute('aria-label', wallpaper.name);
+
+                const img = Utils.$('.masonry-image', item);
+                this.setLazyImage(img, wallpaper.thumbnail, this.getDisplayUrl(wallpaper), true);
+                img.alt = wallpaper.name;
+
+                this.setFavoriteButtonState(Utils.$('.favorite-btn', item), this.isFavorite(wallpaper.id));
+
+                const badge = Utils.$('.animated-badge', item);
+                if (wallpaper.animated && !badge) {
+                    item.appendChild(this.createAnimatedBadge());
+                } else if (!wallpaper.animated && badge) {
+                    badge.remove();
+                }
+
+                this.replaceSearchCaption(item, wallpaper);
+            },
+            remove: item => this.releaseImage(Utils.$('.masonry-image', item))
         });
 
-        // 重置当前索引
-        this.currentSlideIndex = 0;
+        this.layoutMasonry();
     }
 
     /**
-     * 渲染纵向电影海报画廊
+     * 按壁纸尺寸计算瀑布流中每一项的位置
+     * 依次放入当前最短的一列；只依赖已保存的宽高，图片加载前后布局不变
      */
-    renderVerticalGallery() {
-        const galleryContainer = Utils.$('#vertical-gallery');
-        if (!galleryContainer) return;
+    layoutMasonry() {
+        const grid = Utils.$('#masonry-grid');
+        if (!grid || grid.hidden) return;
 
-        // 清空现有内容
-        galleryContainer.innerHTML = '';
+        const style = getComputedStyle(grid);
+        const columns = Math.min(Math.max(parseInt(style.getPropertyValue('--masonry-columns'), 10) || 1, 1), 5);
+        const gap = parseFloat(style.columnGap) || 0;
+        const rowGap = parseFloat(style.rowGap) || gap;
+        const paddingLeft = parseFloat(style.paddingLeft) || 0;
+        const paddingTop = parseFloat(style.paddingTop) || 0;
+        const paddingBottom = parseFloat(style.paddingBottom) || 0;
+        const width = grid.clientWidth - paddingLeft - (parseFloat(style.paddingRight) || 0);
+        const columnWidth = (width - gap * (columns - 1)) / columns;
+        const heights = new Array(columns).fill(0);
 
-        // 如果没有竖屏壁纸，显示提示
-        if (this.portraitWallpapers.length === 0) {
-            const emptyState = document.createElement('div');
-            emptyState.className = 'gallery-item active';
-            emptyState.innerHTML = `
-                <div class="gallery-item-inner">
-                    <div style="text-align: center; color: rgba(255,255,255,0.6); font-size: 18px;">暂无竖屏壁纸</div>
-                </div>
-            `;
-            galleryContainer.appendChild(emptyState);
-            return;
-        }
+        Array.from(grid.children).forEach(item => {
+            // 组标题占满一行，放在各列最低处之下，之后的壁纸从标题下方重新排列
+            if (item.classList.contains('masonry-group-header')) {
+                const top = Math.max(...heights);
+                Object.assign(item.style, {
+                    left: `${paddingLeft}px`,
+                    top: `${paddingTop + top}px`,
+                    width: `${width}px`
+                });
+                heights.fill(top + item.offsetHeight + rowGap);
+                return;
+            }
+            if (!item.classList.contains('masonry-item')) return;
 
-        // 创建画廊项
-        this.portraitWallpapers.forEach((wallpaper, index) => {
-            const item = document.createElement('div');
-            item.className = `gallery-item ${index === 0 ? 'active' : ''}`;
-            item.dataset.index = index;
-            
-            const inner = document.createElement('div');
-            inner.className = 'gallery-item-inner';
-            
-            const img = document.createElement('img');
-            img.className = 'gallery-image';
-            img.src = wallpaper.url;
-            img.alt = wallpaper.name;
-            img.loading = 'lazy';
-            
-            // 点击图片打开Lightbox
-            Utils.on(item, 'click', () => this.openLightbox(index, 'portrait'));
-            
-            inner.appendChild(img);
-            item.appendChild(inner);
-            galleryContainer.appendChild(item);
+            const wallpaper = this.portraitWallpapers[Number(item.dataset.index)];
+            // 缺少尺寸时按常见的 9:16 估算
+            const ratio = wallpaper && wallpaper.width > 0 && wallpaper.height > 0
+                ? wallpaper.height / wallpaper.width
+                : 16 / 9;
+            const column = heights.indexOf(Math.min(...heights));
+            const height = columnWidth * ratio;
+
+            Object.assign(item.style, {
+                left: `${paddingLeft + column * (columnWidth + gap)}px`,
+                top: `${paddingTop + heights[column]}px`,
+                width: `${columnWidth}px`,
+                height: `${height}px`
+            });
+            heights[column] += height + rowGap;
         });
 
-        // 初始化导航事件
-        this.initVerticalGalleryNav();
+        const contentHeight = Math.max(0, Math.max(...heights) - rowGap);
+        grid.style.height = `${contentHeight + paddingTop + paddingBottom}px`;
+    }
+
+    /**
+     * 加载下一批瀑布流壁纸
+     */
+    loadMoreMasonry() {
+        if (this.portraitView !== 'masonry' || this.masonryLimit >= this.portraitWallpapers.length) return;
+
+        this.masonryLimit += Gallery.MASONRY_BATCH;
+        this.renderMasonry();
+
+        // 新内容不足以把底部推出视口时不会再次触发，重新观察以立即检查一次
+        const sentinel = Utils.$('.masonry-sentinel');
+        if (sentinel && this.masonryObserver) {
+            this.masonryObserver.unobserve(sentinel);
+            this.masonryObserver.observe(sentinel);
+        }
+    }
+
+    /**
+     * 清空瀑布流
+     */
+    clearMasonry() {
+        const grid = Utils.$('#masonry-grid');
+        if (!grid) return;
+
+        Utils.patchChildren(grid, [], {
+            getKey: index => index,
+            create: () => null,
+            remove: item => this.releaseImage(Utils.$('.masonry-image', item))
+        });
+        grid.style.height = '';
     }
 
     /**
@@ -282,20 +2300,82 @@ class Gallery {
         
         if (!galleryContainer || !prevNav || !nextNav) return;
         
+        // 每次渲染都会调用，事件只绑定一次
+        if (this.verticalNavInitialized) return;
+        this.verticalNavInitialized = true;
+        
+        // 点击画廊项打开Lightbox（画廊项会被复用，索引从元素上读取）
+        Utils.on(galleryContainer, 'click', (e) => {
+            const item = e.target.closest('.gallery-item[data-index]');
+            if (item) this.openLightbox(Number(item.dataset.index), 'portrait');
+        });
+        
         // 点击上一张
         Utils.on(prevNav, 'click', () => this.navigateVerticalGallery(-1));
         
         // 点击下一张
         Utils.on(nextNav, 'click', () => this.navigateVerticalGallery(1));
-        
-        // 键盘导航
-        Utils.on(document, 'keydown', (e) => {
-            if (e.key === 'ArrowUp') {
-                this.navigateVerticalGallery(-1);
-            } else if (e.key === 'ArrowDown') {
-                this.navigateVerticalGallery(1);
-            }
-        });
+    }
+
+    /**
+     * 初始化触摸滑动
+     * 横屏幻灯片左右滑动切换，竖屏画廊上下滑动切换；拖动时画面跟随手指并带橡皮筋阻尼
+     */
+    initSwipeGestures() {
+        const screenInner = Utils.$('.screen-inner');
+        if (screenInner) {
+            new SwipeGesture(screenInner, {
+                axis: 'x',
+                canStart: () => this.landscapeWallpapers.length > 0,
+                onMove: ({ dx }) => {
+                    const slide = Utils.$('.wallpaper-slide.active', screenInner);
+                    if (!slide) return;
+                    // 只有一张时阻力更大，提示无法切换
+                    const coefficient = this.landscapeWallpapers.length > 1 ? 0.55 : 0.2;
+                    slide.classList.add('swiping');
+                    slide.style.transform = `translateX(${SwipeGesture.rubberBand(dx, screenInner.clientWidth, coefficient)}px)`;
+                },
+                onEnd: ({ direction }) => {
+                    const slide = Utils.$('.wallpaper-slide.active', screenInner);
+                    if (slide) {
+                        slide.classList.remove('swiping');
+                        slide.style.transform = '';
+                    }
+                    if (this.landscapeWallpapers.length <= 1) return;
+
+                    if (direction === 'left') {
+                        this.nextSlide();
+                    } else if (direction === 'right') {
+                        this.prevSlide();
+                    }
+                }
+            });
+        }
+
+        const verticalContainer = Utils.$('.vertical-gallery-container');
+        const verticalGallery = Utils.$('#vertical-gallery');
+        if (verticalContainer && verticalGallery) {
+            new SwipeGesture(verticalContainer, {
+                axis: 'y',
+                canStart: () => this.portraitView === 'carousel' && this.portraitWallpapers.length > 0,
+                onMove: ({ dy }) => {
+                    const coefficient = this.portraitWallpapers.length > 1 ? 0.55 : 0.2;
+                    verticalGallery.classList.add('swiping');
+                    verticalGallery.style.transform = `translateY(${SwipeGesture.rubberBand(dy, verticalContainer.clientHeight, coefficient)}px)`;
+                },
+                onEnd: ({ direction }) => {
+                    verticalGallery.classList.remove('swiping');
+                    verticalGallery.style.transform = '';
+                    if (this.portraitWallpapers.length <= 1) return;
+
+                    if (direction === 'up') {
+                        this.navigateVerticalGallery(1);
+                    } else if (direction === 'down') {
+                        this.navigateVerticalGallery(-1);
+                    }
+                }
+            });
+        }
     }
 
     /**
@@ -303,29 +2383,10 @@ class Gallery {
      * @param {number} direction - 导航方向，-1为上一张，1为下一张
      */
     navigateVerticalGallery(direction) {
-        if (this.portraitWallpapers.length === 0) return;
-        
-        const galleryItems = Utils.$$('.gallery-item');
-        if (galleryItems.length === 0) return;
-        
-        // 找到当前活动项
-        let currentIndex = 0;
-        galleryItems.forEach((item, index) => {
-            if (item.classList.contains('active')) {
-                currentIndex = index;
-            }
-        });
-        
-        // 计算新索引
-        let newIndex = currentIndex + direction;
-        if (newIndex < 0) {
-            newIndex = galleryItems.length - 1;
-        } else if (newIndex >= galleryItems.length) {
-            newIndex = 0;
-        }
+        const total = this.portraitWallpapers.length;
+        if (total === 0) return;
         
-        // 更新画廊项状态
-        this.updateVerticalGalleryItems(newIndex);
+        this.updateVerticalGalleryItems((this.portraitIndex + direction + total) % total);
     }
 
     /**
@@ -333,59 +2394,61 @@ class Gallery {
      * @param {number} activeIndex - 活动项索引
      */
     updateVerticalGalleryItems(activeIndex) {
-        const galleryItems = Utils.$$('.gallery-item');
-        if (galleryItems.length === 0) return;
-        
-        // 获取当前动画效果
-        const animationType = this.animationSettings.portrait;
-        
-        galleryItems.forEach((item, index) => {
-            // 移除所有状态类
-            item.classList.remove('active', 'prev', 'next',
-                                 'animation-fade', 'animation-slide', 'animation-zoom', 
-                                 'animation-rotate', 'animation-flip', 'animation-cube', 
-                                 'animation-bounce', 'animation-wave');
-            
-            // 添加当前动画类
-            item.classList.add(`animation-${animationType}`);
-            
-            // 添加新状态类
-            if (index === activeIndex) {
-                item.classList.add('active');
-            } else if (index === (activeIndex - 1 + galleryItems.length) % galleryItems.length) {
-                item.classList.add('prev');
-            } else if (index === (activeIndex + 1) % galleryItems.length) {
-                item.classList.add('next');
-            }
-        });
+        this.portraitIndex = activeIndex;
+        this.syncPortraitItems();
     }
 
     /**
      * 切换到上一张幻灯片
      */
     prevSlide() {
-        if (this.landscapeWallpapers.length === 0) return;
-        
-        const currentSlide = Utils.$(`.wallpaper-slide[data-index="${this.currentSlideIndex}"]`);
-        this.currentSlideIndex = (this.currentSlideIndex - 1 + this.landscapeWallpapers.length) % this.landscapeWallpapers.length;
-        const nextSlide = Utils.$(`.wallpaper-slide[data-index="${this.currentSlideIndex}"]`);
-        
-        this.transitionSlides(currentSlide, nextSlide, 'prev');
-        this.updateSlideCounter();
+        const total = this.landscapeWallpapers.length;
+        if (total === 0) return;
+        this.goToSlide((this.currentSlideIndex - 1 + total) % total, 'prev');
     }
 
     /**
      * 切换到下一张幻灯片
      */
     nextSlide() {
-        if (this.landscapeWallpapers.length === 0) return;
+        const total = this.landscapeWallpapers.length;
+        if (total === 0) return;
+        this.goToSlide((this.currentSlideIndex + 1) % total, 'next');
+    }
+
+    /**
+     * 切换到指定幻灯片
+     * 自动播放时重新计时，手动切换后完整显示一个间隔
+     * @param {number} index - 幻灯片索引
+     * @param {string} direction - 过渡方向 ('prev' 或 'next')，默认按索引大小决定
+     */
+    goToSlide(index, direction) {
+        if (index === this.currentSlideIndex || index < 0 || index >= this.landscapeWallpapers.length) return;
         
-        const currentSlide = Utils.$(`.wallpaper-slide[data-index="${this.currentSlideIndex}"]`);
-        this.currentSlideIndex = (this.currentSlideIndex + 1) % this.landscapeWallpapers.length;
+        // 从胶片条跳到远处时目标幻灯片还不在DOM中
+        this.syncLandscapeSlides([index]);
+        
+        const previousIndex = this.currentSlideIndex;
+        const currentSlide = Utils.$(`.wallpaper-slide[data-index="${previousIndex}"]`);
+        const nextDirection = direction || (index > previousIndex ? 'next' : 'prev');
+        this.currentSlideIndex = index;
         const nextSlide = Utils.$(`.wallpaper-slide[data-index="${this.currentSlideIndex}"]`);
         
-        this.transitionSlides(currentSlide, nextSlide, 'next');
+        this.transitionSlides(currentSlide, nextSlide, nextDirection);
         this.updateSlideCounter();
+        this.updateFitButton();
+        
+        // 补齐新位置两侧的幻灯片并加载原图，离开的那张等过渡结束后再移除
+        this.syncLandscapeSlides([previousIndex]);
+        clearTimeout(this.slidePruneTimer);
+        this.slidePruneTimer = setTimeout(() => this.syncLandscapeSlides(), 800);
+        this.updateFilmstrip();
+        
+        // 随机播放时已看过的不再出现在本轮
+        this.slideOrder = this.slideOrder.filter(orderIndex => orderIndex !== index);
+        if (this.isPlaying) {
+            this.restartSlideTimer();
+        }
     }
 
     /**
@@ -434,20 +2497,10 @@ class Gallery {
      * 切换自动播放
      */
     togglePlay() {
-        this.isPlaying = !this.isPlaying;
-        const playBtn = Utils.$('.play-btn');
-        
-        if (playBtn) {
-            const svg = playBtn.querySelector('svg');
-            if (this.isPlaying) {
-                // 切换到暂停图标
-                svg.innerHTML = '<rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect>';
-                this.startSlideShow();
-            } else {
-                // 切换到播放图标
-                svg.innerHTML = '<polygon points="5 3 19 12 5 21 5 3"></polygon>';
-                this.stopSlideShow();
-            }
+        if (this.isPlaying) {
+            this.stopSlideShow();
+        } else {
+            this.startSlideShow();
         }
     }
 
@@ -455,21 +2508,288 @@ class Gallery {
      * 开始幻灯片播放
      */
     startSlideShow() {
-        if (this.slideInterval) return;
+        if (this.landscapeWallpapers.length <= 1) return;
         
-        this.slideInterval = setInterval(() => {
-            this.nextSlide();
-        }, this.slideDuration);
+        this.isPlaying = true;
+        this.slideOrder = this.createSlideOrder();
+        this.restartSlideTimer();
+        this.updatePlayButton();
     }
 
     /**
      * 停止幻灯片播放
      */
     stopSlideShow() {
-        if (this.slideInterval) {
-            clearInterval(this.slideInterval);
-            this.slideInterval = null;
+        this.isPlaying = false;
+        this.suspendSlideTimer();
+        this.slideElapsed = 0;
+        this.updateCountdown();
+        this.updatePlayButton();
+    }
+
+    /**
+     * 初始化自动播放设置，以及悬停、键盘焦点和页面隐藏时的暂停
+     */
+    initAutoplay() {
+        const options = Utils.$('.slide-options');
+        if (options) {
+            const intervalSelect = Utils.$('.slide-interval', options);
+            if (intervalSelect) {
+                intervalSelect.innerHTML = Gallery.SLIDE_INTERVALS.map(interval =>
+                    `<option value="${interval}">${interval / 1000} 秒</option>`
+                ).join('');
+                Utils.on(intervalSelect, 'change', () => {
+                    this.setSlideOption('interval', Number(intervalSelect.value));
+                });
+            }
+            
+            Utils.on(options, 'click', (e) => {
+                if (e.target.closest('.slide-fit-btn')) {
+                    this.cycleSlideFit();
+                    return;
+                }
+                
+                const optionBtn = e.target.closest('[data-slide-option]');
+                if (!optionBtn) return;
+                
+                const option = optionBtn.dataset.slideOption;
+                const value = option === 'direction'
+                    ? (this.slideSettings.direction === 'prev' ? 'next' : 'prev')
+                    : !this.slideSettings[option];
+                this.setSlideOption(option, value);
+            });
+            
+            this.updateSlideOptions();
+        }
+        
+        const cinemaContainer = Utils.$('.cinema-container');
+        if (cinemaContainer) {
+            // 触摸没有悬停，只处理鼠标
+            Utils.on(cinemaContainer, 'pointerenter', (e) => {
+                if (e.pointerType === 'mouse') this.setAutoplayPaused('hover', true);
+            });
+            Utils.on(cinemaContainer, 'pointerleave', (e) => {
+                if (e.pointerType === 'mouse') this.setAutoplayPaused('hover', false);
+            });
+            
+            // 只有键盘焦点才暂停，用鼠标点击播放按钮不算
+            Utils.on(cinemaContainer, 'focusin', (e) => {
+                this.setAutoplayPaused('focus', e.target.matches(':focus-visible'));
+            });
+            Utils.on(cinemaContainer, 'focusout', (e) => {
+                if (!cinemaContainer.contains(e.relatedTarget)) {
+                    this.setAutoplayPaused('focus', false);
+                }
+            });
+        }
+        
+        Utils.on(document, 'visibilitychange', () => {
+            this.setAutoplayPaused('hidden', document.hidden);
+        });
+    }
+
+    /**
+     * 修改并保存自动播放设置
+     * @param {string} option - 设置项 ('interval'、'direction'、'shuffle' 或 'loop')
+     * @param {number|string|boolean} value - 新值
+     */
+    setSlideOption(option, value) {
+        this.slideSettings[option] = value;
+        Utils.saveToJSON('cinema_autoplay.json', this.slideSettings);
+        
+        if (option === 'shuffle') {
+            this.slideOrder = this.createSlideOrder();
+        }
+        if (option === 'interval' && this.isPlaying) {
+            this.restartSlideTimer();
+        }
+        
+        this.updateSlideOptions();
+    }
+
+    /**
+     * 更新自动播放设置的显示状态
+     */
+    updateSlideOptions() {
+        const options = Utils.$('.slide-options');
+        if (!options) return;
+        
+        const intervalSelect = Utils.$('.slide-interval', options);
+        if (intervalSelect) {
+            intervalSelect.value = String(this.slideSettings.interval);
+        }
+        
+        Utils.$$('[data-slide-option]', options).forEach(button => {
+            const option = button.dataset.slideOption;
+            if (option === 'direction') {
+                const isReversed = this.slideSettings.direction === 'prev';
+                button.textContent = isReversed ? '倒序' : '正序';
+                button.classList.toggle('active', isReversed);
+                button.setAttribute('aria-pressed', String(isReversed));
+                return;
+            }
+            const isActive = Boolean(this.slideSettings[option]);
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+
+    /**
+     * 临时暂停或继续自动播放，继续时接着暂停前的剩余时间
+     * @param {string} reason - 暂停原因 ('hover'、'focus' 或 'hidden')
+     * @param {boolean} paused - 是否暂停
+     */
+    setAutoplayPaused(reason, paused) {
+        if (paused === this.pauseReasons.has(reason)) return;
+        
+        if (paused) {
+            this.suspendSlideTimer();
+            this.pauseReasons.add(reason);
+        } else {
+            this.pauseReasons.delete(reason);
+            this.resumeSlideTimer();
+        }
+        this.updateCountdown();
+    }
+
+    /**
+     * 从头开始计时当前这张
+     */
+    restartSlideTimer() {
+        this.suspendSlideTimer();
+        this.slideElapsed = 0;
+        this.resumeSlideTimer();
+    }
+
+    /**
+     * 继续计时，临时暂停期间不计时
+     */
+    resumeSlideTimer() {
+        if (!this.isPlaying || this.slideTimer || this.pauseReasons.size > 0) {
+            this.updateCountdown();
+            return;
+        }
+        
+        this.slideResumedAt = performance.now();
+        this.slideTimer = setTimeout(
+            () => this.advanceSlide(),
+            Math.max(0, this.slideSettings.interval - this.slideElapsed)
+        );
+        
+        const tick = () => {
+            this.updateCountdown();
+            this.countdownFrame = requestAnimationFrame(tick);
+        };
+        tick();
+    }
+
+    /**
+     * 停止计时，记录已显示的时间
+     */
+    suspendSlideTimer() {
+        if (this.slideTimer) {
+            this.slideElapsed += performance.now() - this.slideResumedAt;
+        }
+        clearTimeout(this.slideTimer);
+        cancelAnimationFrame(this.countdownFrame);
+        this.slideTimer = null;
+        this.countdownFrame = null;
+    }
+
+    /**
+     * 当前这张已显示的时间
+     * @returns {number} - 毫秒
+     */
+    getSlideElapsed() {
+        return this.slideElapsed + (this.slideTimer ? performance.now() - this.slideResumedAt : 0);
+    }
+
+    /**
+     * 自动播放切换到下一张，不循环时播放完后停止
+     */
+    advanceSlide() {
+        this.slideTimer = null;
+        
+        const next = this.peekNextSlideIndex();
+        if (next === -1) {
+            this.stopSlideShow();
+            Utils.showToast('幻灯片已播放完毕', 'info');
+            return;
+        }
+        
+        this.goToSlide(next, this.slideSettings.direction);
+    }
+
+    /**
+     * 自动播放的下一张
+     * 随机播放时每轮不重复，一轮结束后循环播放会重新打乱
+     * @returns {number} - 下一张的索引，没有下一张时为-1
+     */
+    peekNextSlideIndex() {
+        const total = this.landscapeWallpapers.length;
+        if (total <= 1) return -1;
+        
+        if (!this.slideSettings.shuffle) {
+            const next = this.currentSlideIndex + (this.slideSettings.direction === 'prev' ? -1 : 1);
+            if (next >= 0 && next < total) return next;
+            return this.slideSettings.loop ? (next + total) % total : -1;
+        }
+        
+        if (this.slideOrder.length === 0) {
+            if (!this.slideSettings.loop) return -1;
+            this.slideOrder = this.createSlideOrder();
+        }
+        return this.slideOrder[0];
+    }
+
+    /**
+     * 打乱除当前幻灯片外的所有索引
+     * @returns {number[]} - 随机顺序
+     */
+    createSlideOrder() {
+        const order = this.landscapeWallpapers
+            .map((_, index) => index)
+            .filter(index => index !== this.currentSlideIndex);
+        
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        return order;
+    }
+
+    /**
+     * 更新播放按钮图标
+     */
+    updatePlayButton() {
+        const playBtn = Utils.$('.play-btn');
+        if (!playBtn) return;
+        
+        const svg = playBtn.querySelector('svg');
+        if (svg) {
+            svg.innerHTML = this.isPlaying
+                ? '<rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect>'
+                : '<polygon points="5 3 19 12 5 21 5 3"></polygon>';
         }
+        playBtn.setAttribute('aria-label', this.isPlaying ? '暂停自动播放' : '自动播放');
+    }
+
+    /**
+     * 在幻灯片计数器上显示距下一张的倒计时
+     */
+    updateCountdown() {
+        const counter = Utils.$('.slide-counter');
+        if (!counter) return;
+        
+        const progress = this.isPlaying
+            ? Math.min(this.getSlideElapsed() / this.slideSettings.interval, 1)
+            : 0;
+        const isPaused = this.isPlaying && this.pauseReasons.size > 0;
+        
+        counter.classList.toggle('counting', this.isPlaying);
+        counter.classList.toggle('paused', isPaused);
+        counter.style.setProperty('--countdown', String(1 - progress));
+        counter.title = isPaused ? '自动播放已暂停' : '';
     }
     
     /**
@@ -537,31 +2857,141 @@ class Gallery {
     }
 
     /**
-     * 处理键盘导航
-     * @param {KeyboardEvent} e - 键盘事件
+     * 获取壁纸在横屏幻灯片中的显示方式
+     * @param {Object} wallpaper - 壁纸对象
+     * @returns {string} - 显示方式，见 Devices.FIT_MODES
      */
-    handleKeyboardNavigation(e) {
-        switch (e.key) {
-            case 'ArrowLeft':
-                this.prevSlide();
-                break;
-            case 'ArrowRight':
-                this.nextSlide();
-                break;
-            case ' ': // 空格键
-                e.preventDefault();
-                this.togglePlay();
-                break;
+    getSlideFit(wallpaper) {
+        return Devices.FIT_MODES[wallpaper.fit] ? wallpaper.fit : 'letterbox';
+    }
+
+    /**
+     * 依次切换当前幻灯片的显示方式（留黑边、裁切填满、拉伸填满），保存到该壁纸
+     */
+    cycleSlideFit() {
+        const wallpaper = this.landscapeWallpapers[this.currentSlideIndex];
+        if (!wallpaper) return;
+
+        const modes = Object.keys(Devices.FIT_MODES);
+        const fit = modes[(modes.indexOf(this.getSlideFit(wallpaper)) + 1) % modes.length];
+        this.updateWallpaper(wallpaper.id, { fit }, { render: false });
+
+        // 只有显示方式变化，不必重新分类和渲染
+        const slide = Utils.$(`.wallpaper-slide[data-index="${this.currentSlideIndex}"]`);
+        if (slide) slide.dataset.fit = fit;
+        this.updateFitButton();
+    }
+
+    /**
+     * 更新显示方式按钮
+     */
+    updateFitButton() {
+        const button = Utils.$('.slide-fit-btn');
+        if (!button) return;
+
+        const wallpaper = this.landscapeWallpapers[this.currentSlideIndex];
+        button.disabled = !wallpaper;
+        button.textContent = Devices.FIT_MODES[wallpaper ? this.getSlideFit(wallpaper) : 'letterbox'];
+    }
+
+    /**
+     * 注册快捷键
+     * 横屏幻灯片和竖屏画廊只在所在分区位于屏幕中央或包含焦点时响应
+     */
+    initShortcuts() {
+        this.shortcuts.registerContext('cinema', {
+            label: '横屏幻灯片',
+            priority: 10,
+            isActive: () => this.isFullscreen || this.isSectionFocused('#landscape')
+        });
+        this.shortcuts.register('cinema.prev', {
+            context: 'cinema',
+            description: '上一张',
+            keys: ['ArrowLeft'],
+            handler: () => this.prevSlide()
+        });
+        this.shortcuts.register('cinema.next', {
+            context: 'cinema',
+            description: '下一张',
+            keys: ['ArrowRight'],
+            handler: () => this.nextSlide()
+        });
+        this.shortcuts.register('cinema.play', {
+            context: 'cinema',
+            description: '播放/暂停',
+            keys: ['Space'],
+            handler: () => this.togglePlay()
+        });
+        this.shortcuts.register('cinema.fit', {
+            context: 'cinema',
+            description: '切换当前壁纸的显示方式',
+            keys: ['M'],
+            handler: () => this.cycleSlideFit()
+        });
+
+        this.shortcuts.registerContext('vertical-gallery', {
+            label: '竖屏画廊',
+            priority: 10,
+            isActive: () => !this.isFullscreen && this.portraitView === 'carousel' && this.isSectionFocused('#portrait')
+        });
+        this.shortcuts.register('vertical-gallery.prev', {
+            context: 'vertical-gallery',
+            description: '上一张',
+            keys: ['ArrowUp'],
+            handler: () => this.navigateVerticalGallery(-1)
+        });
+        this.shortcuts.register('vertical-gallery.next', {
+            context: 'vertical-gallery',
+            description: '下一张',
+            keys: ['ArrowDown'],
+            handler: () => this.navigateVerticalGallery(1)
+        });
+    }
+
+    /**
+     * 判断分区是否为当前焦点
+     * 焦点在分区内，或分区覆盖屏幕垂直中线
+     * @param {string} selector - 分区选择器
+     * @returns {boolean}
+     */
+    isSectionFocused(selector) {
+        const section = Utils.$(selector);
+        if (!section) return false;
+
+        if (document.activeElement !== document.body && section.contains(document.activeElement)) {
+            return true;
+        }
+
+        const rect = section.getBoundingClientRect();
+        const middle = window.innerHeight / 2;
+        return rect.top <= middle && rect.bottom >= middle;
+    }
+
+    /**
+     * 获取指定分区的壁纸列表
+     * @param {string} type - 分区类型 ('landscape'、'portrait' 或 'favorites')
+     * @returns {Array} - 壁纸列表
+     */
+    getWallpapersByType(type) {
+        switch (type) {
+            case 'landscape':
+                return this.landscapeWallpapers;
+            case 'favorites':
+                return this.favoriteWallpapers;
+            default:
+                return this.portraitWallpapers;
         }
     }
 
     /**
      * 打开Lightbox预览
      * @param {number} index - 壁纸索引
-     * @param {string} type - 壁纸类型 ('landscape' 或 'portrait')
+     * @param {string} type - 壁纸类型 ('landscape'、'portrait' 或 'favorites')
+     * @param {Object} options - 其他选项
+     * @param {boolean} options.autoplay - 是否打开后自动播放幻灯片
      */
-    openLightbox(index, type) {
-        const wallpapers = type === 'landscape' ? this.landscapeWallpapers : this.portraitWallpapers;
+    openLightbox(index, type, options = {}) {
+        const wallpapers = this.getWallpapersByType(type);
         
         // 确保有壁纸数据
         if (!wallpapers || wallpapers.length === 0) {
@@ -576,10 +3006,37 @@ class Gallery {
         Utils.emit(document, 'openLightbox', {
             index: validIndex,
             type: type,
-            wallpapers: wallpapers
+            wallpapers: wallpapers,
+            autoplay: !!options.autoplay,
+            getOrigin: (wallpaperIndex) => this.getLightboxOrigin(type, wallpaperIndex),
+            getWallpapers: () => this.getWallpapersByType(type)
         });
     }
 
+    /**
+     * 获取壁纸在画廊中的缩略图，用于灯箱从缩略图放大打开和缩小关闭
+     * @param {string} type - 分区类型 ('landscape'、'portrait' 或 'favorites')
+     * @param {number} index - 壁纸在该分区中的索引
+     * @returns {HTMLElement|null} - 屏幕上可见的缩略图，不可见时为null
+     */
+    getLightboxOrigin(type, index) {
+        const selectors = {
+            landscape: `.wallpaper-slide.active[data-index="${index}"] .slide-image`,
+            portrait: this.portraitView === 'masonry'
+                ? `.masonry-item[data-index="${index}"] .masonry-image`
+                : `.gallery-item.active[data-index="${index}"] .gallery-image`,
+            favorites: `.favorite-item[data-index="${index}"] .favorite-image`
+        };
+        const element = selectors[type] ? Utils.$(selectors[type]) : null;
+        if (!element) return null;
+
+        const rect = element.getBoundingClientRect();
+        const isVisible = rect.width > 0 && rect.height > 0 &&
+            rect.bottom > 0 && rect.top < window.innerHeight &&
+            rect.right > 0 && rect.left < window.innerWidth;
+        return isVisible ? element : null;
+    }
+
     /**
      * 获取壁纸总数
      * @returns {number} - 壁纸总数
@@ -588,6 +3045,14 @@ class Gallery {
         return this.wallpapers.length;
     }
 
+    /**
+     * 获取收藏壁纸数量
+     * @returns {number} - 收藏壁纸数量
+     */
+    getFavoriteCount() {
+        return this.favoriteWallpapers.length;
+    }
+
     /**
      * 获取横屏壁纸数量
      * @returns {number} - 横屏壁纸数量
@@ -0,0 +1,282 @@
+/**
+ * 导入错误类
+ * 携带失败原因代码，便于在导入面板中显示
+ */
+class ImportError extends Error {
+    /**
+     * @param {string} reason - 原因代码，见 ImportPanel.REASONS
+     * @param {string} message - 详细信息
+     */
+    constructor(reason, message = '') {
+        super(message || reason);
+        this.name = 'ImportError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * 导入面板类
+ * 显示每个文件的导入进度、完成的缩略图以及跳过/失败的原因
+ */
+class ImportPanel {
+    constructor() {
+        this.panel = Utils.$('#import-panel');
+        this.list = Utils.$('.import-list');
+        this.folderTagsInput = Utils.$('.import-folder-tags input');
+        this.items = []; // 每个文件的状态
+        this.isCancelled = false;
+        this.isRunning = false;
+        this.settings = Utils.getFromJSON('import_settings.json', { folderTags: true }); // 导入设置
+
+        this.init();
+    }
+
+    /**
+     * 跳过/失败原因说明
+     * @returns {Object<string, string>}
+     */
+    static get REASONS() {
+        return {
+            unsupported: '不是受支持的图片格式',
+            decode: '无法解码（文件损坏或浏览器不支持该格式）',
+            quota: '存储空间不足',
+            duplicate: '重复图片，已跳过',
+            cancelled: '已取消',
+            unknown: '未知错误'
+        };
+    }
+
+    /**
+     * 各状态的显示文字
+     * @returns {Object<string, string>}
+     */
+    static get STATUS_LABELS() {
+        return {
+            pending: '等待中',
+            processing: '处理中',
+            done: '已导入',
+            skipped: '已跳过',
+            failed: '失败',
+            cancelled: '已取消'
+        };
+    }
+
+    /**
+     * 初始化导入面板
+     */
+    init() {
+        if (!this.panel) return;
+
+        if (this.folderTagsInput) {
+            this.folderTagsInput.checked = this.settings.folderTags;
+            Utils.on(this.folderTagsInput, 'change', () => {
+                this.settings.folderTags = this.folderTagsInput.checked;
+                Utils.saveToJSON('import_settings.json', this.settings);
+            });
+        }
+
+        Utils.on(this.panel, 'click', (e) => {
+            const actionBtn = e.target.closest('[data-import-action]');
+            if (!actionBtn) return;
+
+            switch (actionBtn.dataset.importAction) {
+                case 'cancel':
+                    this.cancel();
+                    break;
+                case 'close':
+                    this.hide();
+                    break;
+                case 'toggle':
+                    this.panel.classList.toggle('collapsed');
+                    break;
+            }
+        });
+    }
+
+    /**
+     * 是否将文件夹名作为标签
+     * @returns {boolean}
+     */
+    get useFolderTags() {
+        return Boolean(this.settings.folderTags);
+    }
+
+    /**
+     * 开始新的导入
+     * @param {Array<{file: File, path: string}>} entries - 待导入的文件及其相对路径
+     */
+    start(entries) {
+        this.items = entries.map(({ file, path }) => ({
+            name: path || file.name,
+            size: file.size,
+            status: 'pending',
+            reason: '',
+            thumbnail: ''
+        }));
+        this.isCancelled = false;
+        this.isRunning = true;
+
+        if (!this.panel) return;
+
+        this.panel.classList.add('active', 'running');
+        this.panel.classList.remove('collapsed');
+        // 只有从文件夹导入时才显示文件夹标签选项
+        this.panel.classList.toggle('has-folders', this.items.some(item => item.name.includes('/')));
+        this.renderList();
+        this.updateSummary();
+    }
+
+    /**
+     * 设置当前阶段说明
+     * @param {string} text - 阶段说明
+     */
+    setPhase(text) {
+        const phase = this.panel ? Utils.$('.import-phase', this.panel) : null;
+        if (phase) phase.textContent = text;
+    }
+
+    /**
+     * 更新单个文件的状态
+     * @param {number} index - 文件索引
+     * @param {string} status - 状态 ('pending'、'processing'、'done'、'skipped'、'failed' 或 'cancelled')
+     * @param {Object} details - 附加信息
+     * @param {string} [details.reason] - 原因代码
+     * @param {string} [details.message] - 详细信息
+     * @param {string} [details.thumbnail] - 缩略图
+     */
+    updateItem(index, status, details = {}) {
+        const item = this.items[index];
+        if (!item) return;
+
+        item.status = status;
+        if (details.thumbnail) item.thumbnail = details.thumbnail;
+        if (details.reason) {
+            const reasonText = ImportPanel.REASONS[details.reason] || ImportPanel.REASONS.unknown;
+            item.reason = details.message && details.reason === 'unknown'
+                ? `${reasonText}：${details.message}`
+                : reasonText;
+        }
+
+        if (!this.list) return;
+
+        const element = Utils.$(`.import-item[data-index="${index}"]`, this.list);
+        if (element) {
+            element.replaceWith(this.createItemElement(item, index));
+        }
+        this.updateSummary();
+    }
+
+    /**
+     * 渲染文件列表
+     */
+    renderList() {
+        if (!this.list) return;
+
+        this.list.innerHTML = '';
+        this.items.forEach((item, index) => {
+            this.list.appendChild(this.createItemElement(item, index));
+        });
+    }
+
+    /**
+     * 创建文件列表项
+     * @param {Object} item - 文件状态
+     * @param {number} index - 文件索引
+     * @returns {HTMLElement} - 列表项元素
+     */
+    createItemElement(item, index) {
+        const element = document.createElement('li');
+        element.className = `import-item ${item.status}`;
+        element.dataset.index = index;
+
+        const thumbnail = item.thumbnail
+            ? `<img class="import-thumb" src="${Utils.escapeHTML(item.thumbnail)}" alt="">`
+            : '<span class="import-thumb placeholder"></span>';
+
+        element.innerHTML = `
+            ${thumbnail}
+            <span class="import-item-info">
+                <span class="import-item-name" title="${Utils.escapeHTML(item.name)}">${Utils.escapeHTML(item.name)}</span>
+                <span class="import-item-reason">${Utils.escapeHTML(item.reason || Utils.formatFileSize(item.size))}</span>
+            </span>
+            <span class="import-item-status">${ImportPanel.STATUS_LABELS[item.status]}</span>
+        `;
+
+        return element;
+    }
+
+    /**
+     * 更新进度与统计
+     */
+    updateSummary() {
+        if (!this.panel) return;
+
+        const total = this.items.length;
+        const counts = this.items.reduce((result, item) => {
+            result[item.status] = (result[item.status] || 0) + 1;
+            return result;
+        }, {});
+        const finished = total - (counts.pending || 0) - (counts.processing || 0);
+
+        const fill = Utils.$('.import-progress-fill', this.panel);
+        if (fill) {
+            fill.style.width = `${total === 0 ? 0 : (finished / total) * 100}%`;
+        }
+
+        const title = Utils.$('.import-title', this.panel);
+        if (title) {
+            title.textContent = `导入壁纸 ${finished} / ${total}`;
+        }
+
+        const stats = Utils.$('.import-stats', this.panel);
+        if (stats) {
+            stats.textContent = [
+                `成功 ${counts.done || 0}`,
+                `跳过 ${counts.skipped || 0}`,
+                `失败 ${counts.failed || 0}`,
+                counts.cancelled ? `取消 ${counts.cancelled}` : ''
+            ].filter(Boolean).join(' · ');
+        }
+    }
+
+    /**
+     * 取消导入，正在处理的文件完成后停止
+     */
+    cancel() {
+        if (!this.isRunning) return;
+        this.isCancelled = true;
+        this.setPhase('正在取消…');
+    }
+
+    /**
+     * 导入结束
+     */
+    finish() {
+        this.isRunning = false;
+
+        // 尚未处理的文件标记为已取消
+        this.items.forEach((item, index) => {
+            if (item.status === 'pending' || item.status === 'processing') {
+                this.updateItem(index, 'cancelled', { reason: 'cancelled' });
+            }
+        });
+
+        if (!this.panel) return;
+
+        this.panel.classList.remove('running');
+        const failedCount = this.items.filter(item => item.status === 'failed').length;
+        this.setPhase(this.isCancelled ? '导入已取消' : (failedCount > 0 ? '导入完成，部分文件失败' : '导入完成'));
+    }
+
+    /**
+     * 隐藏导入面板
+     */
+    hide() {
+        if (!this.panel || this.isRunning) return;
+        this.panel.classList.remove('active');
+    }
+}
+
+// 导出导入面板类
+window.ImportError = ImportError;
+window.ImportPanel = ImportPanel;
\ No newline at end of file
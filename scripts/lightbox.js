@@ -3,16 +3,68 @@
  * 实现壁纸全屏预览功能
  */
 class Lightbox {
-    constructor() {
+    /**
+     * @param {ShortcutManager} shortcuts - 快捷键管理器
+     */
+    constructor(shortcuts) {
+        this.shortcuts = shortcuts;
         this.lightbox = Utils.$('#lightbox');
         this.lightboxImage = Utils.$('#lightbox-image');
+        this.content = Utils.$('.lightbox-content');
+        this.overlay = Utils.$('.lightbox-overlay');
+        this.tagList = Utils.$('.lightbox-tag-list');
+        this.tagInput = Utils.$('.lightbox-tag-input');
         this.currentIndex = 0;
         this.currentWallpapers = [];
         this.isOpen = false;
+        this.favoriteBtn = Utils.$('.lightbox-favorite');
+        this.favoriteIds = new Set(); // 收藏的壁纸ID，由画廊同步
+        this.playBtn = Utils.$('.lightbox-play');
+        this.isPlaying = false; // 是否正在播放幻灯片
+        this.slideshowTimer = null; // 幻灯片定时器
+        this.slideshowSettings = {
+            interval: 5000,
+            shuffle: false,
+            loop: true,
+            ...Utils.getFromJSON('lightbox_slideshow.json', {})
+        }; // 幻灯片设置（切换间隔毫秒、随机播放、循环播放）
+        this.slideshowOrder = []; // 随机播放时本轮尚未播放的索引
+        this.slideStartedAt = 0; // 当前这张开始显示的时间
+        this.progressFrame = null; // 进度条动画帧
+        this.slideshowBar = Utils.$('.lightbox-slideshow');
+        this.progressFill = Utils.$('.lightbox-progress-fill');
+        this.preloaded = new Map(); // 预加载的相邻图片（URL -> Image）
+        this.transitionType = 'fade'; // 切换图片的动画，见 Transitions.CATALOGUE
+        this.transitionDirection = null; // 下一次显示图片时的切换方向 ('prev' 或 'next')
+        this.transitionGhost = null; // 切换动画中正在离开的旧图片
+        this.getOrigin = null; // 获取壁纸在画廊中的缩略图，由画廊提供
+        this.getWallpapers = null; // 获取所在分区的最新壁纸列表，由画廊提供
+        this.returnFocus = null; // 打开前的焦点元素，关闭后恢复
+        this.openingOrigin = null; // 打开时点击的缩略图
+        this.closeAnimations = []; // 正在进行的缩回缩略图动画
+        this.imageContainer = Utils.$('.lightbox-image-container');
+        this.zoomLevel = Utils.$('.lightbox-zoom-level');
+        this.zoom = { scale: 1, x: 0, y: 0 }; // 相对适应屏幕尺寸的缩放和平移
+        this.maxZoom = 8; // 最大缩放（相对原图像素）
+        this.pointers = new Map(); // 当前按下的指针（指针ID -> 坐标）
+        this.gesture = null; // 正在进行的拖动或双指缩放
+        this.infoPanel = Utils.$('.lightbox-info');
+        this.infoBtn = Utils.$('.lightbox-info-btn');
+        this.isInfoOpen = false; // 信息面板是否展开
+        this.colorRequests = new Map(); // 正在分析或分析失败的主色调（壁纸ID -> 'pending' 或 'failed'）
+        this.cropExport = new CropExport(shortcuts); // 按设备裁剪导出
         
         this.init();
     }
 
+    /**
+     * 幻灯片可选的切换间隔（毫秒）
+     * @returns {number[]}
+     */
+    static get SLIDESHOW_INTERVALS() {
+        return [3000, 5000, 10000, 20000, 60000];
+    }
+
     /**
      * 初始化Lightbox
      */
@@ -38,13 +90,93 @@ class Lightbox {
         if (nextBtn) Utils.on(nextBtn, 'click', () => this.next());
 
         // 点击遮罩关闭
-        const overlay = Utils.$('.lightbox-overlay');
-        if (overlay) {
-            Utils.on(overlay, 'click', () => this.close());
+        if (this.overlay) {
+            Utils.on(this.overlay, 'click', () => this.close());
+        }
+
+        // 收藏按钮事件
+        if (this.favoriteBtn) {
+            Utils.on(this.favoriteBtn, 'click', () => {
+                const wallpaper = this.getCurrentWallpaper();
+                if (wallpaper) {
+                    Utils.emit(document, 'toggleFavorite', { id: wallpaper.id });
+                }
+            });
+        }
+        
+        // 画廊重新排序或更新后换用新的列表
+        Utils.on(document, 'galleryRendered', () => this.refreshWallpapers());
+        
+        // 收藏状态变化
+        Utils.on(document, 'favoritesChanged', (e) => {
+            this.favoriteIds = new Set(e.detail.ids);
+            this.updateFavoriteButton();
+        });
+        
+        // 幻灯片播放按钮事件
+        if (this.playBtn) {
+            Utils.on(this.playBtn, 'click', () => this.togglePlay());
+        }
+        this.initSlideshowOptions();
+        
+        // 标签编辑事件
+        if (this.tagInput) {
+            Utils.on(this.tagInput, 'keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.addTags(this.tagInput.value);
+                    this.tagInput.value = '';
+                }
+            });
+            // 从自动补全列表选择后直接添加
+            Utils.on(this.tagInput, 'change', () => {
+                if (this.tagInput.value.trim()) {
+                    this.addTags(this.tagInput.value);
+                    this.tagInput.value = '';
+                }
+            });
+        }
+        if (this.tagList) {
+            Utils.on(this.tagList, 'click', (e) => {
+                const removeBtn = e.target.closest('.tag-remove');
+                if (removeBtn) {
+                    this.removeTag(removeBtn.dataset.tag);
+                }
+            });
+        }
+
+        // 缩放与平移
+        this.initZoom();
+
+        // 触摸滑动切换与下滑关闭
+        this.initSwipe();
+
+        // 下载与裁剪导出
+        const downloadBtn = Utils.$('.lightbox-download');
+        if (downloadBtn) {
+            Utils.on(downloadBtn, 'click', () => this.download());
+        }
+        const cropBtn = Utils.$('.lightbox-crop');
+        if (cropBtn) {
+            Utils.on(cropBtn, 'click', () => {
+                this.pause();
+                this.cropExport.open(this.getCurrentWallpaper());
+            });
+        }
+
+        // 信息面板
+        if (this.infoBtn) {
+            Utils.on(this.infoBtn, 'click', () => this.toggleInfo());
+        }
+        if (this.infoPanel) {
+            Utils.on(this.infoPanel, 'click', (e) => {
+                const swatch = e.target.closest('[data-color]');
+                if (swatch) this.copyColor(swatch.dataset.color);
+            });
         }
 
-        // 键盘导航事件
-        Utils.on(document, 'keydown', (e) => this.handleKeyboard(e));
+        // 键盘快捷键
+        this.initShortcuts();
 
         // 监听打开Lightbox事件
         Utils.on(document, 'openLightbox', (e) => this.open(e.detail));
@@ -55,23 +187,52 @@ class Lightbox {
      * @param {Object} data - 打开参数
      * @param {number} data.index - 初始索引
      * @param {Array} data.wallpapers - 壁纸列表
+     * @param {Function} [data.getOrigin] - 根据索引获取画廊中的缩略图，用于从缩略图放大打开和缩小关闭
      */
     open(data) {
         if (!data || !data.wallpapers || data.wallpapers.length === 0) return;
         if (!this.lightbox || !this.lightboxImage) return;
         
+        // 上一次的关闭动画还没结束
+        this.clearCloseAnimations();
+        
         this.currentIndex = data.index || 0;
         this.currentWallpapers = data.wallpapers;
         
+        // 动画设置页中选择的切换动画
+        const transitionType = Utils.getFromJSON('animation_settings.json', {}).lightbox;
+        this.transitionType = Transitions.CATALOGUE[transitionType] ? transitionType : 'fade';
+        this.transitionDirection = null;
+        this.getOrigin = typeof data.getOrigin === 'function' ? data.getOrigin : null;
+        this.getWallpapers = typeof data.getWallpapers === 'function' ? data.getWallpapers : null;
+        this.openingOrigin = this.getOrigin && !Transitions.prefersReducedMotion()
+            ? this.getOrigin(this.currentIndex)
+            : null;
+        
+        // 新图片加载完成前隐藏上一次打开时的图片
+        this.lightboxImage.style.visibility = 'hidden';
+        
+        // 焦点移入灯箱，空格等按键不再作用于背后画廊中的按钮
+        if (!this.isOpen) {
+            this.returnFocus = document.activeElement;
+        }
+        
         // 显示Lightbox
         this.lightbox.classList.add('active');
         this.isOpen = true;
+        this.lightbox.focus({ preventScroll: true });
         
         // 加载并显示图片
         this.loadImage();
         
         // 阻止页面滚动
         document.body.style.overflow = 'hidden';
+        
+        if (data.autoplay) {
+            this.play();
+        } else {
+            this.updatePlayButton();
+        }
     }
 
     /**
@@ -80,12 +241,52 @@ class Lightbox {
     close() {
         if (!this.isOpen) return;
         
-        // 隐藏Lightbox
-        this.lightbox.classList.remove('active');
         this.isOpen = false;
+        Utils.emit(document, 'lightboxChange', { wallpaper: null });
+        
+        // 停止幻灯片播放
+        this.pause();
+        this.resetZoom();
+        this.clearTransition();
+        this.preloaded.clear();
         
         // 恢复页面滚动
         document.body.style.overflow = '';
+        
+        if (this.returnFocus && this.returnFocus.isConnected) {
+            this.returnFocus.focus({ preventScroll: true });
+        }
+        this.returnFocus = null;
+        
+        // 缩回当前壁纸在画廊中的缩略图，缩略图不可见时直接隐藏
+        const origin = this.getOrigin && !Transitions.prefersReducedMotion()
+            ? this.getOrigin(this.currentIndex)
+            : null;
+        const keyframes = origin ? this.getOriginKeyframes(origin) : null;
+        
+        if (!keyframes) {
+            this.lightbox.classList.remove('active');
+            return;
+        }
+        
+        const options = { duration: 300, easing: 'ease-in', fill: 'forwards' };
+        const contentAnimation = this.content.animate(keyframes.slice().reverse(), options);
+        this.closeAnimations = [contentAnimation];
+        if (this.overlay) {
+            this.closeAnimations.push(this.overlay.animate([{ opacity: 1 }, { opacity: 0 }], options));
+        }
+        contentAnimation.onfinish = () => {
+            this.lightbox.classList.remove('active');
+            this.clearCloseAnimations();
+        };
+    }
+
+    /**
+     * 取消关闭动画，恢复内容的位置与透明度
+     */
+    clearCloseAnimations() {
+        this.closeAnimations.forEach(animation => animation.cancel());
+        this.closeAnimations = [];
     }
 
     /**
@@ -97,26 +298,955 @@ class Lightbox {
         const wallpaper = this.currentWallpapers[this.currentIndex];
         if (!wallpaper) return;
         
+        // 通知其他组件（如地址栏）当前显示的壁纸
+        Utils.emit(document, 'lightboxChange', { wallpaper });
+        
+        // 显示当前壁纸的标签、收藏状态和信息
+        this.renderTags();
+        this.updateFavoriteButton();
+        this.renderInfo();
+        
+        const show = () => {
+            const direction = this.transitionDirection;
+            this.transitionDirection = null;
+            const ghost = direction ? this.createGhost() : null;
+            
+            this.lightboxImage.src = wallpaper.url;
+            this.lightboxImage.alt = wallpaper.name;
+            this.lightboxImage.style.visibility = '';
+            this.resetZoom();
+            
+            if (ghost) {
+                this.playTransition(ghost, direction);
+            } else if (this.openingOrigin) {
+                const origin = this.openingOrigin;
+                this.openingOrigin = null;
+                this.whenImageReady(() => this.animateFromOrigin(origin));
+            }
+        };
+        
+        // 已预加载完成的图片直接显示，不再显示加载动画
+        const cached = this.preloaded.get(wallpaper.url);
+        if (cached && cached.complete && cached.naturalWidth > 0) {
+            show();
+            this.preloadNeighbours();
+            return;
+        }
+        
         // 显示加载动画
         Utils.showLoading();
         
-        // 创建新图片对象，预加载
-        const img = new Image();
+        // 复用正在预加载的图片对象
+        const img = cached || new Image();
         img.onload = () => {
-            // 图片加载完成，显示图片
-            this.lightboxImage.src = img.src;
-            this.lightboxImage.alt = wallpaper.name;
-            
-            // 隐藏加载动画
             Utils.hideLoading();
+            // 加载期间已经切换到其他壁纸
+            if (this.getCurrentWallpaper() !== wallpaper) return;
+            
+            // 图片加载完成，显示图片
+            show();
         };
         
         img.onerror = () => {
             console.error('无法加载图片:', wallpaper.url);
             Utils.hideLoading();
+            this.lightboxImage.style.visibility = '';
+        };
+        
+        if (!cached) img.src = wallpaper.url;
+        this.preloadNeighbours();
+    }
+
+    /**
+     * 图片尺寸可用后执行回调
+     * @param {Function} callback - 回调函数
+     */
+    whenImageReady(callback) {
+        if (this.lightboxImage.complete && this.lightboxImage.naturalWidth > 0) {
+            callback();
+        } else {
+            this.lightboxImage.addEventListener('load', callback, { once: true });
+        }
+    }
+
+    /**
+     * 复制当前显示的图片作为切换动画中离开的旧图片
+     * @returns {HTMLImageElement|null} - 旧图片，无需动画时为null
+     */
+    createGhost() {
+        this.clearTransition();
+        
+        // 还没有显示过图片（1×1的占位图）或用户希望减少动画
+        if (!this.imageContainer || this.lightboxImage.naturalWidth <= 1 || Transitions.prefersReducedMotion()) {
+            return null;
+        }
+        
+        const ghost = this.lightboxImage.cloneNode(false);
+        ghost.removeAttribute('id');
+        ghost.classList.add('lightbox-ghost');
+        ghost.setAttribute('aria-hidden', 'true');
+        Object.assign(ghost.style, {
+            left: `${this.lightboxImage.offsetLeft}px`,
+            top: `${this.lightboxImage.offsetTop}px`,
+            width: `${this.lightboxImage.offsetWidth}px`,
+            height: `${this.lightboxImage.offsetHeight}px`
+        });
+        
+        this.imageContainer.appendChild(ghost);
+        this.transitionGhost = ghost;
+        return ghost;
+    }
+
+    /**
+     * 播放切换动画：旧图片离开，新图片进入
+     * @param {HTMLImageElement} ghost - 旧图片
+     * @param {string} direction - 切换方向 ('prev' 或 'next')
+     */
+    playTransition(ghost, direction) {
+        const { enter, exit, easing } = Transitions.getKeyframes(this.transitionType, direction);
+        const options = { duration: Transitions.DURATION, easing };
+        
+        ghost.animate(exit, { ...options, fill: 'forwards' }).onfinish = () => {
+            ghost.remove();
+            if (this.transitionGhost === ghost) this.transitionGhost = null;
+        };
+        this.lightboxImage.animate(enter, options);
+    }
+
+    /**
+     * 立即结束正在进行的切换动画
+     */
+    clearTransition() {
+        if (this.transitionGhost) {
+            this.transitionGhost.remove();
+            this.transitionGhost = null;
+        }
+        if (this.lightboxImage.getAnimations) {
+            this.lightboxImage.getAnimations().forEach(animation => animation.cancel());
+        }
+    }
+
+    /**
+     * 计算从缩略图位置放大到灯箱的关键帧
+     * 对整个内容区做变换，使其中的图片与缩略图重合（不裁剪，等比缩放后居中）
+     * @param {HTMLElement} origin - 缩略图
+     * @returns {Keyframe[]|null} - 关键帧，无法计算时为null
+     */
+    getOriginKeyframes(origin) {
+        if (!this.content) return null;
+        
+        const from = origin.getBoundingClientRect();
+        const image = this.lightboxImage.getBoundingClientRect();
+        const content = this.content.getBoundingClientRect();
+        if (!from.width || !from.height || !image.width || !image.height) return null;
+        
+        const scale = Math.min(from.width / image.width, from.height / image.height);
+        const x = from.left + (from.width - image.width * scale) / 2 - content.left - (image.left - content.left) * scale;
+        const y = from.top + (from.height - image.height * scale) / 2 - content.top - (image.top - content.top) * scale;
+        
+        return [
+            { transformOrigin: '0 0', transform: `translate(${x}px, ${y}px) scale(${scale})`, opacity: 0.4 },
+            { transformOrigin: '0 0', transform: 'none', opacity: 1 }
+        ];
+    }
+
+    /**
+     * 从点击的缩略图位置放大打开
+     * @param {HTMLElement} origin - 缩略图
+     */
+    animateFromOrigin(origin) {
+        if (!this.isOpen) return;
+        
+        const keyframes = this.getOriginKeyframes(origin);
+        if (!keyframes) return;
+        
+        this.content.animate(keyframes, { duration: 350, easing: 'ease-out' });
+        if (this.overlay) {
+            this.overlay.animate([{ opacity: 0 }, { opacity: 1 }], { duration: 350, easing: 'ease-out' });
+        }
+    }
+
+    /**
+     * 预加载当前壁纸两侧以及幻灯片下一张要显示的图片
+     * 只保留这几张的引用，其余的交给浏览器缓存
+     */
+    preloadNeighbours() {
+        const total = this.currentWallpapers.length;
+        const indices = new Set();
+        
+        if (total > 1) {
+            indices.add((this.currentIndex + 1) % total);
+            indices.add((this.currentIndex - 1 + total) % total);
+            if (this.isPlaying) {
+                const next = this.peekNextSlideshowIndex();
+                if (next !== -1) indices.add(next);
+            }
+        }
+        
+        const preloaded = new Map();
+        indices.forEach(index => {
+            const wallpaper = this.currentWallpapers[index];
+            if (!wallpaper || !wallpaper.url) return;
+            
+            let img = this.preloaded.get(wallpaper.url);
+            if (!img) {
+                img = new Image();
+                img.decoding = 'async';
+                img.src = wallpaper.url;
+            }
+            preloaded.set(wallpaper.url, img);
+        });
+        this.preloaded = preloaded;
+    }
+
+    /**
+     * 初始化缩放与平移
+     * 滚轮和双指缩放、拖动平移、双击在适应屏幕与原始尺寸之间切换
+     */
+    initZoom() {
+        if (!this.imageContainer || !this.lightboxImage) return;
+
+        // 阻止浏览器自带的图片拖拽
+        Utils.on(this.lightboxImage, 'dragstart', (e) => e.preventDefault());
+
+        this.imageContainer.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const factor = Math.exp(-e.deltaY * (e.deltaMode === 1 ? 0.05 : 0.0015));
+            this.zoomAt(this.zoom.scale * factor, e.clientX, e.clientY);
+        }, { passive: false });
+
+        Utils.on(this.imageContainer, 'dblclick', (e) => this.toggleActualSize(e.clientX, e.clientY));
+
+        Utils.on(this.imageContainer, 'pointerdown', (e) => {
+            if (e.button !== 0) return;
+            this.imageContainer.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.startGesture();
+        });
+
+        Utils.on(this.imageContainer, 'pointermove', (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.updateGesture();
+        });
+
+        const endPointer = (e) => {
+            if (!this.pointers.delete(e.pointerId)) return;
+            // 双指抬起一指后，剩下的手指继续拖动
+            this.startGesture();
+        };
+        Utils.on(this.imageContainer, 'pointerup', endPointer);
+        Utils.on(this.imageContainer, 'pointercancel', endPointer);
+
+        if (this.zoomLevel) {
+            Utils.on(this.zoomLevel, 'click', () => this.toggleActualSize());
+        }
+
+        // 窗口尺寸变化后适应屏幕的尺寸也会变化，直接回到适应屏幕
+        Utils.on(window, 'resize', Utils.debounce(() => {
+            if (this.isOpen) this.resetZoom();
+        }, 200));
+    }
+
+    /**
+     * 初始化触摸滑动
+     * 仅在适应屏幕（未放大）时生效：左右滑动切换，向下滑动关闭，放大后单指拖动仍用于平移
+     */
+    initSwipe() {
+        const { content, overlay } = this;
+        if (!this.imageContainer || !content) return;
+
+        const resetFeedback = () => {
+            content.classList.remove('swiping');
+            content.style.transform = '';
+            if (overlay) {
+                overlay.classList.remove('swiping');
+                overlay.style.opacity = '';
+            }
+        };
+
+        new SwipeGesture(this.imageContainer, {
+            axis: 'both',
+            canStart: () => this.zoom.scale === 1 && this.pointers.size <= 1,
+            onMove: ({ axis, dx, dy }) => {
+                content.classList.add('swiping');
+
+                if (axis === 'x') {
+                    const coefficient = this.currentWallpapers.length > 1 ? 0.55 : 0.2;
+                    content.style.transform = `translateX(${SwipeGesture.rubberBand(dx, window.innerWidth, coefficient)}px)`;
+                    return;
+                }
+
+                // 向下拖动时画面跟随手指，遮罩逐渐变淡；向上只有橡皮筋效果
+                const offset = dy > 0 ? dy : SwipeGesture.rubberBand(dy, window.innerHeight, 0.2);
+                content.style.transform = `translateY(${offset}px)`;
+                if (overlay) {
+                    overlay.classList.add('swiping');
+                    overlay.style.opacity = String(Math.max(0.3, 1 - Math.max(0, dy) / window.innerHeight));
+                }
+            },
+            onEnd: ({ direction }) => {
+                resetFeedback();
+
+                switch (direction) {
+                    case 'left':
+                        this.next();
+                        break;
+                    case 'right':
+                        this.prev();
+                        break;
+                    case 'down':
+                        this.close();
+                        break;
+                }
+            }
+        });
+    }
+
+    /**
+     * 根据当前按下的指针开始新的手势
+     */
+    startGesture() {
+        const points = Array.from(this.pointers.values());
+
+        if (points.length >= 2) {
+            const [a, b] = points;
+            this.gesture = {
+                type: 'pinch',
+                distance: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+                scale: this.zoom.scale
+            };
+        } else if (points.length === 1 && this.zoom.scale > 1) {
+            this.gesture = {
+                type: 'pan',
+                startX: points[0].x,
+                startY: points[0].y,
+                x: this.zoom.x,
+                y: this.zoom.y
+            };
+        } else {
+            this.gesture = null;
+        }
+
+        this.imageContainer.classList.toggle('panning', Boolean(this.gesture));
+    }
+
+    /**
+     * 根据指针移动更新手势
+     */
+    updateGesture() {
+        if (!this.gesture) return;
+
+        const points = Array.from(this.pointers.values());
+
+        if (this.gesture.type === 'pinch' && points.length >= 2) {
+            const [a, b] = points;
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            this.zoomAt(this.gesture.scale * distance / this.gesture.distance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+        } else if (this.gesture.type === 'pan' && points.length === 1) {
+            this.setZoom(
+                this.zoom.scale,
+                this.gesture.x + points[0].x - this.gesture.startX,
+                this.gesture.y + points[0].y - this.gesture.startY
+            );
+        }
+    }
+
+    /**
+     * 适应屏幕时相对原图的显示比例
+     * @returns {number} - 比例，原图小于屏幕时为1
+     */
+    getFitScale() {
+        const { naturalWidth, offsetWidth } = this.lightboxImage;
+        return naturalWidth > 0 && offsetWidth > 0 ? offsetWidth / naturalWidth : 1;
+    }
+
+    /**
+     * 以屏幕上的某一点为中心缩放，该点下的图像位置保持不变
+     * @param {number} scale - 新的缩放倍数（相对适应屏幕）
+     * @param {number} clientX - 缩放中心X坐标，默认为图片中心
+     * @param {number} clientY - 缩放中心Y坐标，默认为图片中心
+     */
+    zoomAt(scale, clientX, clientY) {
+        const maxScale = Math.max(1, this.maxZoom / this.getFitScale());
+        const nextScale = Math.min(Math.max(scale, 1), maxScale);
+
+        // 未变换时图片左上角的位置
+        const rect = this.lightboxImage.getBoundingClientRect();
+        const originX = rect.left - this.zoom.x;
+        const originY = rect.top - this.zoom.y;
+        const pointX = (clientX === undefined ? originX + this.lightboxImage.offsetWidth / 2 : clientX) - originX;
+        const pointY = (clientY === undefined ? originY + this.lightboxImage.offsetHeight / 2 : clientY) - originY;
+
+        const ratio = nextScale / this.zoom.scale;
+        this.setZoom(
+            nextScale,
+            pointX - (pointX - this.zoom.x) * ratio,
+            pointY - (pointY - this.zoom.y) * ratio
+        );
+    }
+
+    /**
+     * 设置缩放和平移，平移范围限制在图片不露出空白
+     * @param {number} scale - 缩放倍数（相对适应屏幕）
+     * @param {number} x - 水平平移
+     * @param {number} y - 垂直平移
+     */
+    setZoom(scale, x, y) {
+        const width = this.lightboxImage.offsetWidth;
+        const height = this.lightboxImage.offsetHeight;
+
+        this.zoom = {
+            scale,
+            x: Math.min(0, Math.max(width - width * scale, x)),
+            y: Math.min(0, Math.max(height - height * scale, y))
+        };
+
+        this.lightboxImage.style.transform = scale === 1
+            ? ''
+            : `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${scale})`;
+        this.imageContainer.classList.toggle('zoomed', scale > 1);
+
+        // 放大查看细节时暂停幻灯片
+        if (scale > 1 && this.isPlaying) {
+            this.pause();
+        }
+
+        this.updateZoomLevel();
+    }
+
+    /**
+     * 回到适应屏幕
+     */
+    resetZoom() {
+        this.pointers.clear();
+        this.gesture = null;
+        if (this.imageContainer) this.imageContainer.classList.remove('panning');
+        if (this.lightboxImage) this.setZoom(1, 0, 0);
+    }
+
+    /**
+     * 在适应屏幕与原图100%之间切换
+     * @param {number} clientX - 放大中心X坐标
+     * @param {number} clientY - 放大中心Y坐标
+     */
+    toggleActualSize(clientX, clientY) {
+        const actualScale = 1 / this.getFitScale();
+
+        if (this.zoom.scale > 1 || actualScale <= 1) {
+            this.resetZoom();
+        } else {
+            this.zoomAt(actualScale, clientX, clientY);
+        }
+    }
+
+    /**
+     * 按步长缩放（键盘操作）
+     * @param {number} factor - 缩放系数
+     */
+    zoomBy(factor) {
+        this.zoomAt(this.zoom.scale * factor);
+    }
+
+    /**
+     * 更新缩放比例显示（相对原图像素）
+     */
+    updateZoomLevel() {
+        if (!this.zoomLevel) return;
+        const percent = Math.round(this.zoom.scale * this.getFitScale() * 100);
+        this.zoomLevel.textContent = `${percent}%`;
+        this.zoomLevel.setAttribute('aria-label', `缩放 ${percent}%，点击切换适应屏幕或原始尺寸`);
+    }
+
+    /**
+     * 以原文件名下载当前壁纸的原图
+     */
+    download() {
+        const wallpaper = this.getCurrentWallpaper();
+        if (!wallpaper) return;
+        Utils.downloadUrl(wallpaper.url, wallpaper.originalName || wallpaper.name);
+    }
+
+    /**
+     * 展开或收起信息面板
+     */
+    toggleInfo() {
+        if (!this.infoPanel) return;
+
+        this.isInfoOpen = !this.isInfoOpen;
+        this.lightbox.classList.toggle('info-open', this.isInfoOpen);
+        if (this.infoBtn) {
+            this.infoBtn.classList.toggle('active', this.isInfoOpen);
+            this.infoBtn.setAttribute('aria-pressed', this.isInfoOpen);
+        }
+
+        // 面板会改变图片可用宽度
+        this.resetZoom();
+        this.renderInfo();
+    }
+
+    /**
+     * 渲染当前壁纸的信息面板
+     */
+    renderInfo() {
+        if (!this.infoPanel || !this.isInfoOpen) return;
+
+        const wallpaper = this.getCurrentWallpaper();
+        if (!wallpaper) return;
+
+        const escape = Utils.escapeHTML;
+        const aspect = Devices.getAspectRatio(wallpaper.width, wallpaper.height);
+        const rows = [
+            ['分辨率', `${wallpaper.width} × ${wallpaper.height}`],
+            ['宽高比', aspect.label],
+            ['文件大小', wallpaper.size ? Utils.formatFileSize(wallpaper.size) : '未知'],
+            ['格式', this.getFormatLabel(wallpaper)],
+            ['导入时间', this.formatDate(wallpaper.uploadedAt)],
+            ['来源', wallpaper.origin === 'collection' ? '精选壁纸' : '本地导入']
+        ];
+        if (wallpaper.artist) rows.push(['画师', wallpaper.artist]);
+        if (wallpaper.source) rows.push(['出处', wallpaper.source]);
+
+        const tags = wallpaper.tags || [];
+        const fitLabels = { perfect: '完美适配', crop: '需裁剪', upscale: '分辨率不足' };
+        const fits = Devices.getFits(wallpaper.width, wallpaper.height);
+
+        this.infoPanel.innerHTML = `
+            <h3 class="lightbox-info-title" title="${escape(wallpaper.name)}">${escape(wallpaper.title || wallpaper.name)}</h3>
+            <dl class="lightbox-info-list">
+                ${rows.map(([label, value]) => `<dt>${label}</dt><dd>${escape(value)}</dd>`).join('')}
+            </dl>
+            <h4 class="lightbox-info-heading">标签</h4>
+            <div class="lightbox-info-tags">
+                ${tags.length > 0
+                    ? tags.map(tag => `<span class="tag-chip">${escape(tag)}</span>`).join('')
+                    : '<span class="lightbox-info-empty">暂无标签</span>'}
+            </div>
+            <h4 class="lightbox-info-heading">主色调</h4>
+            <div class="lightbox-info-colors">${this.renderColors(wallpaper)}</div>
+            <h4 class="lightbox-info-heading">适配设备</h4>
+            <ul class="lightbox-info-devices">
+                ${fits.map(({ device, status, kept, scale }) => `
+                    <li class="device-fit ${status}">
+                        <span class="device-name">${escape(device.name)}<small>${device.width}×${device.height}</small></span>
+                        <span class="device-status" title="${status === 'upscale' ? `需放大 ${scale.toFixed(1)} 倍` : `保留 ${Math.round(kept * 100)}% 画面`}">
+                            ${fitLabels[status]}${status === 'crop' ? ` · ${Math.round(kept * 100)}%` : ''}
+                        </span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * 渲染主色调，尚未分析时开始分析
+     * @param {Object} wallpaper - 壁纸对象
+     * @returns {string} - 色块HTML
+     */
+    renderColors(wallpaper) {
+        if (Array.isArray(wallpaper.colors)) {
+            // 颜色值会写入属性和样式，只接受合法的十六进制颜色
+            return wallpaper.colors.filter(item =>
+                item && typeof item.color === 'string' && /^#[0-9a-f]{6}$/i.test(item.color) && Number.isFinite(item.share)
+            ).map(({ color, share }) => `
+                <button class="color-swatch" type="button" data-color="${color}" title="${color}（${Math.round(share * 100)}%），点击复制"
+                    style="background: ${color}; flex-grow: ${Math.max(share, 0.05)}"></button>
+            `).join('');
+        }
+
+        if (this.colorRequests.get(wallpaper.id) === 'failed') {
+            return '<span class="lightbox-info-empty">无法分析该图片</span>';
+        }
+
+        this.loadDominantColors(wallpaper);
+        return '<span class="lightbox-info-empty">分析中…</span>';
+    }
+
+    /**
+     * 分析主色调，并缓存到壁纸记录中
+     * @param {Object} wallpaper - 壁纸对象
+     */
+    async loadDominantColors(wallpaper) {
+        if (this.colorRequests.has(wallpaper.id)) return;
+        this.colorRequests.set(wallpaper.id, 'pending');
+
+        try {
+            const colors = await Utils.extractDominantColors(wallpaper.thumbnail || wallpaper.url);
+            this.colorRequests.delete(wallpaper.id);
+            // 由画廊写入记录并保存，不需要重新渲染画廊
+            Utils.emit(document, 'updateWallpaper', {
+                id: wallpaper.id,
+                changes: { colors },
+                render: false
+            });
+        } catch (error) {
+            console.warn('分析主色调失败:', wallpaper.name, error);
+            this.colorRequests.set(wallpaper.id, 'failed');
+        }
+
+        if (this.getCurrentWallpaper() === wallpaper) {
+            this.renderInfo();
+        }
+    }
+
+    /**
+     * 复制颜色值
+     * @param {string} color - 十六进制颜色
+     */
+    async copyColor(color) {
+        try {
+            await navigator.clipboard.writeText(color);
+            Utils.showToast(`已复制 ${color}`, 'success', 2000);
+        } catch (error) {
+            Utils.showToast(`颜色值：${color}`, 'info');
+        }
+    }
+
+    /**
+     * 获取格式名称
+     * @param {Object} wallpaper - 壁纸对象
+     * @returns {string} - 格式名称
+     */
+    getFormatLabel(wallpaper) {
+        if (!wallpaper.type) return '未知';
+        const format = wallpaper.type.replace('image/', '').toUpperCase();
+        return wallpaper.animated ? `${format}（动图）` : format;
+    }
+
+    /**
+     * 格式化日期时间
+     * @param {string} value - ISO日期字符串
+     * @returns {string} - 本地化的日期时间
+     */
+    formatDate(value) {
+        const date = value ? new Date(value) : null;
+        if (!date || Number.isNaN(date.getTime())) return '未知';
+        return date.toLocaleString('zh-CN', {
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * 换用画廊中最新的壁纸列表，按ID找回当前壁纸
+     * 排序变化后索引与缩略图位置才能对应；当前壁纸已不在列表中时（如取消收藏）保留原列表
+     */
+    refreshWallpapers() {
+        if (!this.isOpen || !this.getWallpapers) return;
+        
+        const current = this.getCurrentWallpaper();
+        const wallpapers = this.getWallpapers();
+        const index = current ? wallpapers.findIndex(wallpaper => wallpaper.id === current.id) : -1;
+        if (index === -1 || wallpapers === this.currentWallpapers) return;
+        
+        // 随机播放中尚未播放的壁纸换算为新列表中的索引
+        const newIndices = new Map(wallpapers.map((wallpaper, newIndex) => [wallpaper.id, newIndex]));
+        this.slideshowOrder = this.slideshowOrder
+            .map(oldIndex => this.currentWallpapers[oldIndex])
+            .filter(wallpaper => wallpaper && newIndices.has(wallpaper.id))
+            .map(wallpaper => newIndices.get(wallpaper.id));
+        
+        this.currentWallpapers = wallpapers;
+        this.currentIndex = index;
+        this.updatePlayButton();
+        this.preloadNeighbours();
+    }
+
+    /**
+     * 获取当前显示的壁纸
+     * @returns {Object|null} - 壁纸对象
+     */
+    getCurrentWallpaper() {
+        return this.currentWallpapers[this.currentIndex] || null;
+    }
+
+    /**
+     * 更新收藏按钮状态
+     */
+    updateFavoriteButton() {
+        if (!this.favoriteBtn) return;
+        
+        const wallpaper = this.getCurrentWallpaper();
+        const isFavorite = !!wallpaper && this.favoriteIds.has(wallpaper.id);
+        this.favoriteBtn.classList.toggle('active', isFavorite);
+        this.favoriteBtn.setAttribute('aria-pressed', isFavorite);
+        this.favoriteBtn.setAttribute('aria-label', isFavorite ? '取消收藏' : '收藏');
+    }
+
+    /**
+     * 切换幻灯片播放
+     */
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * 开始播放幻灯片
+     */
+    play() {
+        if (this.currentWallpapers.length <= 1) return;
+        
+        this.isPlaying = true;
+        this.slideshowOrder = this.createShuffleOrder();
+        this.restartSlideshowTimer();
+        this.updatePlayButton();
+        this.preloadNeighbours();
+    }
+
+    /**
+     * 暂停幻灯片
+     */
+    pause() {
+        this.isPlaying = false;
+        this.restartSlideshowTimer();
+        this.updatePlayButton();
+    }
+
+    /**
+     * 重新计时，手动切换后完整显示一个间隔
+     */
+    restartSlideshowTimer() {
+        clearTimeout(this.slideshowTimer);
+        cancelAnimationFrame(this.progressFrame);
+        this.slideshowTimer = null;
+        this.progressFrame = null;
+        
+        if (!this.isPlaying) {
+            this.setProgress(0);
+            return;
+        }
+        
+        this.slideStartedAt = performance.now();
+        this.slideshowTimer = setTimeout(() => this.advanceSlideshow(), this.slideshowSettings.interval);
+        
+        const tick = () => {
+            this.setProgress((performance.now() - this.slideStartedAt) / this.slideshowSettings.interval);
+            this.progressFrame = requestAnimationFrame(tick);
         };
+        tick();
+    }
+
+    /**
+     * 更新幻灯片进度条
+     * @param {number} progress - 进度 (0-1)
+     */
+    setProgress(progress) {
+        if (this.progressFill) {
+            this.progressFill.style.width = `${Math.min(Math.max(progress, 0), 1) * 100}%`;
+        }
+    }
+
+    /**
+     * 幻灯片切换到下一张，不循环时播放完最后一张后停止
+     */
+    advanceSlideshow() {
+        const next = this.peekNextSlideshowIndex();
+        if (next === -1) {
+            this.pause();
+            Utils.showToast('幻灯片已播放完毕', 'info');
+            return;
+        }
+        
+        if (this.slideshowSettings.shuffle) {
+            this.slideshowOrder.shift();
+        }
+        this.transitionDirection = 'next';
+        this.currentIndex = next;
+        this.loadImage();
+        this.restartSlideshowTimer();
+    }
+
+    /**
+     * 幻灯片的下一张
+     * 随机播放时每轮不重复，一轮结束后循环播放会重新打乱
+     * @returns {number} - 下一张的索引，没有下一张时为-1
+     */
+    peekNextSlideshowIndex() {
+        const total = this.currentWallpapers.length;
+        if (total <= 1) return -1;
+        
+        if (!this.slideshowSettings.shuffle) {
+            if (this.currentIndex + 1 < total) return this.currentIndex + 1;
+            return this.slideshowSettings.loop ? 0 : -1;
+        }
+        
+        if (this.slideshowOrder.length === 0) {
+            if (!this.slideshowSettings.loop) return -1;
+            this.slideshowOrder = this.createShuffleOrder();
+        }
+        return this.slideshowOrder[0];
+    }
+
+    /**
+     * 手动切换到的壁纸本轮已看过，从随机播放尚未播放的列表中移除
+     * @param {number} index - 壁纸索引
+     */
+    markShuffleVisited(index) {
+        this.slideshowOrder = this.slideshowOrder.filter(pending => pending !== index);
+    }
+
+    /**
+     * 打乱除当前壁纸外的所有索引
+     * @returns {number[]} - 随机顺序
+     */
+    createShuffleOrder() {
+        const order = this.currentWallpapers
+            .map((_, index) => index)
+            .filter(index => index !== this.currentIndex);
+        
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        return order;
+    }
+
+    /**
+     * 初始化幻灯片设置（间隔、随机、循环）
+     */
+    initSlideshowOptions() {
+        if (!this.slideshowBar) return;
+        
+        const intervalSelect = Utils.$('.lightbox-interval', this.slideshowBar);
+        if (intervalSelect) {
+            intervalSelect.innerHTML = Lightbox.SLIDESHOW_INTERVALS.map(interval =>
+                `<option value="${interval}">${interval / 1000} 秒</option>`
+            ).join('');
+            Utils.on(intervalSelect, 'change', () => {
+                this.setSlideshowOption('interval', Number(intervalSelect.value));
+            });
+        }
+        
+        Utils.on(this.slideshowBar, 'click', (e) => {
+            const optionBtn = e.target.closest('[data-slideshow-option]');
+            if (optionBtn) {
+                const option = optionBtn.dataset.slideshowOption;
+                this.setSlideshowOption(option, !this.slideshowSettings[option]);
+            }
+        });
         
-        img.src = wallpaper.url;
+        this.updateSlideshowOptions();
+    }
+
+    /**
+     * 修改并保存幻灯片设置
+     * @param {string} option - 设置项 ('interval'、'shuffle' 或 'loop')
+     * @param {number|boolean} value - 新值
+     */
+    setSlideshowOption(option, value) {
+        this.slideshowSettings[option] = value;
+        Utils.saveToJSON('lightbox_slideshow.json', this.slideshowSettings);
+        
+        if (option === 'shuffle') {
+            this.slideshowOrder = this.createShuffleOrder();
+        }
+        if (this.isPlaying) {
+            // 修改间隔后重新计时，随机或循环变化后下一张可能不同
+            if (option === 'interval') this.restartSlideshowTimer();
+            this.preloadNeighbours();
+        }
+        
+        this.updateSlideshowOptions();
+    }
+
+    /**
+     * 更新幻灯片设置的显示状态
+     */
+    updateSlideshowOptions() {
+        if (!this.slideshowBar) return;
+        
+        const intervalSelect = Utils.$('.lightbox-interval', this.slideshowBar);
+        if (intervalSelect) {
+            intervalSelect.value = String(this.slideshowSettings.interval);
+        }
+        
+        Utils.$$('[data-slideshow-option]', this.slideshowBar).forEach(button => {
+            const isActive = Boolean(this.slideshowSettings[button.dataset.slideshowOption]);
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+
+    /**
+     * 更新播放按钮图标
+     */
+    updatePlayButton() {
+        if (!this.playBtn) return;
+        
+        const svg = this.playBtn.querySelector('svg');
+        if (svg) {
+            svg.innerHTML = this.isPlaying
+                ? '<rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect>'
+                : '<polygon points="5 3 19 12 5 21 5 3"></polygon>';
+        }
+        this.playBtn.setAttribute('aria-label', this.isPlaying ? '暂停幻灯片' : '播放幻灯片');
+        this.playBtn.hidden = this.currentWallpapers.length <= 1;
+        
+        if (this.slideshowBar) {
+            this.slideshowBar.hidden = this.currentWallpapers.length <= 1;
+            this.slideshowBar.classList.toggle('playing', this.isPlaying);
+        }
+    }
+
+    /**
+     * 渲染当前壁纸的标签
+     */
+    renderTags() {
+        if (!this.tagList) return;
+        
+        const wallpaper = this.getCurrentWallpaper();
+        const tags = wallpaper ? wallpaper.tags || [] : [];
+        
+        this.tagList.innerHTML = tags.map(tag => `
+            <span class="tag-chip selected">
+                ${Utils.escapeHTML(tag)}
+                <button class="tag-remove" type="button" data-tag="${Utils.escapeHTML(tag)}" aria-label="移除标签 ${Utils.escapeHTML(tag)}">×</button>
+            </span>
+        `).join('');
+    }
+
+    /**
+     * 为当前壁纸添加标签
+     * @param {string} value - 标签文本，可用逗号分隔多个标签
+     */
+    addTags(value) {
+        const wallpaper = this.getCurrentWallpaper();
+        const newTags = value.split(/[,，]/).map(tag => tag.trim()).filter(Boolean);
+        if (!wallpaper || newTags.length === 0) return;
+        
+        this.updateTags(wallpaper, [...(wallpaper.tags || []), ...newTags]);
+    }
+
+    /**
+     * 移除当前壁纸的标签
+     * @param {string} tag - 标签
+     */
+    removeTag(tag) {
+        const wallpaper = this.getCurrentWallpaper();
+        if (!wallpaper) return;
+        
+        this.updateTags(wallpaper, (wallpaper.tags || []).filter(item => item !== tag));
+    }
+
+    /**
+     * 通知画廊保存标签修改
+     * @param {Object} wallpaper - 壁纸对象
+     * @param {string[]} tags - 新的标签列表
+     */
+    updateTags(wallpaper, tags) {
+        Utils.emit(document, 'updateWallpaper', {
+            id: wallpaper.id,
+            changes: { tags }
+        });
+        this.renderTags();
+        this.renderInfo();
     }
 
     /**
@@ -125,8 +1255,11 @@ class Lightbox {
     prev() {
         if (this.currentWallpapers.length <= 1) return;
         
+        this.transitionDirection = 'prev';
         this.currentIndex = (this.currentIndex - 1 + this.currentWallpapers.length) % this.currentWallpapers.length;
+        this.markShuffleVisited(this.currentIndex);
         this.loadImage();
+        this.restartSlideshowTimer();
     }
 
     /**
@@ -135,28 +1268,69 @@ class Lightbox {
     next() {
         if (this.currentWallpapers.length <= 1) return;
         
+        this.transitionDirection = 'next';
         this.currentIndex = (this.currentIndex + 1) % this.currentWallpapers.length;
+        this.markShuffleVisited(this.currentIndex);
         this.loadImage();
+        this.restartSlideshowTimer();
     }
 
     /**
-     * 处理键盘事件
-     * @param {KeyboardEvent} e - 键盘事件
+     * 注册快捷键
+     * 灯箱打开时为模态上下文，按键不会再传给背后的画廊
      */
-    handleKeyboard(e) {
-        if (!this.isOpen) return;
-        
-        switch (e.key) {
-            case 'Escape':
+    initShortcuts() {
+        this.shortcuts.registerContext('lightbox', {
+            label: '灯箱',
+            priority: 50,
+            isActive: () => this.isOpen,
+            modal: true
+        });
+
+        const register = (id, description, keys, handler, allowInInput = false) => {
+            this.shortcuts.register(`lightbox.${id}`, { context: 'lightbox', description, keys, handler, allowInInput });
+        };
+
+        // 编辑标签时，Esc只退出输入框
+        register('close', '关闭', ['Escape'], () => {
+            if (document.activeElement === this.tagInput) {
+                this.tagInput.blur();
+            } else {
                 this.close();
-                break;
-            case 'ArrowLeft':
-                this.prev();
-                break;
-            case 'ArrowRight':
-                this.next();
-                break;
-        }
+            }
+        }, true);
+
+        // 放大后方向键用于平移，未放大时交给切换壁纸
+        const panStep = 80;
+        register('panLeft', '放大后向左平移', ['ArrowLeft'], () => this.panBy(panStep, 0));
+        register('panRight', '放大后向右平移', ['ArrowRight'], () => this.panBy(-panStep, 0));
+        register('panUp', '放大后向上平移', ['ArrowUp'], () => this.panBy(0, panStep));
+        register('panDown', '放大后向下平移', ['ArrowDown'], () => this.panBy(0, -panStep));
+
+        register('prev', '上一张', ['ArrowLeft'], () => this.prev());
+        register('next', '下一张', ['ArrowRight'], () => this.next());
+        register('play', '播放/暂停幻灯片', ['Space'], () => this.togglePlay());
+        register('shuffle', '切换随机播放', ['S'], () => this.setSlideshowOption('shuffle', !this.slideshowSettings.shuffle));
+        register('loop', '切换循环播放', ['L'], () => this.setSlideshowOption('loop', !this.slideshowSettings.loop));
+        register('zoomIn', '放大', ['+', '='], () => this.zoomBy(1.25));
+        register('zoomOut', '缩小', ['-'], () => this.zoomBy(0.8));
+        register('fit', '适应屏幕', ['0'], () => this.resetZoom());
+        register('actualSize', '原始尺寸', ['1'], () => this.zoomAt(1 / this.getFitScale()));
+        register('favorite', '收藏/取消收藏', ['F'], () => {
+            if (this.favoriteBtn) this.favoriteBtn.click();
+        });
+        register('info', '显示/隐藏信息面板', ['I'], () => this.toggleInfo());
+    }
+
+    /**
+     * 放大时平移图片
+     * @param {number} dx - 水平平移
+     * @param {number} dy - 垂直平移
+     * @returns {boolean|undefined} - 未放大时返回false
+     */
+    panBy(dx, dy) {
+        if (this.zoom.scale <= 1) return false;
+        this.setZoom(this.zoom.scale, this.zoom.x + dx, this.zoom.y + dy);
     }
 
     /**
@@ -0,0 +1,417 @@
+/**
+ * 壁纸管理类
+ * 负责已导入壁纸的删除、重命名和信息编辑，支持多选和撤销
+ */
+class Manager {
+    /**
+     * @param {Gallery} gallery - 画廊实例
+     * @param {ShortcutManager} shortcuts - 快捷键管理器
+     */
+    constructor(gallery, shortcuts) {
+        this.gallery = gallery;
+        this.shortcuts = shortcuts;
+        this.panel = Utils.$('#manager');
+        this.grid = Utils.$('.manager-grid');
+        this.editDialog = Utils.$('#edit-dialog');
+        this.editForm = Utils.$('.edit-form');
+        this.selectedIds = new Set(); // 已选择的壁纸ID
+        this.editingIds = []; // 正在编辑的壁纸ID
+        this.isOpen = false;
+        this.undoDuration = 6000; // 撤销窗口时长（毫秒）
+        this.pendingRemovals = new Set(); // 等待彻底删除的壁纸
+
+        this.init();
+    }
+
+    /**
+     * 初始化管理面板
+     */
+    init() {
+        this.initEventListeners();
+    }
+
+    /**
+     * 初始化事件监听
+     */
+    initEventListeners() {
+        const openBtn = Utils.$('.manage-btn');
+        if (openBtn) {
+            Utils.on(openBtn, 'click', () => this.open());
+        }
+
+        if (this.panel) {
+            Utils.on(this.panel, 'click', (e) => {
+                const actionBtn = e.target.closest('[data-manager-action]');
+                if (actionBtn) {
+                    this.handleAction(actionBtn.dataset.managerAction);
+                }
+            });
+
+            const overlay = Utils.$('.manager-overlay', this.panel);
+            if (overlay) {
+                Utils.on(overlay, 'click', () => this.close());
+            }
+        }
+
+        if (this.grid) {
+            Utils.on(this.grid, 'click', (e) => this.handleGridClick(e));
+        }
+
+        if (this.editForm) {
+            this.editForm.elements.fit.insertAdjacentHTML('beforeend', Object.entries(Devices.FIT_MODES)
+                .map(([value, label]) => `<option value="${value}">${label}</option>`)
+                .join(''));
+
+            Utils.on(this.editForm, 'submit', (e) => {
+                e.preventDefault();
+                this.submitEdit();
+            });
+            Utils.on(this.editForm, 'reset', () => this.closeEditor());
+        }
+
+        this.initShortcuts();
+
+        // 离开页面前完成未撤销的删除
+        Utils.on(window, 'pagehide', () => this.flushRemovals());
+    }
+
+    /**
+     * 注册快捷键
+     */
+    initShortcuts() {
+        this.shortcuts.registerContext('manager-editor', {
+            label: '编辑壁纸信息',
+            priority: 92,
+            isActive: () => Boolean(this.editDialog && this.editDialog.classList.contains('active')),
+            modal: true
+        });
+        this.shortcuts.register('manager-editor.close', {
+            context: 'manager-editor',
+            description: '取消编辑',
+            keys: ['Escape'],
+            handler: () => this.closeEditor(),
+            allowInInput: true
+        });
+
+        this.shortcuts.registerContext('manager', {
+            label: '壁纸管理',
+            priority: 80,
+            isActive: () => this.isOpen,
+            modal: true
+        });
+        this.shortcuts.register('manager.close', {
+            context: 'manager',
+            description: '关闭管理面板',
+            keys: ['Escape'],
+            handler: () => this.close(),
+            allowInInput: true
+        });
+    }
+
+    /**
+     * 打开管理面板
+     */
+    open() {
+        if (!this.panel) return;
+
+        this.selectedIds.clear();
+        this.render();
+        this.panel.classList.add('active');
+        this.isOpen = true;
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * 关闭管理面板
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.panel.classList.remove('active');
+        this.isOpen = false;
+        document.body.style.overflow = '';
+    }
+
+    /**
+     * 获取可管理的壁纸（仅本地导入的壁纸）
+     * @returns {Array} - 壁纸列表
+     */
+    getManageableWallpapers() {
+        return this.gallery.wallpapers.filter(wallpaper => this.gallery.isLocalWallpaper(wallpaper));
+    }
+
+    /**
+     * 渲染管理面板
+     */
+    render() {
+        if (!this.grid) return;
+
+        const wallpapers = this.getManageableWallpapers();
+
+        // 移除已不存在的选择
+        const existingIds = new Set(wallpapers.map(wallpaper => wallpaper.id));
+        this.selectedIds.forEach(id => {
+            if (!existingIds.has(id)) this.selectedIds.delete(id);
+        });
+
+        if (wallpapers.length === 0) {
+            this.grid.innerHTML = '<div class="manager-empty">还没有导入的壁纸</div>';
+        } else {
+            this.grid.innerHTML = wallpapers.map(wallpaper => {
+                const selected = this.selectedIds.has(wallpaper.id);
+                const name = Utils.escapeHTML(wallpaper.name);
+                return `
+                    <div class="manager-item ${selected ? 'selected' : ''}" data-id="${Utils.escapeHTML(wallpaper.id)}">
+                        <span class="manager-check">
+                            <input type="checkbox" data-item-action="select" ${selected ? 'checked' : ''} aria-label="选择 ${name}">
+                        </span>
+                        <img class="manager-thumb" src="${Utils.escapeHTML(wallpaper.thumbnail || wallpaper.url)}" alt="${name}" loading="lazy">
+                        <div class="manager-item-info">
+                            <span class="manager-item-name" title="${name}">${name}</span>
+                            <span class="manager-item-meta">${wallpaper.width}×${wallpaper.height} · ${Utils.formatFileSize(wallpaper.size)}</span>
+                        </div>
+                        <div class="manager-item-actions">
+                            <button class="tag-action-btn" type="button" data-item-action="edit">编辑</button>
+                            <button class="tag-action-btn danger" type="button" data-item-action="delete">删除</button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        }
+
+        this.updateSelectionState();
+    }
+
+    /**
+     * 更新选择数量和批量操作按钮状态
+     */
+    updateSelectionState() {
+        if (!this.panel) return;
+
+        const count = this.selectedIds.size;
+        const total = this.getManageableWallpapers().length;
+
+        const counter = Utils.$('.manager-selection', this.panel);
+        if (counter) {
+            counter.textContent = `已选择 ${count} / ${total} 张`;
+        }
+
+        Utils.$$('[data-requires-selection]', this.panel).forEach(button => {
+            button.disabled = count === 0;
+        });
+
+        const selectAllBtn = Utils.$('[data-manager-action="select-all"]', this.panel);
+        if (selectAllBtn) {
+            selectAllBtn.textContent = count > 0 && count === total ? '取消全选' : '全选';
+        }
+    }
+
+    /**
+     * 处理面板工具栏操作
+     * @param {string} action - 操作类型
+     */
+    handleAction(action) {
+        switch (action) {
+            case 'close':
+                this.close();
+                break;
+            case 'select-all': {
+                const wallpapers = this.getManageableWallpapers();
+                if (this.selectedIds.size === wallpapers.length) {
+                    this.selectedIds.clear();
+                } else {
+                    wallpapers.forEach(wallpaper => this.selectedIds.add(wallpaper.id));
+                }
+                this.render();
+                break;
+            }
+            case 'edit-selected':
+                this.openEditor(Array.from(this.selectedIds));
+                break;
+            case 'delete-selected':
+                this.deleteWallpapers(Array.from(this.selectedIds));
+                break;
+        }
+    }
+
+    /**
+     * 处理壁纸项上的操作
+     * @param {MouseEvent} e - 点击事件
+     */
+    handleGridClick(e) {
+        const item = e.target.closest('.manager-item');
+        if (!item) return;
+
+        const id = item.dataset.id;
+        const actionEl = e.target.closest('[data-item-action]');
+        const action = actionEl ? actionEl.dataset.itemAction : 'select';
+
+        switch (action) {
+            case 'edit':
+                this.openEditor([id]);
+                break;
+            case 'delete':
+                this.deleteWallpapers([id]);
+                break;
+            default:
+                // 切换选择，并同步复选框状态
+                if (this.selectedIds.has(id)) {
+                    this.selectedIds.delete(id);
+                } else {
+                    this.selectedIds.add(id);
+                }
+                item.classList.toggle('selected', this.selectedIds.has(id));
+                Utils.$('input[type="checkbox"]', item).checked = this.selectedIds.has(id);
+                this.updateSelectionState();
+                break;
+        }
+    }
+
+    /**
+     * 删除壁纸，在撤销窗口结束后才释放图片文件
+     * @param {string[]} ids - 壁纸ID列表
+     */
+    deleteWallpapers(ids) {
+        const removed = this.gallery.removeWallpapers(ids);
+        if (removed.length === 0) return;
+
+        ids.forEach(id => this.selectedIds.delete(id));
+        this.render();
+
+        const pending = {
+            commit: () => {
+                clearTimeout(pending.timeoutId);
+                this.pendingRemovals.delete(pending);
+                return this.gallery.finalizeRemoval(removed);
+            }
+        };
+        pending.timeoutId = setTimeout(pending.commit, this.undoDuration);
+        this.pendingRemovals.add(pending);
+
+        const message = removed.length === 1
+            ? `已删除「${removed[0].wallpaper.name}」`
+            : `已删除 ${removed.length} 张壁纸`;
+
+        Utils.showToast(message, 'info', this.undoDuration, {
+            label: '撤销',
+            onClick: () => {
+                clearTimeout(pending.timeoutId);
+                this.pendingRemovals.delete(pending);
+                this.gallery.restoreWallpapers(removed);
+                if (this.isOpen) this.render();
+            }
+        });
+    }
+
+    /**
+     * 立即完成所有未撤销的删除
+     * @returns {Promise} - 图片文件和收藏记录全部删除后完成
+     */
+    flushRemovals() {
+        return Promise.all(Array.from(this.pendingRemovals, pending => pending.commit()));
+    }
+
+    /**
+     * 打开信息编辑对话框
+     * 单张时可重命名；多张时只修改填写了的字段，标签为追加
+     * @param {string[]} ids - 壁纸ID列表
+     */
+    openEditor(ids) {
+        if (!this.editDialog || !this.editForm || ids.length === 0) return;
+
+        const isSingle = ids.length === 1;
+        const wallpaper = isSingle ? this.gallery.getWallpaperById(ids[0]) : null;
+        const fields = this.editForm.elements;
+
+        this.editingIds = ids;
+        this.editDialog.classList.toggle('multiple', !isSingle);
+
+        const title = Utils.$('.edit-dialog-title', this.editDialog);
+        if (title) {
+            title.textContent = isSingle ? '编辑壁纸信息' : `批量编辑 ${ids.length} 张壁纸`;
+        }
+
+        fields.name.disabled = !isSingle;
+        fields.name.required = isSingle;
+        fields.name.value = wallpaper ? wallpaper.name : '';
+        fields.title.value = wallpaper ? wallpaper.title || '' : '';
+        fields.artist.value = wallpaper ? wallpaper.artist || '' : '';
+        fields.source.value = wallpaper ? wallpaper.source || '' : '';
+        fields.tags.value = wallpaper ? (wallpaper.tags || []).join(', ') : '';
+        fields.fit.value = wallpaper ? wallpaper.fit || '' : '';
+
+        this.editDialog.classList.add('active');
+        (isSingle ? fields.name : fields.title).focus();
+    }
+
+    /**
+     * 关闭信息编辑对话框
+     */
+    closeEditor() {
+        if (!this.editDialog) return;
+        this.editDialog.classList.remove('active');
+        this.editingIds = [];
+    }
+
+    /**
+     * 提交信息修改，并提供撤销
+     */
+    submitEdit() {
+        const fields = this.editForm.elements;
+        const isSingle = this.editingIds.length === 1;
+        const tags = fields.tags.value.split(/[,，]/).map(tag => tag.trim()).filter(Boolean);
+        const updates = {};
+        const previous = {};
+
+        this.editingIds.forEach(id => {
+            const wallpaper = this.gallery.getWallpaperById(id);
+            if (!wallpaper) return;
+
+            const changes = {};
+            if (isSingle) {
+                const name = fields.name.value.trim();
+                if (name) changes.name = name;
+                changes.title = fields.title.value.trim();
+                changes.artist = fields.artist.value.trim();
+                changes.source = fields.source.value.trim();
+                changes.tags = tags;
+                changes.fit = fields.fit.value;
+            } else {
+                ['title', 'artist', 'source', 'fit'].forEach(field => {
+                    const value = fields[field].value.trim();
+                    if (value) changes[field] = value;
+                });
+                if (tags.length > 0) {
+                    changes.tags = [...(wallpaper.tags || []), ...tags];
+                }
+            }
+
+            if (Object.keys(changes).length === 0) return;
+
+            // 记录修改前的值用于撤销
+            previous[id] = {};
+            Object.keys(changes).forEach(field => {
+                const value = wallpaper[field];
+                previous[id][field] = Array.isArray(value) ? [...value] : (value === undefined ? '' : value);
+            });
+            updates[id] = changes;
+        });
+
+        this.closeEditor();
+        if (Object.keys(updates).length === 0) return;
+
+        this.gallery.updateWallpapers(updates);
+        if (this.isOpen) this.render();
+
+        Utils.showToast(`已更新 ${Object.keys(updates).length} 张壁纸的信息`, 'success', this.undoDuration, {
+            label: '撤销',
+            onClick: () => {
+                this.gallery.updateWallpapers(previous);
+                if (this.isOpen) this.render();
+            }
+        });
+    }
+}
+
+// 导出壁纸管理类
+window.Manager = Manager;
\ No newline at end of file
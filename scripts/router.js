@@ -0,0 +1,315 @@
+/**
+ * 路由类
+ * 把当前分区、筛选条件和灯箱中的壁纸同步到地址栏的hash中，支持分享链接和浏览器前进/后退
+ * 路由格式：#/、#/landscape、#/portrait?tag=x&q=y、#/w/<壁纸ID>
+ */
+class Router {
+    /**
+     * @param {Gallery} gallery - 画廊实例
+     * @param {Lightbox} lightbox - 灯箱实例
+     */
+    constructor(gallery, lightbox) {
+        this.gallery = gallery;
+        this.lightbox = lightbox;
+        this.searchInput = Utils.$('.search-input');
+        this.current = Router.parse(''); // 当前已应用的路由
+        this.section = 'home'; // 最近一次停留的分区，关闭灯箱后回到这里
+        this.isApplying = false; // 正在根据地址栏更新页面，此时页面变化不再写回地址栏
+        this.lightboxEntry = false; // 打开灯箱时是否新增了历史记录
+
+        this.init();
+    }
+
+    /**
+     * 可以直接跳转的分区
+     * @returns {string[]}
+     */
+    static get SECTIONS() {
+        return ['landscape', 'portrait', 'favorites'];
+    }
+
+    /**
+     * 解析hash路由
+     * 兼容旧的 #landscape 形式
+     * @param {string} hash - location.hash
+     * @returns {{view: string, id: string|null, filters: {query: string, tags: string[], match: string}}} -
+     *          view 为 'home'、分区名或 'wallpaper'
+     */
+    static parse(hash) {
+        const raw = String(hash || '').replace(/^#/, '');
+        const queryStart = raw.indexOf('?');
+        const path = queryStart === -1 ? raw : raw.slice(0, queryStart);
+        const params = new URLSearchParams(queryStart === -1 ? '' : raw.slice(queryStart + 1));
+
+        const filters = {
+            query: (params.get('q') || '').trim(),
+            tags: params.getAll('tag').filter(Boolean),
+            match: params.get('match') === 'and' ? 'and' : 'or'
+        };
+
+        const segments = path.split('/').filter(Boolean);
+        if (segments[0] === 'w' && segments[1]) {
+            let id = segments[1];
+            try {
+                id = decodeURIComponent(id);
+            } catch (error) {
+                // 格式错误的转义，按原样使用
+            }
+            return { view: 'wallpaper', id, filters };
+        }
+
+        const view = this.SECTIONS.includes(segments[0]) ? segments[0] : 'home';
+        return { view, id: null, filters };
+    }
+
+    /**
+     * 生成hash路由
+     * @param {Object} route - 路由，格式同 parse 的返回值
+     * @returns {string} - 以 # 开头的hash
+     */
+    static format({ view, id, filters = {} }) {
+        let path = '/';
+        if (view === 'wallpaper') {
+            path = `/w/${encodeURIComponent(id)}`;
+        } else if (this.SECTIONS.includes(view)) {
+            path = `/${view}`;
+        }
+
+        const params = new URLSearchParams();
+        if (filters.query) params.set('q', filters.query);
+        (filters.tags || []).forEach(tag => params.append('tag', tag));
+        if (filters.tags && filters.tags.length > 0 && filters.match === 'and') params.set('match', 'and');
+
+        const search = params.toString();
+        return `#${path}${search ? `?${search}` : ''}`;
+    }
+
+    /**
+     * 判断两组筛选条件是否相同
+     * @param {Object} a - 筛选条件A
+     * @param {Object} b - 筛选条件B
+     * @returns {boolean}
+     */
+    static isSameFilters(a, b) {
+        return a.query === b.query &&
+            a.match === b.match &&
+            a.tags.length === b.tags.length &&
+            a.tags.every((tag, index) => tag === b.tags[index]);
+    }
+
+    /**
+     * 初始化路由
+     * 壁纸加载完成后才能根据ID打开灯箱
+     */
+    async init() {
+        // 旧版链接的搜索词（index.html?q=）转为hash路由
+        const legacyQuery = new URLSearchParams(location.search).get('q');
+        if (legacyQuery) {
+            const route = Router.parse(location.hash);
+            route.filters.query = legacyQuery.trim();
+            history.replaceState(null, '', `${location.pathname}${Router.format(route)}`);
+        }
+
+        await this.gallery.ready;
+
+        this.apply(Router.parse(location.hash), { scroll: 'auto' });
+        // 统一为规范格式（如 #landscape → #/landscape）
+        this.replace(this.current);
+
+        Utils.on(window, 'popstate', () => this.handlePopState());
+
+        // 拦截指向本页路由的链接
+        Utils.on(document, 'click', (e) => {
+            if (e.defaultPrevented || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+
+            const link = e.target.closest('a[href]');
+            if (!link || link.target || link.pathname !== location.pathname || !link.hash.startsWith('#/')) return;
+
+            e.preventDefault();
+            this.navigate(link.hash);
+        });
+
+        // 筛选条件变化时只替换当前记录，避免每输入一个字就多一条历史
+        Utils.on(document, 'filtersChanged', (e) => {
+            if (this.isApplying) return;
+            this.current = { ...this.current, filters: e.detail };
+            this.replace(this.current);
+        });
+
+        Utils.on(document, 'lightboxChange', (e) => this.handleLightboxChange(e.detail.wallpaper));
+    }
+
+    /**
+     * 跳转到指定路由并新增一条历史记录
+     * 链接中没有筛选条件时保留当前的筛选条件
+     * @param {string} hash - 目标hash
+     */
+    navigate(hash) {
+        const route = Router.parse(hash);
+        if (!route.filters.query && route.filters.tags.length === 0) {
+            route.filters = this.gallery.getFilters();
+        }
+
+        history.pushState(null, '', Router.format(route));
+        this.lightboxEntry = false;
+        // 点击导航链接时即使已在该分区也要滚动过去
+        this.apply(route, { scroll: 'smooth', force: true });
+    }
+
+    /**
+     * 浏览器前进/后退
+     */
+    handlePopState() {
+        // 回到打开灯箱之前的记录，灯箱新增的记录已不存在
+        this.lightboxEntry = false;
+        this.apply(Router.parse(location.hash), { scroll: 'smooth' });
+    }
+
+    /**
+     * 根据路由更新页面
+     * @param {Object} route - 路由
+     * @param {Object} options - 选项
+     * @param {string|false} [options.scroll=false] - 分区变化时的滚动方式 ('smooth'、'auto')，false 为不滚动
+     * @param {boolean} [options.force=false] - 分区未变化时也滚动
+     */
+    apply(route, { scroll = false, force = false } = {}) {
+        const previous = this.current;
+        this.current = route;
+        this.isApplying = true;
+
+        try {
+            if (!Router.isSameFilters(route.filters, this.gallery.getFilters())) {
+                this.gallery.setFilters(route.filters);
+            }
+            if (this.searchInput) {
+                Search.setInputValue(this.searchInput, route.filters.query);
+            }
+
+            if (route.view === 'wallpaper') {
+                this.openWallpaper(route.id);
+                return;
+            }
+
+            if (this.lightbox.isLightboxOpen()) {
+                this.lightbox.close();
+            }
+
+            // 打开或关闭灯箱不改变页面位置
+            const sectionChanged = previous.view !== 'wallpaper' && previous.view !== route.view;
+            if (scroll && (sectionChanged || force)) {
+                this.scrollTo(route.view, scroll);
+            }
+            this.section = route.view;
+            this.updateActiveNavLink(route.view);
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    /**
+     * 在灯箱中打开指定壁纸
+     * 优先在当前分区中查找，以便在灯箱中继续浏览同一分区
+     * @param {string} id - 壁纸ID
+     */
+    openWallpaper(id) {
+        const types = [this.section, ...Router.SECTIONS].filter(type => Router.SECTIONS.includes(type));
+        for (const type of types) {
+            const index = this.gallery.getWallpapersByType(type).findIndex(wallpaper => wallpaper.id === id);
+            if (index !== -1) {
+                this.gallery.openLightbox(index, type);
+                return;
+            }
+        }
+
+        // 被当前筛选条件过滤掉的壁纸单独打开
+        const wallpaper = this.gallery.getWallpaperById(id);
+        if (wallpaper) {
+            Utils.emit(document, 'openLightbox', { index: 0, type: 'wallpaper', wallpapers: [wallpaper] });
+            return;
+        }
+
+        Utils.showToast('链接中的壁纸不存在或已被删除', 'error');
+        if (this.lightbox.isLightboxOpen()) {
+            this.lightbox.close();
+        }
+        this.current = { view: this.section, id: null, filters: this.current.filters };
+        this.replace(this.current);
+    }
+
+    /**
+     * 灯箱打开、切换或关闭时更新地址栏
+     * @param {Object|null} wallpaper - 当前显示的壁纸，关闭时为null
+     */
+    handleLightboxChange(wallpaper) {
+        if (this.isApplying) return;
+
+        const filters = this.gallery.getFilters();
+
+        if (wallpaper) {
+            const route = { view: 'wallpaper', id: wallpaper.id, filters };
+            if (this.current.view === 'wallpaper') {
+                // 灯箱内切换壁纸只替换当前记录
+                this.replace(route);
+            } else {
+                history.pushState(null, '', Router.format(route));
+                this.lightboxEntry = true;
+            }
+            this.current = route;
+            return;
+        }
+
+        if (this.current.view !== 'wallpaper') return;
+
+        this.current = { view: this.section, id: null, filters };
+        if (this.lightboxEntry) {
+            // 返回打开灯箱前的记录，前进时还能重新打开
+            this.lightboxEntry = false;
+            history.back();
+        } else {
+            // 通过链接直接打开的灯箱，没有可以返回的记录
+            this.replace(this.current);
+        }
+    }
+
+    /**
+     * 替换当前历史记录
+     * @param {Object} route - 路由
+     */
+    replace(route) {
+        const hash = Router.format(route);
+        if (location.hash !== hash) {
+            history.replaceState(null, '', hash);
+        }
+    }
+
+    /**
+     * 滚动到分区
+     * @param {string} view - 'home' 或分区名
+     * @param {string} behavior - 滚动方式
+     */
+    scrollTo(view, behavior) {
+        if (view === 'home') {
+            window.scrollTo({ top: 0, behavior });
+            return;
+        }
+
+        const section = document.getElementById(view);
+        if (section) {
+            section.scrollIntoView({ behavior, block: 'start' });
+        }
+    }
+
+    /**
+     * 更新活动导航链接
+     * @param {string} view - 'home' 或分区名
+     */
+    updateActiveNavLink(view) {
+        Utils.$$('.nav-link').forEach(link => {
+            const isCurrent = link.hash.startsWith('#/') && Router.parse(link.hash).view === view;
+            link.classList.toggle('active', isCurrent);
+        });
+    }
+}
+
+// 导出路由类
+window.Router = Router;
\ No newline at end of file
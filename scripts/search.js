@@ -0,0 +1,302 @@
+/**
+ * 搜索工具类
+ * 提供模糊匹配、拼音首字母匹配和结果高亮
+ */
+class Search {
+    /**
+     * 拼音首字母对照表
+     * 每个汉字按拼音排序后落在哪个区间，就取该区间的首字母
+     * @returns {{letters: string, boundaries: string}}
+     */
+    static get PINYIN_TABLE() {
+        return {
+            letters: 'ABCDEFGHJKLMNOPQRSTWXYZ',
+            boundaries: '阿八嚓哒妸发旮哈讥咔垃痳拏噢妑七呥扨它穵夕丫帀'
+        };
+    }
+
+    /**
+     * 参与搜索的壁纸字段
+     * @returns {string[]}
+     */
+    static get FIELDS() {
+        return ['name', 'originalName', 'tags'];
+    }
+
+    /**
+     * 标准化文本，便于比较
+     * @param {string} text - 原始文本
+     * @returns {string} - 标准化后的文本
+     */
+    static normalize(text) {
+        return String(text || '').normalize('NFKC').toLowerCase();
+    }
+
+    /**
+     * 获取单个字符的拼音首字母
+     * @param {string} char - 字符
+     * @returns {string} - 小写首字母，非汉字原样返回小写字符
+     */
+    static getCharInitial(char) {
+        if (!/[一-鿿]/.test(char)) {
+            return char.toLowerCase();
+        }
+
+        if (!this.initialCache) {
+            this.initialCache = new Map();
+        }
+        if (this.initialCache.has(char)) {
+            return this.initialCache.get(char);
+        }
+
+        const { letters, boundaries } = this.PINYIN_TABLE;
+        let initial = char;
+        for (let i = 0; i < boundaries.length; i++) {
+            if (boundaries[i].localeCompare(char, 'zh-Hans-CN') <= 0) {
+                initial = letters[i].toLowerCase();
+            } else {
+                break;
+            }
+        }
+
+        this.initialCache.set(char, initial);
+        return initial;
+    }
+
+    /**
+     * 获取文本的拼音首字母串
+     * 返回值与原文本逐字符对应，匹配位置可直接用于高亮
+     * @param {string} text - 原始文本
+     * @returns {string} - 首字母串
+     */
+    static getPinyinInitials(text) {
+        return Array.from(String(text || ''), char => this.getCharInitial(char)).join('');
+    }
+
+    /**
+     * 模糊匹配
+     * 优先连续子串匹配，其次按顺序的子序列匹配
+     * @param {string} query - 标准化后的搜索词
+     * @param {string} text - 待匹配文本
+     * @returns {{score: number, indices: number[]}|null} - 匹配结果或null
+     */
+    static fuzzyMatch(query, text) {
+        if (!query) return null;
+
+        const chars = Array.from(this.normalize(text));
+        const queryChars = Array.from(query);
+        const haystack = chars.join('');
+
+        // 连续子串匹配，越靠前得分越高
+        const position = haystack.indexOf(query);
+        if (position !== -1) {
+            const start = Array.from(haystack.slice(0, position)).length;
+            return {
+                score: 100 - Math.min(start, 50),
+                indices: queryChars.map((_, i) => start + i)
+            };
+        }
+
+        // 子序列匹配，间隔越小得分越高
+        const indices = [];
+        let cursor = 0;
+        for (const char of queryChars) {
+            while (cursor < chars.length && chars[cursor] !== char) {
+                cursor++;
+            }
+            if (cursor >= chars.length) return null;
+            indices.push(cursor);
+            cursor++;
+        }
+
+        const spread = indices[indices.length - 1] - indices[0] + 1;
+        return {
+            score: Math.max(1, 50 - (spread - queryChars.length) * 2),
+            indices
+        };
+    }
+
+    /**
+     * 拼音首字母匹配
+     * @param {string} query - 标准化后的搜索词
+     * @param {string} text - 待匹配文本
+     * @returns {{score: number, indices: number[]}|null} - 匹配结果或null
+     */
+    static pinyinMatch(query, text) {
+        if (!/^[a-z]+$/.test(query) || !/[一-鿿]/.test(text)) return null;
+
+        const initials = this.getPinyinInitials(text);
+        const position = initials.indexOf(query);
+        if (position === -1) return null;
+
+        return {
+            score: 80 - Math.min(position, 40),
+            indices: Array.from(query, (_, i) => position + i)
+        };
+    }
+
+    /**
+     * 匹配单个文本
+     * @param {string} term - 标准化后的搜索词
+     * @param {string} text - 待匹配文本
+     * @returns {{score: number, indices: number[]}|null} - 得分更高的匹配结果或null
+     */
+    static matchText(term, text) {
+        const fuzzy = this.fuzzyMatch(term, text);
+        const pinyin = this.pinyinMatch(term, text);
+
+        if (fuzzy && pinyin) {
+            return fuzzy.score >= pinyin.score ? fuzzy : pinyin;
+        }
+        return fuzzy || pinyin;
+    }
+
+    /**
+     * 匹配壁纸
+     * 搜索词按空白拆分，每个词都需要命中至少一个字段
+     * @param {Object} wallpaper - 壁纸对象
+     * @param {string} query - 搜索词
+     * @returns {{score: number, highlights: Object}|null} - 匹配结果或null
+     *          highlights 形如 { name: [0, 1], tags: { 樱花: [0] } }
+     */
+    static matchWallpaper(wallpaper, query) {
+        const terms = this.normalize(query).split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return null;
+
+        const highlights = { tags: {} };
+        let score = 0;
+
+        for (const term of terms) {
+            let best = null;
+
+            this.FIELDS.forEach(field => {
+                const values = field === 'tags' ? (wallpaper.tags || []) : [wallpaper[field]];
+                values.forEach(value => {
+                    if (!value) return;
+                    const result = this.matchText(term, value);
+                    if (result && (!best || result.score > best.result.score)) {
+                        best = { field, value, result };
+                    }
+                });
+            });
+
+            if (!best) return null;
+
+            score += best.result.score;
+            if (best.field === 'tags') {
+                highlights.tags[best.value] = this.mergeIndices(highlights.tags[best.value], best.result.indices);
+            } else {
+                highlights[best.field] = this.mergeIndices(highlights[best.field], best.result.indices);
+            }
+        }
+
+        return { score, highlights };
+    }
+
+    /**
+     * 合并高亮位置
+     * @param {number[]} existing - 已有位置
+     * @param {number[]} indices - 新位置
+     * @returns {number[]} - 去重排序后的位置
+     */
+    static mergeIndices(existing = [], indices) {
+        return [...new Set([...existing, ...indices])].sort((a, b) => a - b);
+    }
+
+    /**
+     * 生成带高亮标记的HTML
+     * @param {string} text - 原始文本
+     * @param {number[]} indices - 需要高亮的字符位置
+     * @returns {string} - HTML字符串
+     */
+    static highlight(text, indices = []) {
+        const marked = new Set(indices);
+        let html = '';
+        let open = false;
+
+        Array.from(String(text || '')).forEach((char, index) => {
+            const isMarked = marked.has(index);
+            if (isMarked && !open) {
+                html += '<mark>';
+                open = true;
+            } else if (!isMarked && open) {
+                html += '</mark>';
+                open = false;
+            }
+            html += Utils.escapeHTML(char);
+        });
+
+        return open ? `${html}</mark>` : html;
+    }
+
+    /**
+     * 设置搜索框的值（不触发搜索），同步清除按钮的显示
+     * @param {HTMLInputElement} input - 搜索输入框
+     * @param {string} value - 新的值
+     */
+    static setInputValue(input, value) {
+        if (input.value !== value) input.value = value;
+
+        const box = input.closest('.search-box');
+        if (box) box.classList.toggle('has-value', value !== '');
+    }
+
+    /**
+     * 绑定搜索输入框
+     * 处理防抖输入、回车提交、Esc清除和清除按钮
+     * @param {HTMLInputElement} input - 搜索输入框
+     * @param {Object} handlers - 回调函数
+     * @param {Function} [handlers.onInput] - 输入变化（已防抖）
+     * @param {Function} [handlers.onSubmit] - 回车或点击搜索按钮
+     */
+    static bindInput(input, { onInput, onSubmit } = {}) {
+        const box = input.closest('.search-box');
+        const searchBtn = box ? Utils.$('.search-btn', box) : null;
+        const clearBtn = box ? Utils.$('.search-clear', box) : null;
+
+        const updateClearButton = () => Search.setInputValue(input, input.value);
+        const debouncedInput = Utils.debounce(() => {
+            if (onInput) onInput(input.value.trim());
+        }, 300);
+        const clear = () => {
+            input.value = '';
+            updateClearButton();
+            if (onInput) onInput('');
+        };
+
+        Utils.on(input, 'input', () => {
+            updateClearButton();
+            debouncedInput();
+        });
+
+        Utils.on(input, 'keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                if (onSubmit) onSubmit(input.value.trim());
+                else if (onInput) onInput(input.value.trim());
+            } else if (e.key === 'Escape' && input.value) {
+                e.preventDefault();
+                clear();
+            }
+        });
+
+        if (searchBtn) {
+            Utils.on(searchBtn, 'click', () => {
+                if (onSubmit) onSubmit(input.value.trim());
+                else if (onInput) onInput(input.value.trim());
+            });
+        }
+
+        if (clearBtn) {
+            Utils.on(clearBtn, 'click', () => {
+                clear();
+                input.focus();
+            });
+        }
+
+        updateClearButton();
+    }
+}
+
+// 导出搜索工具类
+window.Search = Search;
\ No newline at end of file
@@ -0,0 +1,390 @@
+/**
+ * 快捷键管理类
+ * 集中注册各组件的快捷键，按当前焦点所在的上下文分发按键，支持重新绑定和快捷键列表
+ */
+class ShortcutManager {
+    constructor() {
+        this.dialog = Utils.$('#shortcut-dialog');
+        this.list = Utils.$('.shortcut-list');
+        this.contexts = new Map(); // 上下文名称 -> 上下文
+        this.actions = new Map(); // 操作ID -> 操作
+        this.overrides = Utils.getFromJSON('shortcuts.json', {}); // 用户修改的按键（操作ID -> 按键列表）
+        this.recordingId = null; // 正在重新绑定的操作ID
+        this.isOpen = false;
+
+        this.init();
+    }
+
+    /**
+     * 按键的显示名称
+     * @returns {Object<string, string>}
+     */
+    static get KEY_LABELS() {
+        return {
+            ArrowLeft: '←',
+            ArrowRight: '→',
+            ArrowUp: '↑',
+            ArrowDown: '↓',
+            Escape: 'Esc',
+            Space: '空格',
+            Enter: '回车'
+        };
+    }
+
+    /**
+     * 初始化快捷键
+     */
+    init() {
+        // 快捷键列表本身也是一个上下文，打开时屏蔽其他快捷键
+        this.registerContext('shortcuts', {
+            label: '通用',
+            priority: 1000,
+            modal: () => this.isOpen
+        });
+        this.register('shortcuts.toggle', {
+            context: 'shortcuts',
+            description: '显示/隐藏快捷键列表',
+            keys: ['?'],
+            handler: () => this.toggle()
+        });
+        this.register('shortcuts.close', {
+            context: 'shortcuts',
+            description: '关闭快捷键列表',
+            keys: ['Escape'],
+            handler: () => {
+                if (!this.isOpen) return false;
+                this.close();
+            }
+        });
+
+        // 在冒泡阶段处理，输入框等元素自身的按键处理（如搜索框的Esc清空）优先
+        Utils.on(document, 'keydown', (e) => this.handleKeydown(e));
+
+        if (this.dialog) {
+            Utils.on(this.dialog, 'click', (e) => {
+                if (e.target === this.dialog) {
+                    this.close();
+                    return;
+                }
+
+                const keysBtn = e.target.closest('[data-shortcut-id]');
+                if (keysBtn) {
+                    this.startRecording(keysBtn.dataset.shortcutId);
+                    return;
+                }
+
+                const actionBtn = e.target.closest('[data-shortcut-action]');
+                if (!actionBtn) return;
+
+                if (actionBtn.dataset.shortcutAction === 'reset') {
+                    this.resetKeys();
+                } else {
+                    this.close();
+                }
+            });
+        }
+    }
+
+    /**
+     * 注册上下文
+     * 按键从优先级最高的已激活上下文开始查找，模态上下文会阻止按键继续传给更低的上下文
+     * @param {string} name - 上下文名称
+     * @param {Object} options - 选项
+     * @param {string} options.label - 在快捷键列表中显示的名称
+     * @param {number} [options.priority=0] - 优先级
+     * @param {Function} [options.isActive] - 是否激活，默认始终激活
+     * @param {boolean|Function} [options.modal=false] - 是否为模态
+     */
+    registerContext(name, { label, priority = 0, isActive = () => true, modal = false }) {
+        this.contexts.set(name, {
+            name,
+            label: label || name,
+            priority,
+            isActive,
+            isModal: typeof modal === 'function' ? modal : () => modal
+        });
+    }
+
+    /**
+     * 注册快捷键操作
+     * @param {string} id - 操作ID，用于保存重新绑定的按键
+     * @param {Object} options - 选项
+     * @param {string} options.context - 所属上下文
+     * @param {string} options.description - 操作说明
+     * @param {string[]} options.keys - 默认按键，格式见 normalizeKey
+     * @param {Function} options.handler - 处理函数，返回false表示未处理，按键继续传给其他操作
+     * @param {boolean} [options.allowInInput=false] - 焦点在输入框中时是否响应
+     */
+    register(id, { context, description, keys, handler, allowInInput = false }) {
+        this.actions.set(id, {
+            id,
+            context,
+            description,
+            defaultKeys: keys,
+            handler,
+            allowInInput
+        });
+
+        if (this.isOpen) this.render();
+    }
+
+    /**
+     * 获取操作当前绑定的按键
+     * @param {string} id - 操作ID
+     * @returns {string[]} - 按键列表
+     */
+    getKeys(id) {
+        const override = this.overrides[id];
+        if (Array.isArray(override)) return override;
+
+        const action = this.actions.get(id);
+        return action ? action.defaultKeys : [];
+    }
+
+    /**
+     * 重新绑定操作的按键
+     * 同一上下文（以及通用上下文）中使用该按键的其他操作会解除绑定
+     * @param {string} id - 操作ID
+     * @param {string} key - 新按键
+     */
+    setKey(id, key) {
+        const action = this.actions.get(id);
+        if (!action) return;
+
+        const conflicts = Array.from(this.actions.values()).filter(other =>
+            other.id !== id &&
+            (other.context === action.context || other.context === 'shortcuts' || action.context === 'shortcuts') &&
+            this.getKeys(other.id).includes(key)
+        );
+        conflicts.forEach(other => {
+            this.overrides[other.id] = this.getKeys(other.id).filter(existing => existing !== key);
+        });
+
+        this.overrides[id] = [key];
+        this.saveOverrides();
+
+        if (conflicts.length > 0) {
+            Utils.showToast(`${ShortcutManager.formatKey(key)} 已从「${conflicts.map(other => other.description).join('、')}」移除`, 'info');
+        }
+    }
+
+    /**
+     * 恢复默认按键
+     */
+    resetKeys() {
+        this.overrides = {};
+        this.saveOverrides();
+        Utils.showToast('已恢复默认快捷键', 'success');
+    }
+
+    /**
+     * 保存重新绑定的按键
+     */
+    saveOverrides() {
+        if (!Utils.saveToJSON('shortcuts.json', this.overrides)) {
+            Utils.showToast('存储空间不足，快捷键设置未能保存', 'error');
+        }
+        this.render();
+    }
+
+    /**
+     * 将键盘事件转换为按键名称
+     * 如 'F'、'ArrowLeft'、'Space'、'Ctrl+K'；可打印字符的Shift已体现在字符本身（如 '?' 和 '+'）
+     * @param {KeyboardEvent} e - 键盘事件
+     * @returns {string} - 按键名称，只按下修饰键时为空字符串
+     */
+    static normalizeKey(e) {
+        let key = e.key;
+        if (!key || ['Control', 'Alt', 'Shift', 'Meta', 'Dead', 'Unidentified'].includes(key)) return '';
+
+        if (key === ' ') {
+            key = 'Space';
+        } else if (key.length === 1) {
+            key = key.toUpperCase();
+        }
+
+        const parts = [];
+        if (e.ctrlKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.metaKey) parts.push('Meta');
+        if (e.shiftKey && key.length > 1) parts.push('Shift');
+        parts.push(key);
+
+        return parts.join('+');
+    }
+
+    /**
+     * 按键的显示名称
+     * @param {string} key - 按键名称
+     * @returns {string} - 显示名称
+     */
+    static formatKey(key) {
+        const parts = key.split('+');
+        // '+' 键本身会被拆成空字符串
+        const main = key.endsWith('+') ? '+' : parts.pop();
+        const modifiers = key.endsWith('+') ? parts.slice(0, -2) : parts;
+        return [...modifiers, this.KEY_LABELS[main] || main].join(' + ');
+    }
+
+    /**
+     * 判断事件目标是否为可输入的元素
+     * @param {EventTarget} target - 事件目标
+     * @returns {boolean}
+     */
+    static isEditable(target) {
+        return Boolean(target && target.closest && target.closest('input, textarea, select, [contenteditable]'));
+    }
+
+    /**
+     * 判断事件目标是否为会自己响应空格和回车的控件（按钮、链接等）
+     * @param {EventTarget} target - 事件目标
+     * @returns {boolean}
+     */
+    static isActivatable(target) {
+        return Boolean(target && target.closest && target.closest('button, a[href], summary, [role="button"]'));
+    }
+
+    /**
+     * 分发按键
+     * @param {KeyboardEvent} e - 键盘事件
+     */
+    handleKeydown(e) {
+        if (e.defaultPrevented || e.isComposing) return;
+
+        if (this.recordingId) {
+            this.recordKey(e);
+            return;
+        }
+
+        const key = ShortcutManager.normalizeKey(e);
+        if (!key) return;
+
+        // 聚焦的按钮和链接用空格、回车激活自身，不触发快捷键
+        if ((key === 'Space' || key === 'Enter') && ShortcutManager.isActivatable(e.target)) return;
+
+        const inInput = ShortcutManager.isEditable(e.target);
+        const contexts = Array.from(this.contexts.values())
+            .filter(context => context.isActive())
+            .sort((a, b) => b.priority - a.priority);
+
+        for (const context of contexts) {
+            for (const action of this.actions.values()) {
+                if (action.context !== context.name) continue;
+                if (inInput && !action.allowInInput) continue;
+                if (!this.getKeys(action.id).includes(key)) continue;
+
+                if (action.handler(e) !== false) {
+                    e.preventDefault();
+                    return;
+                }
+            }
+
+            if (context.isModal()) return;
+        }
+    }
+
+    /**
+     * 开始重新绑定按键
+     * @param {string} id - 操作ID
+     */
+    startRecording(id) {
+        this.recordingId = this.recordingId === id ? null : id;
+        this.render();
+    }
+
+    /**
+     * 记录重新绑定的按键，Esc取消
+     * @param {KeyboardEvent} e - 键盘事件
+     */
+    recordKey(e) {
+        const key = ShortcutManager.normalizeKey(e);
+        if (!key) return;
+
+        e.preventDefault();
+        const id = this.recordingId;
+        this.recordingId = null;
+
+        if (key === 'Escape') {
+            this.render();
+            return;
+        }
+
+        this.setKey(id, key);
+    }
+
+    /**
+     * 打开快捷键列表
+     */
+    open() {
+        if (!this.dialog) return;
+
+        this.isOpen = true;
+        this.recordingId = null;
+        this.render();
+        this.dialog.classList.add('active');
+    }
+
+    /**
+     * 关闭快捷键列表
+     */
+    close() {
+        if (!this.dialog) return;
+
+        this.isOpen = false;
+        this.recordingId = null;
+        this.dialog.classList.remove('active');
+    }
+
+    /**
+     * 切换快捷键列表
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * 渲染快捷键列表
+     */
+    render() {
+        if (!this.list) return;
+
+        const contexts = Array.from(this.contexts.values()).sort((a, b) => b.priority - a.priority);
+
+        this.list.innerHTML = contexts.map(context => {
+            const actions = Array.from(this.actions.values()).filter(action => action.context === context.name);
+            if (actions.length === 0) return '';
+
+            const rows = actions.map(action => {
+                const keys = this.getKeys(action.id);
+                const isRecording = this.recordingId === action.id;
+                const keysHTML = isRecording
+                    ? '按下新按键…'
+                    : (keys.length > 0
+                        ? keys.map(key => `<kbd>${Utils.escapeHTML(ShortcutManager.formatKey(key))}</kbd>`).join('')
+                        : '<span class="shortcut-unbound">未绑定</span>');
+
+                return `
+                    <li class="shortcut-item">
+                        <span class="shortcut-description">${Utils.escapeHTML(action.description)}</span>
+                        <button class="shortcut-keys ${isRecording ? 'recording' : ''}" type="button"
+                                data-shortcut-id="${Utils.escapeHTML(action.id)}" title="点击重新绑定">${keysHTML}</button>
+                    </li>
+                `;
+            }).join('');
+
+            return `
+                <section class="shortcut-group">
+                    <h4 class="shortcut-group-title">${Utils.escapeHTML(context.label)}</h4>
+                    <ul class="shortcut-items">${rows}</ul>
+                </section>
+            `;
+        }).join('');
+    }
+}
+
+// 导出快捷键管理类
+window.ShortcutManager = ShortcutManager;
\ No newline at end of file
@@ -0,0 +1,221 @@
+/**
+ * 壁纸排序与分组
+ * 排序结果直接作为各分区的壁纸列表，画廊和Lightbox中的顺序与索引保持一致
+ */
+class Sorter {
+    /**
+     * 排序方式及其默认方向
+     * @returns {Object<string, {label: string, order: string}>}
+     */
+    static get KEYS() {
+        return {
+            default: { label: '默认顺序', order: 'asc' },
+            imported: { label: '导入时间', order: 'desc' },
+            name: { label: '名称', order: 'asc' },
+            resolution: { label: '分辨率', order: 'desc' },
+            size: { label: '文件大小', order: 'desc' },
+            hue: { label: '主色调', order: 'asc' },
+            random: { label: '随机', order: 'asc' }
+        };
+    }
+
+    /**
+     * 分组方式
+     * @returns {Object<string, string>}
+     */
+    static get GROUPS() {
+        return {
+            none: '不分组',
+            tag: '按标签',
+            month: '按导入月份',
+            resolution: '按分辨率'
+        };
+    }
+
+    /**
+     * 分辨率档位，按短边划分，从高到低
+     * @returns {Array<{id: string, label: string, minEdge: number}>}
+     */
+    static get RESOLUTION_TIERS() {
+        return [
+            { id: '8k', label: '8K 及以上', minEdge: 4320 },
+            { id: '4k', label: '4K', minEdge: 2160 },
+            { id: '2k', label: '2K', minEdge: 1440 },
+            { id: 'fhd', label: '1080p', minEdge: 1080 },
+            { id: 'low', label: '低于 1080p', minEdge: 0 }
+        ];
+    }
+
+    /**
+     * 名称比较器，数字按数值比较（"第2张" 排在 "第10张" 之前）
+     * @returns {Intl.Collator}
+     */
+    static get collator() {
+        if (!this.cachedCollator) {
+            this.cachedCollator = new Intl.Collator('zh-Hans-CN', { numeric: true, sensitivity: 'base' });
+        }
+        return this.cachedCollator;
+    }
+
+    /**
+     * 排序壁纸，不修改原数组
+     * 缺少排序依据的壁纸（如未记录导入时间）始终排在最后，其余相同时保持原顺序
+     * @param {Array} wallpapers - 壁纸列表
+     * @param {{key: string, order: string}} settings - 排序方式与方向 ('asc' 或 'desc')
+     * @param {Function} getRandomRank - 随机排序时返回壁纸的随机值 (id => number)
+     * @returns {Array} - 排序后的壁纸列表
+     */
+    static sort(wallpapers, { key, order }, getRandomRank) {
+        if (!this.KEYS[key] || key === 'default') {
+            return order === 'desc' ? wallpapers.slice().reverse() : wallpapers.slice();
+        }
+
+        const direction = order === 'desc' && key !== 'random' ? -1 : 1;
+        const entries = wallpapers.map(wallpaper => ({
+            wallpaper,
+            value: this.getSortValue(wallpaper, key, getRandomRank)
+        }));
+
+        entries.sort((a, b) => {
+            if (a.value === null || b.value === null) {
+                return (a.value === null) - (b.value === null);
+            }
+            const result = key === 'name' ? this.collator.compare(a.value, b.value) : a.value - b.value;
+            return result * direction;
+        });
+
+        return entries.map(entry => entry.wallpaper);
+    }
+
+    /**
+     * 获取壁纸的排序依据
+     * @param {Object} wallpaper - 壁纸对象
+     * @param {string} key - 排序方式
+     * @param {Function} getRandomRank - 随机值
+     * @returns {number|string|null} - 排序依据，缺失时为null
+     */
+    static getSortValue(wallpaper, key, getRandomRank) {
+        switch (key) {
+            case 'imported': {
+                const time = Date.parse(wallpaper.uploadedAt);
+                return isNaN(time) ? null : time;
+            }
+            case 'name':
+                return wallpaper.name || '';
+            case 'resolution':
+                return (wallpaper.width * wallpaper.height) || null;
+            case 'size':
+                return wallpaper.size || null;
+            case 'hue':
+                return this.getHueValue(wallpaper);
+            case 'random':
+                return getRandomRank(wallpaper.id);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 主色调的排序值
+     * 取占比最高的彩色按色相排列；整张图都接近灰色时排在彩色之后，按亮度由暗到亮
+     * @param {Object} wallpaper - 壁纸对象
+     * @returns {number|null} - 排序值，尚未分析主色调时为null
+     */
+    static getHueValue(wallpaper) {
+        if (!Array.isArray(wallpaper.colors) || wallpaper.colors.length === 0) return null;
+
+        const colors = wallpaper.colors.map(({ color }) => Utils.hexToHsl(color));
+        const vivid = colors.find(({ s, l }) => s >= 0.2 && l > 0.1 && l < 0.9);
+        return vivid ? vivid.h : 360 + colors[0].l;
+    }
+
+    /**
+     * 获取壁纸所在的分组
+     * @param {Object} wallpaper - 壁纸对象
+     * @param {string} mode - 分组方式
+     * @returns {{key: string, label: string}} - 分组；无标签、未知日期等分组的 key 以冒号结尾
+     */
+    static getGroup(wallpaper, mode) {
+        switch (mode) {
+            case 'tag': {
+                const tag = (wallpaper.tags || [])[0];
+                return tag ? { key: `tag:${tag}`, label: tag } : { key: 'tag:', label: '无标签' };
+            }
+            case 'month': {
+                const date = new Date(wallpaper.uploadedAt);
+                if (!wallpaper.uploadedAt || isNaN(date.getTime())) {
+                    return { key: 'month:', label: '未知日期' };
+                }
+                const month = date.getMonth() + 1;
+                return {
+                    key: `month:${date.getFullYear()}-${String(month).padStart(2, '0')}`,
+                    label: `${date.getFullYear()} 年 ${month} 月`
+                };
+            }
+            case 'resolution': {
+                const edge = Math.min(wallpaper.width, wallpaper.height) || 0;
+                const tier = this.RESOLUTION_TIERS.find(item => edge >= item.minEdge);
+                return { key: `resolution:${tier.id}`, label: tier.label };
+            }
+            default:
+                return { key: '', label: '' };
+        }
+    }
+
+    /**
+     * 按分组重新排列，组内保持传入的顺序
+     * 按标签时每张壁纸归入它的第一个标签
+     * @param {Array} wallpapers - 已排序的壁纸列表
+     * @param {string} mode - 分组方式
+     * @returns {{wallpapers: Array, groups: Array<{key: string, label: string, count: number}>}} -
+     *          重新排列的壁纸列表，以及与之一一对应的分组；不分组时 groups 为空数组
+     */
+    static group(wallpapers, mode) {
+        if (!this.GROUPS[mode] || mode === 'none') {
+            return { wallpapers, groups: [] };
+        }
+
+        const buckets = new Map();
+        wallpapers.forEach(wallpaper => {
+            const group = this.getGroup(wallpaper, mode);
+            if (!buckets.has(group.key)) {
+                buckets.set(group.key, { ...group, wallpapers: [] });
+            }
+            buckets.get(group.key).wallpapers.push(wallpaper);
+        });
+
+        const ordered = Array.from(buckets.values()).sort((a, b) => this.compareGroups(a, b, mode));
+        return {
+            wallpapers: ordered.flatMap(group => group.wallpapers),
+            groups: ordered.flatMap(({ key, label, wallpapers: items }) =>
+                items.map(() => ({ key, label, count: items.length }))
+            )
+        };
+    }
+
+    /**
+     * 比较两个分组的先后
+     * 标签按名称，月份从近到远，分辨率从高到低；无标签和未知日期排在最后
+     * @param {{key: string, label: string}} a - 分组A
+     * @param {{key: string, label: string}} b - 分组B
+     * @param {string} mode - 分组方式
+     * @returns {number}
+     */
+    static compareGroups(a, b, mode) {
+        const aUnknown = a.key.endsWith(':');
+        const bUnknown = b.key.endsWith(':');
+        if (aUnknown !== bUnknown) return aUnknown - bUnknown;
+
+        if (mode === 'month') {
+            return b.key.localeCompare(a.key);
+        }
+        if (mode === 'resolution') {
+            const tierIds = this.RESOLUTION_TIERS.map(tier => `resolution:${tier.id}`);
+            return tierIds.indexOf(a.key) - tierIds.indexOf(b.key);
+        }
+        return this.collator.compare(a.label, b.label);
+    }
+}
+
+// 导出排序工具类
+window.Sorter = Sorter;
\ No newline at end of file
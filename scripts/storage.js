@@ -0,0 +1,108 @@
+/**
+ * 图片二进制存储类
+ * 基于 IndexedDB 按壁纸ID保存原始图片文件，刷新页面后可重新生成对象URL
+ */
+class BlobStore {
+    /**
+     * @param {string} dbName - 数据库名称
+     * @param {string} storeName - 对象仓库名称
+     */
+    constructor(dbName = 'illumi-gallery', storeName = 'images') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null; // 数据库连接（懒加载）
+    }
+
+    /**
+     * 打开数据库连接
+     * @returns {Promise<IDBDatabase>} - 数据库连接Promise
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('当前浏览器不支持IndexedDB'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error || new Error('无法打开图片数据库'));
+        });
+
+        // 打开失败时允许下次重试
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * 在对象仓库上执行一次请求
+     * @param {string} mode - 事务模式 ('readonly' 或 'readwrite')
+     * @param {Function} action - 接收对象仓库并返回IDBRequest的函数
+     * @returns {Promise<*>} - 请求结果Promise
+     */
+    async request(mode, action) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = action(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('图片数据库事务已中止'));
+        });
+    }
+
+    /**
+     * 保存图片文件
+     * @param {string} id - 壁纸ID
+     * @param {Blob} blob - 图片文件
+     * @returns {Promise<void>}
+     */
+    async put(id, blob) {
+        await this.request('readwrite', store => store.put(blob, id));
+    }
+
+    /**
+     * 获取图片文件
+     * @param {string} id - 壁纸ID
+     * @returns {Promise<Blob|null>} - 图片文件或null
+     */
+    async get(id) {
+        const blob = await this.request('readonly', store => store.get(id));
+        return blob || null;
+    }
+
+    /**
+     * 删除图片文件
+     * @param {string} id - 壁纸ID
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        await this.request('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * 获取所有已保存的壁纸ID
+     * @returns {Promise<string[]>} - 壁纸ID列表
+     */
+    async keys() {
+        return this.request('readonly', store => store.getAllKeys());
+    }
+}
+
+// 导出图片存储类
+window.BlobStore = BlobStore;
\ No newline at end of file
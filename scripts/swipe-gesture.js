@@ -0,0 +1,229 @@
+/**
+ * 滑动手势类
+ * 基于指针事件识别单指滑动：先锁定方向，松开时按距离或速度判定是否翻页，并提供橡皮筋阻尼
+ */
+class SwipeGesture {
+    /**
+     * @param {HTMLElement} element - 监听滑动的元素
+     * @param {Object} options - 选项
+     * @param {string} [options.axis='x'] - 识别的方向 ('x'、'y' 或 'both')
+     * @param {string[]} [options.pointerTypes] - 响应的指针类型，默认只响应触摸和触控笔，鼠标保留原有的点击与拖动
+     * @param {Function} [options.canStart] - 按下时调用，返回false时不识别滑动
+     * @param {Function} [options.onMove] - 滑动中调用，参数为 {axis, dx, dy}
+     * @param {Function} [options.onEnd] - 松开或取消时调用，参数为 {axis, direction, dx, dy}；
+     *        direction 为 'left'、'right'、'up' 或 'down'，未达到阈值或被取消时为null
+     */
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = {
+            axis: 'x',
+            pointerTypes: ['touch', 'pen'],
+            ...options
+        };
+        this.state = null; // 正在进行的滑动
+        this.suppressClickUntil = 0; // 滑动结束后忽略随之而来的点击
+
+        this.init();
+    }
+
+    /**
+     * 锁定方向前需要移动的距离（像素）
+     * @returns {number}
+     */
+    static get LOCK_DISTANCE() {
+        return 10;
+    }
+
+    /**
+     * 滑动距离超过元素尺寸的该比例即视为翻页
+     * @returns {number}
+     */
+    static get DISTANCE_RATIO() {
+        return 0.2;
+    }
+
+    /**
+     * 快速轻扫至少需要的距离（像素）
+     * @returns {number}
+     */
+    static get MIN_DISTANCE() {
+        return 30;
+    }
+
+    /**
+     * 快速轻扫的速度阈值（像素/毫秒）
+     * @returns {number}
+     */
+    static get VELOCITY() {
+        return 0.4;
+    }
+
+    /**
+     * 橡皮筋阻尼：拖得越远阻力越大，位移不会超过元素尺寸
+     * @param {number} distance - 手指移动的距离
+     * @param {number} dimension - 元素在该方向上的尺寸
+     * @param {number} coefficient - 阻尼系数，越小阻力越大
+     * @returns {number} - 元素实际跟随的位移
+     */
+    static rubberBand(distance, dimension, coefficient = 0.55) {
+        if (!dimension) return 0;
+        const offset = (1 - 1 / (Math.abs(distance) * coefficient / dimension + 1)) * dimension;
+        return Math.sign(distance) * offset;
+    }
+
+    /**
+     * 初始化指针事件
+     */
+    init() {
+        if (!this.element) return;
+
+        Utils.on(this.element, 'pointerdown', (e) => this.start(e));
+        Utils.on(this.element, 'pointermove', (e) => this.move(e));
+        Utils.on(this.element, 'pointerup', (e) => this.end(e));
+        Utils.on(this.element, 'pointercancel', (e) => {
+            if (this.state && e.pointerId === this.state.pointerId) this.cancel();
+        });
+
+        // 在捕获阶段拦截滑动后的点击，避免误打开壁纸
+        this.element.addEventListener('click', (e) => {
+            if (e.timeStamp > this.suppressClickUntil) return;
+            e.preventDefault();
+            e.stopPropagation();
+        }, true);
+    }
+
+    /**
+     * 按下指针
+     * @param {PointerEvent} e - 指针事件
+     */
+    start(e) {
+        // 第二根手指按下时放弃滑动，交给其他手势（如双指缩放）
+        if (this.state) {
+            this.cancel();
+            return;
+        }
+
+        if (!e.isPrimary || !this.options.pointerTypes.includes(e.pointerType)) return;
+        if (this.options.canStart && !this.options.canStart(e)) return;
+
+        this.state = {
+            pointerId: e.pointerId,
+            startX: e.clientX,
+            startY: e.clientY,
+            axis: null, // 锁定的方向
+            dx: 0,
+            dy: 0,
+            samples: [{ x: e.clientX, y: e.clientY, time: e.timeStamp }] // 最近的位置，用于计算速度
+        };
+    }
+
+    /**
+     * 移动指针
+     * @param {PointerEvent} e - 指针事件
+     */
+    move(e) {
+        const state = this.state;
+        if (!state || e.pointerId !== state.pointerId) return;
+
+        const dx = e.clientX - state.startX;
+        const dy = e.clientY - state.startY;
+
+        if (!state.axis) {
+            if (Math.hypot(dx, dy) < SwipeGesture.LOCK_DISTANCE) return;
+
+            const axis = Math.abs(dx) >= Math.abs(dy) ? 'x' : 'y';
+            if (this.options.axis !== 'both' && axis !== this.options.axis) {
+                // 方向不符，交给浏览器滚动页面
+                this.state = null;
+                return;
+            }
+
+            state.axis = axis;
+            try {
+                this.element.setPointerCapture(e.pointerId);
+            } catch (error) {
+                // 指针已经抬起时无法捕获，忽略
+            }
+        }
+
+        state.dx = state.axis === 'x' ? dx : 0;
+        state.dy = state.axis === 'y' ? dy : 0;
+
+        // 只保留最近100毫秒的位置
+        state.samples.push({ x: e.clientX, y: e.clientY, time: e.timeStamp });
+        while (state.samples.length > 2 && e.timeStamp - state.samples[0].time > 100) {
+            state.samples.shift();
+        }
+
+        if (this.options.onMove) {
+            this.options.onMove({ axis: state.axis, dx: state.dx, dy: state.dy });
+        }
+    }
+
+    /**
+     * 抬起指针，判定是否翻页
+     * @param {PointerEvent} e - 指针事件
+     */
+    end(e) {
+        const state = this.state;
+        if (!state || e.pointerId !== state.pointerId) return;
+
+        this.state = null;
+        // 没有锁定方向说明是点击
+        if (!state.axis) return;
+
+        this.suppressClickUntil = e.timeStamp + 400;
+
+        const distance = state.axis === 'x' ? state.dx : state.dy;
+        const dimension = state.axis === 'x' ? this.element.clientWidth : this.element.clientHeight;
+        const velocity = this.getVelocity(state);
+
+        const isFarEnough = Math.abs(distance) >= dimension * SwipeGesture.DISTANCE_RATIO;
+        const isFlick = Math.abs(distance) >= SwipeGesture.MIN_DISTANCE
+            && Math.abs(velocity) >= SwipeGesture.VELOCITY
+            && Math.sign(velocity) === Math.sign(distance);
+
+        let direction = null;
+        if (isFarEnough || isFlick) {
+            if (state.axis === 'x') {
+                direction = distance < 0 ? 'left' : 'right';
+            } else {
+                direction = distance < 0 ? 'up' : 'down';
+            }
+        }
+
+        if (this.options.onEnd) {
+            this.options.onEnd({ axis: state.axis, direction, dx: state.dx, dy: state.dy });
+        }
+    }
+
+    /**
+     * 取消滑动，元素回到原位
+     */
+    cancel() {
+        const state = this.state;
+        this.state = null;
+
+        if (state && state.axis && this.options.onEnd) {
+            this.options.onEnd({ axis: state.axis, direction: null, dx: 0, dy: 0 });
+        }
+    }
+
+    /**
+     * 计算松手前的速度
+     * @param {Object} state - 滑动状态
+     * @returns {number} - 锁定方向上的速度（像素/毫秒）
+     */
+    getVelocity(state) {
+        const first = state.samples[0];
+        const last = state.samples[state.samples.length - 1];
+        const duration = last.time - first.time;
+        if (duration <= 0) return 0;
+
+        const distance = state.axis === 'x' ? last.x - first.x : last.y - first.y;
+        return distance / duration;
+    }
+}
+
+// 导出滑动手势类
+window.SwipeGesture = SwipeGesture;
\ No newline at end of file
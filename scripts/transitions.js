@@ -0,0 +1,137 @@
+/**
+ * 过渡动画目录
+ * 横屏幻灯片、竖屏画廊、灯箱和动画设置页共用同一份动画列表；
+ * 灯箱通过 Web Animations API 播放对应的关键帧
+ */
+class Transitions {
+    /**
+     * 动画列表
+     * @returns {Object<string, {name: string, description: string, className: string}>}
+     */
+    static get CATALOGUE() {
+        return {
+            fade: {
+                name: '淡入淡出',
+                description: '平滑的淡入淡出效果',
+                className: 'animation-fade'
+            },
+            slide: {
+                name: '滑动',
+                description: '左右滑动切换效果',
+                className: 'animation-slide'
+            },
+            zoom: {
+                name: '缩放',
+                description: '缩放过渡效果',
+                className: 'animation-zoom'
+            },
+            rotate: {
+                name: '旋转',
+                description: '旋转过渡效果',
+                className: 'animation-rotate'
+            },
+            flip: {
+                name: '3D翻转',
+                description: '3D翻转切换效果',
+                className: 'animation-flip'
+            },
+            cube: {
+                name: '立方体旋转',
+                description: '立方体旋转过渡效果',
+                className: 'animation-cube'
+            },
+            bounce: {
+                name: '弹跳',
+                description: '弹跳过渡效果',
+                className: 'animation-bounce'
+            },
+            wave: {
+                name: '波浪',
+                description: '波浪式过渡效果',
+                className: 'animation-wave'
+            }
+        };
+    }
+
+    /**
+     * 灯箱过渡时长（毫秒）
+     * @returns {number}
+     */
+    static get DURATION() {
+        return 500;
+    }
+
+    /**
+     * 获取切换图片时的关键帧
+     * @param {string} id - 动画ID
+     * @param {string} direction - 切换方向 ('prev' 或 'next')
+     * @returns {{enter: Keyframe[], exit: Keyframe[], easing: string}} - 新图片进入与旧图片离开的关键帧
+     */
+    static getKeyframes(id, direction) {
+        // 上一张时反向运动
+        const d = direction === 'prev' ? -1 : 1;
+
+        switch (id) {
+            case 'slide':
+                return {
+                    enter: [{ transform: `translateX(${d * 100}%)`, opacity: 0 }, { transform: 'none', opacity: 1 }],
+                    exit: [{ transform: 'none', opacity: 1 }, { transform: `translateX(${-d * 100}%)`, opacity: 0 }],
+                    easing: 'ease'
+                };
+            case 'zoom':
+                return {
+                    enter: [{ transform: 'scale(0.8)', opacity: 0 }, { transform: 'none', opacity: 1 }],
+                    exit: [{ transform: 'none', opacity: 1 }, { transform: 'scale(1.1)', opacity: 0 }],
+                    easing: 'ease'
+                };
+            case 'rotate':
+                return {
+                    enter: [{ transform: `rotate(${d * 180}deg) scale(0.8)`, opacity: 0 }, { transform: 'none', opacity: 1 }],
+                    exit: [{ transform: 'none', opacity: 1 }, { transform: `rotate(${-d * 90}deg) scale(0.8)`, opacity: 0 }],
+                    easing: 'ease'
+                };
+            case 'flip':
+                return {
+                    enter: [{ transform: `perspective(1200px) rotateY(${d * 180}deg)`, opacity: 0 }, { transform: 'perspective(1200px) rotateY(0deg)', opacity: 1 }],
+                    exit: [{ transform: 'perspective(1200px) rotateY(0deg)', opacity: 1 }, { transform: `perspective(1200px) rotateY(${-d * 180}deg)`, opacity: 0 }],
+                    easing: 'ease'
+                };
+            case 'cube':
+                return {
+                    enter: [{ transform: `perspective(1200px) rotateY(${d * 90}deg)`, opacity: 0 }, { transform: 'perspective(1200px) rotateY(0deg)', opacity: 1 }],
+                    exit: [{ transform: 'perspective(1200px) rotateY(0deg)', opacity: 1 }, { transform: `perspective(1200px) rotateY(${-d * 90}deg)`, opacity: 0 }],
+                    easing: 'ease-in-out'
+                };
+            case 'bounce':
+                return {
+                    enter: [{ transform: 'translateY(50px) scale(0.5)', opacity: 0 }, { transform: 'none', opacity: 1 }],
+                    exit: [{ opacity: 1 }, { opacity: 0 }],
+                    easing: 'cubic-bezier(0.68, -0.55, 0.265, 1.55)'
+                };
+            case 'wave':
+                return {
+                    enter: [{ transform: `translateX(${d * 50}px) rotate(${d * 10}deg)`, opacity: 0 }, { transform: 'none', opacity: 1 }],
+                    exit: [{ transform: 'none', opacity: 1 }, { transform: `translateX(${-d * 50}px) rotate(${-d * 10}deg)`, opacity: 0 }],
+                    easing: 'ease-in-out'
+                };
+            case 'fade':
+            default:
+                return {
+                    enter: [{ opacity: 0 }, { opacity: 1 }],
+                    exit: [{ opacity: 1 }, { opacity: 0 }],
+                    easing: 'ease'
+                };
+        }
+    }
+
+    /**
+     * 用户是否希望减少动画
+     * @returns {boolean}
+     */
+    static prefersReducedMotion() {
+        return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+}
+
+// 导出过渡动画目录
+window.Transitions = Transitions;
\ No newline at end of file
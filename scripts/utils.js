@@ -55,6 +55,51 @@ class Utils {
         element.dispatchEvent(event);
     }
 
+    /**
+     * 按key增量更新子元素
+     * 已存在的元素复用并调用 update，缺少的调用 create 创建，多余的移除，最后按 items 的顺序排列；
+     * 没有 data-key 的子元素（如空状态提示）会被移除
+     * @param {HTMLElement} container - 父元素
+     * @param {Array} items - 数据列表
+     * @param {Object} options - 选项
+     * @param {Function} options.getKey - 获取数据的key
+     * @param {Function} options.create - 根据数据创建元素
+     * @param {Function} [options.update] - 用数据更新元素（新建的元素也会调用）
+     * @param {Function} [options.remove] - 元素被移除前调用
+     */
+    static patchChildren(container, items, { getKey, create, update, remove }) {
+        const existing = new Map();
+        Array.from(container.children).forEach(child => {
+            if (child.dataset.key === undefined) {
+                child.remove();
+            } else {
+                existing.set(child.dataset.key, child);
+            }
+        });
+
+        items.forEach((item, position) => {
+            const key = String(getKey(item));
+            let element = existing.get(key);
+            if (element) {
+                existing.delete(key);
+            } else {
+                element = create(item);
+                element.dataset.key = key;
+            }
+            if (update) update(element, item);
+
+            const current = container.children[position];
+            if (current !== element) {
+                container.insertBefore(element, current || null);
+            }
+        });
+
+        existing.forEach(element => {
+            if (remove) remove(element);
+            element.remove();
+        });
+    }
+
     /**
      * 获取图片尺寸
      * @param {File} file - 图片文件
@@ -129,12 +174,15 @@ class Utils {
      * 保存数据到本地存储
      * @param {string} key - 存储键名
      * @param {*} data - 存储数据
+     * @returns {boolean} - 是否保存成功（存储空间不足时为false）
      */
     static saveToStorage(key, data) {
         try {
             localStorage.setItem(key, JSON.stringify(data));
+            return true;
         } catch (error) {
             console.error('保存数据失败:', error);
+            return false;
         }
     }
 
@@ -158,12 +206,13 @@ class Utils {
      * 保存数据到JSON文件（模拟，实际为本地存储）
      * @param {string} filename - 文件名
      * @param {*} data - 存储数据
+     * @returns {boolean} - 是否保存成功
      */
     static saveToJSON(filename, data) {
         // 实际项目中可以使用File API保存到本地文件
         // 这里简化为保存到localStorage
         const key = `json_${filename.replace('.json', '')}`;
-        this.saveToStorage(key, data);
+        return this.saveToStorage(key, data);
     }
 
     /**
@@ -177,6 +226,30 @@ class Utils {
         return this.getFromStorage(key, defaultValue);
     }
 
+    /**
+     * 删除JSON文件（模拟，实际为本地存储）
+     * @param {string} filename - 文件名
+     */
+    static removeJSON(filename) {
+        const key = `json_${filename.replace('.json', '')}`;
+        localStorage.removeItem(key);
+    }
+
+    /**
+     * 转义HTML特殊字符
+     * @param {string} text - 原始文本
+     * @returns {string} - 转义后的文本
+     */
+    static escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+
     /**
      * 防抖函数
      * @param {Function} func - 要执行的函数
@@ -229,6 +302,32 @@ class Utils {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    /**
+     * 下载文件
+     * @param {string} url - 文件地址（对象URL或同源地址）
+     * @param {string} filename - 保存的文件名
+     */
+    static downloadUrl(url, filename) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    /**
+     * 将Blob保存为文件
+     * @param {Blob} blob - 文件内容
+     * @param {string} filename - 保存的文件名
+     */
+    static downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        this.downloadUrl(url, filename);
+        // 延迟释放，确保浏览器已开始下载
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     /**
      * 显示加载动画
      */
@@ -249,6 +348,57 @@ class Utils {
         }
     }
 
+    /**
+     * 显示提示消息
+     * @param {string} message - 消息内容
+     * @param {string} type - 消息类型 ('info'、'success' 或 'error')
+     * @param {number} duration - 显示时长（毫秒）
+     * @param {Object} action - 可选的操作按钮
+     * @param {string} action.label - 按钮文字
+     * @param {Function} action.onClick - 点击回调，点击后提示立即关闭
+     * @returns {HTMLElement} - 提示元素
+     */
+    static showToast(message, type = 'info', duration = 4000, action = null) {
+        let container = this.$('.toast-container');
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'toast-container';
+            document.body.appendChild(container);
+        }
+
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        toast.textContent = message;
+        container.appendChild(toast);
+
+        const dismiss = () => {
+            clearTimeout(timeoutId);
+            toast.classList.remove('active');
+            setTimeout(() => toast.remove(), 300);
+        };
+
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'toast-action';
+            button.type = 'button';
+            button.textContent = action.label;
+            this.on(button, 'click', () => {
+                dismiss();
+                action.onClick();
+            });
+            toast.appendChild(button);
+        }
+
+        // 触发重排后显示，保证过渡动画生效
+        void toast.offsetWidth;
+        toast.classList.add('active');
+
+        const timeoutId = setTimeout(dismiss, duration);
+
+        return toast;
+    }
+
     /**
      * 检查是否为横屏图片
      * @param {number} width - 宽度
@@ -280,14 +430,311 @@ class Utils {
 
     /**
      * 检查文件类型是否为图片
+     * 只根据扩展名快速判断，导入时以 detectImageType 的结果为准
      * @param {File} file - 文件对象
      * @returns {boolean} - 是否为图片
      */
     static isImage(file) {
-        const validExtensions = ['jpg', 'jpeg', 'png', 'webp'];
+        const validExtensions = Object.values(this.IMAGE_TYPES).flat();
         const extension = this.getFileExtension(file.name);
         return validExtensions.includes(extension);
     }
+
+    /**
+     * 支持的图片格式（MIME类型 -> 扩展名）
+     * @returns {Object<string, string[]>}
+     */
+    static get IMAGE_TYPES() {
+        return {
+            'image/jpeg': ['jpg', 'jpeg'],
+            'image/png': ['png'],
+            'image/webp': ['webp'],
+            'image/avif': ['avif'],
+            'image/gif': ['gif'],
+            'image/bmp': ['bmp']
+        };
+    }
+
+    /**
+     * 根据文件头识别图片的真实格式
+     * @param {Blob} file - 文件
+     * @returns {Promise<string|null>} - MIME类型，无法识别时为null
+     */
+    static async detectImageType(file) {
+        try {
+            const header = new Uint8Array(await file.slice(0, 64).arrayBuffer());
+            return this.sniffImageType(header);
+        } catch (error) {
+            console.warn('读取文件头失败:', file.name, error);
+            return null;
+        }
+    }
+
+    /**
+     * 根据文件头字节判断图片格式
+     * @param {Uint8Array} bytes - 文件开头的字节
+     * @returns {string|null} - MIME类型，无法识别时为null
+     */
+    static sniffImageType(bytes) {
+        const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+        const startsWith = (signature) => signature.every((byte, i) => bytes[i] === byte);
+
+        if (startsWith([0xff, 0xd8, 0xff])) {
+            return 'image/jpeg';
+        }
+        if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+            return 'image/png';
+        }
+        if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') {
+            return 'image/gif';
+        }
+        if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+            return 'image/webp';
+        }
+
+        // BMP：'BM' 之后的信息头长度只有几种合法取值
+        if (ascii(0, 2) === 'BM' && bytes.length >= 18) {
+            const headerSize = bytes[14] | (bytes[15] << 8) | (bytes[16] << 16) | (bytes[17] << 24);
+            if ([12, 40, 52, 56, 64, 108, 124].includes(headerSize)) {
+                return 'image/bmp';
+            }
+        }
+
+        // AVIF：ftyp 盒子的主品牌或兼容品牌中包含 avif/avis
+        if (ascii(4, 8) === 'ftyp') {
+            const boxSize = ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+            const end = Math.min(boxSize, bytes.length);
+            const brands = [ascii(8, 12)];
+            for (let offset = 16; offset + 4 <= end; offset += 4) {
+                brands.push(ascii(offset, offset + 4));
+            }
+            if (brands.includes('avif') || brands.includes('avis')) {
+                return 'image/avif';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 判断GIF是否包含多帧
+     * 按GIF块结构逐块跳过，统计图像描述符数量
+     * @param {Uint8Array} bytes - GIF文件内容
+     * @returns {boolean} - 是否为动图
+     */
+    static isAnimatedGif(bytes) {
+        // 跳过文件头(6)和逻辑屏幕描述符(7)，以及可能存在的全局颜色表
+        let offset = 13;
+        if (bytes[10] & 0x80) {
+            offset += 3 * (1 << ((bytes[10] & 0x07) + 1));
+        }
+
+        // 跳过以长度为0的子块结尾的数据子块序列
+        const skipSubBlocks = () => {
+            while (offset < bytes.length && bytes[offset] !== 0) {
+                offset += bytes[offset] + 1;
+            }
+            offset++;
+        };
+
+        let frames = 0;
+        while (offset < bytes.length) {
+            const block = bytes[offset];
+
+            if (block === 0x2c) {
+                // 图像描述符(10) + 局部颜色表 + LZW最小码长(1) + 图像数据
+                frames++;
+                if (frames > 1) return true;
+
+                const packed = bytes[offset + 9];
+                offset += 10;
+                if (packed & 0x80) {
+                    offset += 3 * (1 << ((packed & 0x07) + 1));
+                }
+                offset++;
+                skipSubBlocks();
+            } else if (block === 0x21) {
+                // 扩展块：引导符 + 标签 + 数据子块
+                offset += 2;
+                skipSubBlocks();
+            } else {
+                // 0x3B 为结束符，其他值说明文件已损坏
+                break;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * 检查浏览器能否解码图片
+     * @param {Blob} file - 图片文件
+     * @returns {Promise<boolean>} - 能否解码
+     */
+    static async canDecodeImage(file) {
+        if (window.createImageBitmap) {
+            try {
+                const bitmap = await createImageBitmap(file);
+                bitmap.close();
+                return true;
+            } catch (error) {
+                // 部分浏览器的 createImageBitmap 对某些格式支持不完整，退回到Image再试一次
+            }
+        }
+
+        return new Promise(resolve => {
+            const img = new Image();
+            const url = URL.createObjectURL(file);
+
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img.width > 0 && img.height > 0);
+            };
+
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                resolve(false);
+            };
+
+            img.src = url;
+        });
+    }
+
+    /**
+     * 生成动图的静态封面（第一帧，原始尺寸）
+     * @param {Blob} file - 图片文件
+     * @returns {Promise<Blob>} - PNG格式的封面
+     */
+    static createPoster(file) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const url = URL.createObjectURL(file);
+
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = img.naturalWidth;
+                canvas.height = img.naturalHeight;
+                canvas.getContext('2d').drawImage(img, 0, 0);
+                URL.revokeObjectURL(url);
+
+                canvas.toBlob(blob => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('无法生成封面'));
+                    }
+                }, 'image/png');
+            };
+
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('无法生成封面'));
+            };
+
+            img.src = url;
+        });
+    }
+
+    /**
+     * 提取图片的主色调
+     * 将图片缩小后按颜色分桶统计，取占比最高且彼此差异明显的几种颜色
+     * @param {string} src - 图片地址（缩略图即可）
+     * @param {number} count - 颜色数量
+     * @returns {Promise<Array<{color: string, share: number}>>} - 十六进制颜色及其占比，按占比从高到低
+     */
+    static extractDominantColors(src, count = 5) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+
+            img.onload = () => {
+                const size = 64;
+                const canvas = document.createElement('canvas');
+                canvas.width = size;
+                canvas.height = size;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0, size, size);
+
+                let data;
+                try {
+                    data = ctx.getImageData(0, 0, size, size).data;
+                } catch (error) {
+                    // 跨域图片无法读取像素
+                    reject(error);
+                    return;
+                }
+
+                // 每个通道取高4位分桶，同时累加桶内颜色以求平均值
+                const buckets = new Map();
+                let total = 0;
+                for (let i = 0; i < data.length; i += 4) {
+                    if (data[i + 3] < 128) continue;
+                    const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+                    const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+                    bucket.r += data[i];
+                    bucket.g += data[i + 1];
+                    bucket.b += data[i + 2];
+                    bucket.count++;
+                    buckets.set(key, bucket);
+                    total++;
+                }
+
+                const picked = [];
+                const sorted = Array.from(buckets.values()).sort((a, b) => b.count - a.count);
+                for (const bucket of sorted) {
+                    const rgb = [bucket.r, bucket.g, bucket.b].map(sum => Math.round(sum / bucket.count));
+
+                    // 与已选颜色过于接近时，并入该颜色的占比
+                    const similar = picked.find(item => Math.hypot(
+                        item.rgb[0] - rgb[0], item.rgb[1] - rgb[1], item.rgb[2] - rgb[2]
+                    ) < 48);
+                    if (similar) {
+                        similar.count += bucket.count;
+                    } else if (picked.length < count) {
+                        picked.push({ rgb, count: bucket.count });
+                    }
+                }
+
+                resolve(picked
+                    .sort((a, b) => b.count - a.count)
+                    .map(item => ({
+                        color: '#' + item.rgb.map(value => value.toString(16).padStart(2, '0')).join(''),
+                        share: total === 0 ? 0 : Math.round(item.count / total * 1000) / 1000
+                    })));
+            };
+
+            img.onerror = () => reject(new Error('无法读取图片'));
+            img.src = src;
+        });
+    }
+
+    /**
+     * 将十六进制颜色转换为HSL
+     * @param {string} hex - 十六进制颜色，如 '#6464ff'
+     * @returns {{h: number, s: number, l: number}} - 色相（0-360）、饱和度和亮度（0-1）
+     */
+    static hexToHsl(hex) {
+        const value = parseInt(String(hex).replace('#', ''), 16) || 0;
+        const [r, g, b] = [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => channel / 255);
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        const delta = max - min;
+
+        if (delta === 0) return { h: 0, s: 0, l };
+
+        const s = delta / (1 - Math.abs(2 * l - 1));
+        let h;
+        if (max === r) {
+            h = ((g - b) / delta) % 6;
+        } else if (max === g) {
+            h = (b - r) / delta + 2;
+        } else {
+            h = (r - g) / delta + 4;
+        }
+
+        return { h: (h * 60 + 360) % 360, s, l };
+    }
 }
 
 // 导出工具类
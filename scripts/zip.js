@@ -0,0 +1,253 @@
+/**
+ * ZIP错误类
+ * 备份文件不是有效的ZIP或已损坏时抛出
+ */
+class ZipError extends Error {
+    /**
+     * @param {string} message - 错误说明
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'ZipError';
+    }
+}
+
+/**
+ * ZIP归档工具类
+ * 写入时只使用存储方式（不压缩，图片本身已压缩过）；读取时支持存储方式，浏览器支持时也能读取deflate压缩的条目
+ */
+class Zip {
+    /**
+     * 单个文件或整个归档的最大字节数（不支持ZIP64）
+     * @returns {number}
+     */
+    static get MAX_SIZE() {
+        return 0xFFFFFFFF;
+    }
+
+    /**
+     * CRC-32 查找表
+     * @returns {Uint32Array}
+     */
+    static get CRC_TABLE() {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        return this.crcTable;
+    }
+
+    /**
+     * 计算CRC-32
+     * @param {Uint8Array} bytes - 数据
+     * @returns {number} - 无符号32位校验值
+     */
+    static crc32(bytes) {
+        const table = this.CRC_TABLE;
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * 将日期转换为DOS格式的时间和日期
+     * @param {Date} date - 日期
+     * @returns {{time: number, date: number}}
+     */
+    static toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * 创建ZIP归档
+     * 文件名按UTF-8编码；文件内容直接引用原Blob，不会整体复制到内存
+     * @param {Array<{name: string, data: Blob|string}>} files - 文件路径与内容
+     * @param {Date} modified - 修改时间
+     * @returns {Promise<Blob>} - ZIP文件
+     * @throws {ZipError} - 文件过大或数量过多时
+     */
+    static async create(files, modified = new Date()) {
+        if (files.length > 0xFFFF) {
+            throw new ZipError('文件数量超过 65535，无法打包');
+        }
+
+        const encoder = new TextEncoder();
+        const { time, date } = this.toDosDateTime(modified);
+        const parts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const blob = file.data instanceof Blob ? file.data : new Blob([file.data]);
+            const name = encoder.encode(file.name);
+            const crc = this.crc32(new Uint8Array(await blob.arrayBuffer()));
+            if (blob.size > this.MAX_SIZE || offset > this.MAX_SIZE) {
+                throw new ZipError('备份文件超过 4GB，无法打包');
+            }
+
+            // 本地文件头
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true);
+            header.setUint16(4, 20, true); // 所需版本 2.0
+            header.setUint16(6, 0x0800, true); // 文件名为UTF-8
+            header.setUint16(8, 0, true); // 存储方式
+            header.setUint16(10, time, true);
+            header.setUint16(12, date, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, blob.size, true);
+            header.setUint32(22, blob.size, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+            parts.push(header.buffer, name, blob);
+
+            // 中央目录项
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, blob.size, true);
+            entry.setUint32(24, blob.size, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            centralParts.push(entry.buffer, name);
+
+            offset += 30 + name.length + blob.size;
+        }
+
+        const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+        if (offset + centralSize > this.MAX_SIZE) {
+            throw new ZipError('备份文件超过 4GB，无法打包');
+        }
+
+        // 中央目录结束记录
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralParts, end.buffer], { type: 'application/zip' });
+    }
+
+    /**
+     * 读取ZIP归档的文件列表
+     * @param {Blob} blob - ZIP文件
+     * @returns {Promise<Map<string, {name: string, method: number, crc: number, compressedSize: number, size: number, offset: number}>>} - 文件路径到条目信息的映射，不含文件夹
+     * @throws {ZipError} - 不是有效的ZIP文件时
+     */
+    static async readEntries(blob) {
+        // 结束记录位于文件末尾，之后最多有 65535 字节的注释
+        const tailStart = Math.max(0, blob.size - 22 - 0xFFFF);
+        const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+        let endOffset = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054B50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) {
+            throw new ZipError('不是有效的ZIP文件');
+        }
+
+        const count = tail.getUint16(endOffset + 10, true);
+        const centralSize = tail.getUint32(endOffset + 12, true);
+        const centralOffset = tail.getUint32(endOffset + 16, true);
+        if (centralOffset === 0xFFFFFFFF || centralOffset + centralSize > blob.size) {
+            throw new ZipError('ZIP文件已损坏或使用了不支持的ZIP64格式');
+        }
+
+        const central = new DataView(await blob.slice(centralOffset, centralOffset + centralSize).arrayBuffer());
+        const decoder = new TextDecoder();
+        const entries = new Map();
+        let position = 0;
+
+        for (let i = 0; i < count; i++) {
+            if (position + 46 > central.byteLength || central.getUint32(position, true) !== 0x02014B50) {
+                throw new ZipError('ZIP文件目录已损坏');
+            }
+
+            const nameLength = central.getUint16(position + 28, true);
+            const extraLength = central.getUint16(position + 30, true);
+            const commentLength = central.getUint16(position + 32, true);
+            if (position + 46 + nameLength > central.byteLength) {
+                throw new ZipError('ZIP文件目录已损坏');
+            }
+            const name = decoder.decode(new Uint8Array(central.buffer, position + 46, nameLength));
+
+            if (!name.endsWith('/')) {
+                entries.set(name, {
+                    name,
+                    method: central.getUint16(position + 10, true),
+                    crc: central.getUint32(position + 16, true),
+                    compressedSize: central.getUint32(position + 20, true),
+                    size: central.getUint32(position + 24, true),
+                    offset: central.getUint32(position + 42, true)
+                });
+            }
+
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * 取出单个文件并校验CRC
+     * @param {Blob} blob - ZIP文件
+     * @param {Object} entry - readEntries 返回的条目
+     * @param {string} type - 取出文件的MIME类型
+     * @returns {Promise<Blob>} - 文件内容
+     * @throws {ZipError} - 文件损坏或使用了不支持的压缩方式时
+     */
+    static async extract(blob, entry, type = '') {
+        // 本地文件头中的扩展字段长度可能与中央目录不同，需要重新读取
+        const header = new DataView(await blob.slice(entry.offset, entry.offset + 30).arrayBuffer());
+        if (header.byteLength < 30 || header.getUint32(0, true) !== 0x04034B50) {
+            throw new ZipError(`${entry.name} 的文件头已损坏`);
+        }
+        const dataStart = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const raw = blob.slice(dataStart, dataStart + entry.compressedSize);
+
+        let bytes;
+        if (entry.method === 0) {
+            bytes = new Uint8Array(await raw.arrayBuffer());
+        } else if (entry.method === 8 && 'DecompressionStream' in window) {
+            const stream = raw.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            try {
+                bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+            } catch (error) {
+                throw new ZipError(`${entry.name} 解压失败`);
+            }
+        } else {
+            throw new ZipError(`${entry.name} 使用了不支持的压缩方式`);
+        }
+
+        if (bytes.length !== entry.size || this.crc32(bytes) !== entry.crc) {
+            throw new ZipError(`${entry.name} 校验失败，文件可能已损坏`);
+        }
+
+        return new Blob([bytes], { type });
+    }
+}
+
+// 导出ZIP归档工具类
+window.ZipError = ZipError;
+window.Zip = Zip;
\ No newline at end of file